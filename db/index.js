@@ -0,0 +1,48 @@
+// db/index.js
+// Picks the data backend from configuration:
+//   DB_DRIVER=supabase  (default) SUPABASE_URL + SUPABASE_KEY
+//   DB_DRIVER=postgres  DATABASE_URL, schema from db/migrations
+//   DB_DRIVER=memory    in-process store, seeded with demo data
+// All three expose the same `db.from(table)` query API.
+import { createClient } from "@supabase/supabase-js";
+import { createQueryClient } from "./query.js";
+import { createMemoryDriver } from "./memory.js";
+import { createPostgresDriver } from "./postgres.js";
+import { migrate } from "./migrate.js";
+import { seed } from "./seed.js";
+
+export function createDb(env = process.env) {
+  const driver = (env.DB_DRIVER || "supabase").toLowerCase();
+
+  switch (driver) {
+    case "supabase":
+      if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+        throw new Error("Missing SUPABASE_URL or SUPABASE_KEY");
+      }
+      return { driver, client: createClient(env.SUPABASE_URL, env.SUPABASE_KEY) };
+
+    case "postgres":
+      if (!env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
+      return { driver, client: createQueryClient(createPostgresDriver({ connectionString: env.DATABASE_URL })) };
+
+    case "memory":
+      return { driver, client: createQueryClient(createMemoryDriver()) };
+
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (expected supabase, postgres or memory)`);
+  }
+}
+
+// Run migrations/seed where the backend supports it.
+// Postgres migrates on start when DB_MIGRATE=true; the memory store is
+// seeded unless DB_SEED=false; Postgres is seeded only when DB_SEED=true.
+export async function prepareDb({ driver, client }, env = process.env) {
+  if (driver === "postgres" && env.DB_MIGRATE === "true") {
+    await migrate(client.driver.pool);
+  }
+
+  const shouldSeed = driver === "memory" ? env.DB_SEED !== "false" : env.DB_SEED === "true";
+  if (shouldSeed && driver !== "supabase" && (await seed(client))) {
+    console.log(`🌱 Seeded ${driver} database with demo data`);
+  }
+}
@@ -0,0 +1,188 @@
+// db/memory.js
+// In-memory table driver for offline development and tests.
+// Data lives for the lifetime of the process.
+import { RELATIONS, TABLES } from "./schema.js";
+
+function isEmpty(value) {
+  return value === null || value === undefined;
+}
+
+// Compare the way Postgres would after casting the literal to the column type:
+// route params arrive as strings but ids are stored as numbers.
+function compare(a, b) {
+  if (typeof a === "number" || typeof b === "number") return Number(a) - Number(b);
+  if (typeof a === "boolean" || typeof b === "boolean") return String(a) === String(b) ? 0 : 1;
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likeToRegExp(pattern, flags) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${source}$`, flags);
+}
+
+function matches(row, filter) {
+  if (filter.op === "or") return filter.value.some(f => matches(row, f));
+
+  const value = row[filter.column];
+  switch (filter.op) {
+    case "is":
+      return filter.value === null ? isEmpty(value) : value === filter.value;
+    case "in":
+      return !isEmpty(value) && filter.value.some(v => compare(value, v) === 0);
+    case "like":
+      return !isEmpty(value) && likeToRegExp(filter.value, "").test(String(value));
+    case "ilike":
+      return !isEmpty(value) && likeToRegExp(filter.value, "i").test(String(value));
+  }
+
+  if (isEmpty(value) || isEmpty(filter.value)) return false;
+  const diff = compare(value, filter.value);
+  switch (filter.op) {
+    case "eq": return diff === 0;
+    case "neq": return diff !== 0;
+    case "gt": return diff > 0;
+    case "gte": return diff >= 0;
+    case "lt": return diff < 0;
+    case "lte": return diff <= 0;
+    default: throw new Error(`Unsupported filter '${filter.op}'`);
+  }
+}
+
+function sortRows(rows, orders) {
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending } of orders) {
+      // Postgres puts NULLs last when ascending, first when descending
+      if (isEmpty(a[column]) || isEmpty(b[column])) {
+        if (isEmpty(a[column]) && isEmpty(b[column])) continue;
+        return (isEmpty(a[column]) ? 1 : -1) * (ascending ? 1 : -1);
+      }
+      const diff = compare(a[column], b[column]);
+      if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+export function createMemoryDriver() {
+  const tables = new Map(Object.keys(TABLES).map(name => [name, []]));
+  const sequences = new Map(Object.keys(TABLES).map(name => [name, 0]));
+
+  function tableRows(table) {
+    if (!tables.has(table)) {
+      const err = new Error(`relation "${table}" does not exist`);
+      err.code = "42P01";
+      throw err;
+    }
+    return tables.get(table);
+  }
+
+  function assertUnique(table, candidate, ignore) {
+    for (const columns of TABLES[table].unique) {
+      const clash = tables
+        .get(table)
+        .find(row => row !== ignore && columns.every(c => !isEmpty(row[c]) && compare(row[c], candidate[c]) === 0));
+      if (clash) {
+        const err = new Error(`duplicate key value violates unique constraint "${table}_${columns.join("_")}_key"`);
+        err.code = "23505";
+        throw err;
+      }
+    }
+  }
+
+  // Rows referencing any of `rows` through `relation`
+  function referencing(relation, rows) {
+    const keys = rows.map(row => row[relation.toColumn]).filter(key => !isEmpty(key));
+    return tables
+      .get(relation.from)
+      .filter(row => !isEmpty(row[relation.column]) && keys.some(key => compare(row[relation.column], key) === 0));
+  }
+
+  // Delete rows the way Postgres applies ON DELETE: referencing rows are
+  // deleted (cascade) or unlinked (set null), and anything else still
+  // referencing a deleted row refuses the whole delete
+  function deleteRows(table, rows) {
+    const doomed = new Map();
+    const unlink = [];
+
+    const collect = (name, candidates) => {
+      const set = doomed.get(name) ?? doomed.set(name, new Set()).get(name);
+      const added = candidates.filter(row => !set.has(row));
+      if (!added.length) return;
+      added.forEach(row => set.add(row));
+
+      for (const relation of RELATIONS.filter(r => r.to === name)) {
+        const children = referencing(relation, added);
+        if (relation.onDelete === "cascade") collect(relation.from, children);
+        else if (relation.onDelete === "set null") unlink.push(...children.map(row => ({ row, column: relation.column })));
+      }
+    };
+    collect(table, rows);
+
+    for (const [name, set] of doomed) {
+      for (const relation of RELATIONS.filter(r => r.to === name && !r.onDelete)) {
+        const blocking = referencing(relation, [...set]).filter(row => !doomed.get(relation.from)?.has(row));
+        if (blocking.length) {
+          const err = new Error(
+            `update or delete on table "${name}" violates foreign key constraint "${relation.name}" on table "${relation.from}"`
+          );
+          err.code = "23503";
+          throw err;
+        }
+      }
+    }
+
+    for (const { row, column } of unlink) row[column] = null;
+    for (const [name, set] of doomed) tables.set(name, tables.get(name).filter(row => !set.has(row)));
+  }
+
+  return {
+    async execute(query) {
+      const rows = tableRows(query.table);
+      const { primaryKey, defaults = {} } = TABLES[query.table];
+
+      if (query.action === "insert") {
+        const before = rows.length;
+        try {
+          const inserted = query.values.map(values => {
+            const id = values[primaryKey] ?? sequences.get(query.table) + 1;
+            // Tables keyed by uuid/text supply their own ids
+            if (typeof id === "number") sequences.set(query.table, Math.max(sequences.get(query.table), id));
+            const row = { ...defaults, created_at: new Date().toISOString(), ...values, [primaryKey]: id };
+            assertUnique(query.table, row);
+            rows.push(row);
+            return row;
+          });
+          return { rows: inserted.map(r => ({ ...r })) };
+        } catch (err) {
+          // A multi-row insert is all or nothing, as in Postgres
+          rows.length = before;
+          throw err;
+        }
+      }
+
+      const matched = rows.filter(row => query.filters.every(f => matches(row, f)));
+
+      if (query.action === "update") {
+        for (const row of matched) {
+          assertUnique(query.table, { ...row, ...query.values }, row);
+          Object.assign(row, query.values);
+        }
+        return { rows: matched.map(r => ({ ...r })) };
+      }
+
+      if (query.action === "delete") {
+        deleteRows(query.table, matched);
+        return { rows: matched.map(r => ({ ...r })) };
+      }
+
+      let result = sortRows(matched, query.orders);
+      if (query.from !== null) result = result.slice(query.from, query.to + 1);
+      return { rows: result.map(r => ({ ...r })), count: matched.length };
+    },
+  };
+}
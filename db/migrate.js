@@ -0,0 +1,58 @@
+// db/migrate.js
+// Applies db/migrations/*.sql in order, once each.
+// Usage: node db/migrate.js [--seed]   (needs DATABASE_URL)
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+export async function migrate(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+
+  const { rows } = await pool.query("SELECT name FROM schema_migrations");
+  const applied = new Set(rows.map(r => r.name));
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(f => f.endsWith(".sql")).sort();
+
+  for (const file of files) {
+    if (applied.has(file)) continue;
+
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(sql);
+      await client.query("INSERT INTO schema_migrations (name) VALUES ($1)", [file]);
+      await client.query("COMMIT");
+      console.log(`✅ Applied migration ${file}`);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { default: dotenv } = await import("dotenv");
+  dotenv.config();
+
+  const { createDb, prepareDb } = await import("./index.js");
+  const db = createDb({ ...process.env, DB_DRIVER: "postgres" });
+
+  try {
+    await migrate(db.client.driver.pool);
+    if (process.argv.includes("--seed")) await prepareDb(db, { DB_SEED: "true" });
+  } catch (err) {
+    console.error("❌", err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.client.driver.pool.end();
+  }
+}
@@ -0,0 +1,101 @@
+-- Core tables for the LUCT reporting system.
+-- Also usable from the Supabase SQL editor.
+
+CREATE TABLE IF NOT EXISTS users (
+  user_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('student', 'lecturer', 'prl', 'pl')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS courses (
+  course_id SERIAL PRIMARY KEY,
+  course_code TEXT,
+  course_name TEXT,
+  faculty TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS classes (
+  id SERIAL PRIMARY KEY,
+  class_name TEXT NOT NULL,
+  course_name TEXT NOT NULL,
+  course_code TEXT NOT NULL,
+  lecturer TEXT NOT NULL,
+  schedule TEXT,
+  venue TEXT,
+  capacity INTEGER,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS report (
+  report_id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  week INTEGER NOT NULL,
+  date DATE NOT NULL,
+  topic TEXT NOT NULL,
+  learning_outcomes TEXT,
+  recommendations TEXT,
+  actual_students INTEGER,
+  submitted_by INTEGER REFERENCES users(user_id),
+  status TEXT NOT NULL DEFAULT 'submitted'
+    CHECK (status IN ('submitted', 'reviewed', 'forwarded', 'approved', 'returned')),
+  feedback TEXT,
+  reviewed_by INTEGER REFERENCES users(user_id),
+  reviewed_at TIMESTAMPTZ,
+  forwarded_by INTEGER REFERENCES users(user_id),
+  forwarded_at TIMESTAMPTZ,
+  pl_feedback TEXT,
+  decided_by INTEGER REFERENCES users(user_id),
+  decided_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- A report table that predates the review lifecycle is left alone by the
+-- CREATE above, so add its columns here (011 replaces the status check)
+ALTER TABLE report ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'submitted'
+  CHECK (status IN ('submitted', 'reviewed', 'forwarded', 'approved', 'returned'));
+ALTER TABLE report ADD COLUMN IF NOT EXISTS feedback TEXT;
+ALTER TABLE report ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(user_id);
+ALTER TABLE report ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE report ADD COLUMN IF NOT EXISTS forwarded_by INTEGER REFERENCES users(user_id);
+ALTER TABLE report ADD COLUMN IF NOT EXISTS forwarded_at TIMESTAMPTZ;
+ALTER TABLE report ADD COLUMN IF NOT EXISTS pl_feedback TEXT;
+ALTER TABLE report ADD COLUMN IF NOT EXISTS decided_by INTEGER REFERENCES users(user_id);
+ALTER TABLE report ADD COLUMN IF NOT EXISTS decided_at TIMESTAMPTZ;
+ALTER TABLE report ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+CREATE TABLE IF NOT EXISTS ratings (
+  rating_id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  week INTEGER NOT NULL,
+  score INTEGER NOT NULL CHECK (score BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (class_id, student_id, week)
+);
+
+CREATE TABLE IF NOT EXISTS enrolments (
+  enrolment_id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  enrolled_by INTEGER REFERENCES users(user_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (class_id, student_id)
+);
+
+CREATE TABLE IF NOT EXISTS attendance (
+  attendance_id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES report(report_id) ON DELETE CASCADE,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  present BOOLEAN NOT NULL,
+  recorded_by INTEGER REFERENCES users(user_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (report_id, student_id)
+);
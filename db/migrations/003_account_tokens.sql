@@ -0,0 +1,17 @@
+-- Email verification and password reset tokens.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN;
+-- Accounts created before verification existed count as verified
+UPDATE users SET email_verified = true WHERE email_verified IS NULL;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;
+ALTER TABLE users ALTER COLUMN email_verified SET NOT NULL;
+
+CREATE TABLE IF NOT EXISTS user_tokens (
+  token_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,10 @@
+-- Streams (PRL scope) and programmes (PL scope).
+-- A PRL/PL without a stream/programme assigned is faculty-wide.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stream TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS programme TEXT;
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS stream TEXT;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS programme TEXT;
+
+CREATE INDEX IF NOT EXISTS courses_course_code_idx ON courses (course_code);
@@ -0,0 +1,20 @@
+-- Audit trail of every mutation, including logins and failed logins.
+-- before/after hold row snapshots with secrets redacted.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id SERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  actor_role TEXT,
+  action TEXT NOT NULL,
+  resource TEXT NOT NULL,
+  resource_id TEXT,
+  before JSONB,
+  after JSONB,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+CREATE INDEX IF NOT EXISTS audit_log_actor_id_idx ON audit_log (actor_id);
+CREATE INDEX IF NOT EXISTS audit_log_resource_idx ON audit_log (resource, resource_id);
@@ -0,0 +1,31 @@
+-- Venues and structured timetable slots per class.
+-- classes.schedule and classes.venue stay as a readable summary of the
+-- timetable, written by the API.
+
+CREATE TABLE IF NOT EXISTS venues (
+  venue_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  building TEXT,
+  capacity INTEGER CHECK (capacity > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- day_of_week is ISO: 1 = Monday ... 7 = Sunday
+CREATE TABLE IF NOT EXISTS timetable_slots (
+  slot_id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  venue_id INTEGER NOT NULL REFERENCES venues(venue_id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS timetable_slots_class_id_idx ON timetable_slots (class_id);
+CREATE INDEX IF NOT EXISTS timetable_slots_day_idx ON timetable_slots (day_of_week, venue_id);
+
+-- Existing free-text venues become venue records (capacity unknown)
+INSERT INTO venues (name)
+SELECT DISTINCT trim(venue) FROM classes WHERE venue IS NOT NULL AND trim(venue) <> ''
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,25 @@
+-- One report per class per week, and a record of missing-report reminders.
+
+DO $$
+DECLARE
+  duplicates INTEGER;
+BEGIN
+  SELECT count(*) INTO duplicates
+  FROM (SELECT 1 FROM report GROUP BY class_id, week HAVING count(*) > 1) d;
+
+  IF duplicates > 0 THEN
+    RAISE EXCEPTION '% class/week pair(s) have more than one report; merge or delete the extras and re-run', duplicates
+      USING HINT = 'SELECT class_id, week, array_agg(report_id) FROM report GROUP BY class_id, week HAVING count(*) > 1';
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS report_class_id_week_key ON report (class_id, week);
+
+-- One reminder per class and teaching week
+CREATE TABLE IF NOT EXISTS report_reminders (
+  reminder_id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  week INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (class_id, week)
+);
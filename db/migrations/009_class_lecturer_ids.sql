@@ -0,0 +1,54 @@
+-- Classes reference lecturer and creator accounts by id instead of by name,
+-- and can have co-lecturers.
+
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS lecturer_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS created_by_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+-- Map the old names to accounts where exactly one account has that name
+-- (ignoring case and surrounding spaces); lecturers must be lecturer accounts
+UPDATE classes c
+SET lecturer_id = (
+  SELECT min(u.user_id) FROM users u
+  WHERE u.role = 'lecturer' AND lower(trim(u.name)) = lower(trim(c.lecturer))
+)
+WHERE c.lecturer_id IS NULL
+  AND (
+    SELECT count(*) FROM users u
+    WHERE u.role = 'lecturer' AND lower(trim(u.name)) = lower(trim(c.lecturer))
+  ) = 1;
+
+UPDATE classes c
+SET created_by_id = (
+  SELECT min(u.user_id) FROM users u WHERE lower(trim(u.name)) = lower(trim(c.created_by))
+)
+WHERE c.created_by_id IS NULL
+  AND (SELECT count(*) FROM users u WHERE lower(trim(u.name)) = lower(trim(c.created_by))) = 1;
+
+-- The names are kept only for classes that could not be matched; the API
+-- shows them until a lecturer is assigned. Nothing writes them any more.
+ALTER TABLE classes RENAME COLUMN lecturer TO legacy_lecturer;
+ALTER TABLE classes ALTER COLUMN legacy_lecturer DROP NOT NULL;
+ALTER TABLE classes RENAME COLUMN created_by TO legacy_created_by;
+
+CREATE INDEX IF NOT EXISTS classes_lecturer_id_idx ON classes (lecturer_id);
+
+-- Co-lecturers; the lead lecturer is classes.lecturer_id
+CREATE TABLE IF NOT EXISTS class_lecturers (
+  class_lecturer_id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  lecturer_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (class_id, lecturer_id)
+);
+
+CREATE INDEX IF NOT EXISTS class_lecturers_lecturer_id_idx ON class_lecturers (lecturer_id);
+
+DO $$
+DECLARE
+  unmatched INTEGER;
+BEGIN
+  SELECT count(*) INTO unmatched FROM classes WHERE lecturer_id IS NULL;
+  IF unmatched > 0 THEN
+    RAISE NOTICE '% class(es) have no lecturer account; set lecturer_id with PUT /classes/:id', unmatched;
+  END IF;
+END $$;
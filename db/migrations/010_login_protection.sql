@@ -0,0 +1,14 @@
+-- Failed login tracking for account lockout, and the shared store for
+-- RATE_LIMIT_STORE=database (one row per request, pruned as windows pass).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  hit_id BIGSERIAL PRIMARY KEY,
+  key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key_idx ON rate_limit_hits (key, created_at);
+CREATE INDEX IF NOT EXISTS rate_limit_hits_created_at_idx ON rate_limit_hits (created_at);
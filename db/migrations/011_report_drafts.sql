@@ -0,0 +1,41 @@
+-- Report drafts and version history.
+
+ALTER TABLE report DROP CONSTRAINT IF EXISTS report_status_check;
+ALTER TABLE report ADD CONSTRAINT report_status_check
+  CHECK (status IN ('draft', 'submitted', 'reviewed', 'forwarded', 'approved', 'returned'));
+
+-- When the report left draft; compliance measures lateness from this
+ALTER TABLE report ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+UPDATE report SET submitted_at = created_at WHERE submitted_at IS NULL AND status <> 'draft';
+
+CREATE TABLE IF NOT EXISTS report_versions (
+  version_id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES report(report_id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  changes JSONB NOT NULL,
+  snapshot JSONB NOT NULL,
+  edited_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (report_id, version)
+);
+
+-- Existing reports start their history at their current content
+INSERT INTO report_versions (report_id, version, status, changes, snapshot, edited_by, created_at)
+SELECT
+  report_id,
+  1,
+  status,
+  '{}'::jsonb,
+  jsonb_build_object(
+    'week', week,
+    'date', to_char(date, 'YYYY-MM-DD'),
+    'topic', topic,
+    'learning_outcomes', learning_outcomes,
+    'recommendations', recommendations,
+    'actual_students', actual_students
+  ),
+  submitted_by,
+  created_at
+FROM report
+WHERE NOT EXISTS (SELECT 1 FROM report_versions v WHERE v.report_id = report.report_id);
@@ -0,0 +1,30 @@
+-- Academic calendar: semesters with their holidays and exam periods.
+-- Teaching weeks are computed from these by the API (lib/calendar.js).
+
+CREATE TABLE IF NOT EXISTS semesters (
+  semester_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_date > start_date)
+);
+
+CREATE TABLE IF NOT EXISTS semester_breaks (
+  break_id SERIAL PRIMARY KEY,
+  semester_id INTEGER NOT NULL REFERENCES semesters(semester_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('holiday', 'exam')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS semester_breaks_semester_id_idx ON semester_breaks (semester_id);
+
+-- Existing classes and reports stay without a semester until one is assigned
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS semester_id INTEGER REFERENCES semesters(semester_id);
+ALTER TABLE report ADD COLUMN IF NOT EXISTS semester_id INTEGER REFERENCES semesters(semester_id);
+
+CREATE INDEX IF NOT EXISTS classes_semester_id_idx ON classes (semester_id);
+CREATE INDEX IF NOT EXISTS report_semester_id_idx ON report (semester_id);
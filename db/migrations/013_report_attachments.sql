@@ -0,0 +1,15 @@
+-- Files attached to lecture reports. The bytes live in the storage backend
+-- (STORAGE_DRIVER); rows record where and what they are.
+
+CREATE TABLE IF NOT EXISTS report_attachments (
+  attachment_id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES report(report_id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  storage_key TEXT NOT NULL UNIQUE,
+  uploaded_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS report_attachments_report_id_idx ON report_attachments (report_id);
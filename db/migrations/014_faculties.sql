@@ -0,0 +1,93 @@
+-- Faculties with their programmes and streams. Courses, classes and users
+-- belong to a faculty; the free-text courses.faculty becomes faculty records.
+
+CREATE TABLE IF NOT EXISTS faculties (
+  faculty_id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  code TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS programmes (
+  programme_id SERIAL PRIMARY KEY,
+  faculty_id INTEGER NOT NULL REFERENCES faculties(faculty_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  UNIQUE (faculty_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS streams (
+  stream_id SERIAL PRIMARY KEY,
+  programme_id INTEGER NOT NULL REFERENCES programmes(programme_id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  UNIQUE (programme_id, name)
+);
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(faculty_id);
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(faculty_id);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(faculty_id) ON DELETE SET NULL;
+
+-- Every faculty named on a course becomes a record, and so does every
+-- programme and stream named on its courses
+INSERT INTO faculties (name)
+SELECT DISTINCT trim(faculty) FROM courses WHERE faculty IS NOT NULL AND trim(faculty) <> ''
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE courses c SET faculty_id = f.faculty_id
+FROM faculties f
+WHERE c.faculty_id IS NULL AND f.name = trim(c.faculty);
+
+UPDATE courses SET programme = nullif(trim(programme), ''), stream = nullif(trim(stream), '');
+
+INSERT INTO programmes (faculty_id, name)
+SELECT DISTINCT faculty_id, programme FROM courses WHERE faculty_id IS NOT NULL AND programme IS NOT NULL
+ON CONFLICT (faculty_id, name) DO NOTHING;
+
+INSERT INTO streams (programme_id, name)
+SELECT DISTINCT p.programme_id, c.stream
+FROM courses c
+JOIN programmes p ON p.faculty_id = c.faculty_id AND p.name = c.programme
+WHERE c.stream IS NOT NULL
+ON CONFLICT (programme_id, name) DO NOTHING;
+
+-- Classes take the faculty of their course
+UPDATE classes cl
+SET faculty_id = (SELECT min(c.faculty_id) FROM courses c WHERE c.course_code = cl.course_code)
+WHERE cl.faculty_id IS NULL;
+
+-- PLs and PRLs join the faculty their programme or stream is listed under,
+-- where that is only one faculty
+UPDATE users u
+SET faculty_id = (SELECT min(p.faculty_id) FROM programmes p WHERE p.name = u.programme)
+WHERE u.faculty_id IS NULL
+  AND u.programme IS NOT NULL
+  AND (SELECT count(DISTINCT p.faculty_id) FROM programmes p WHERE p.name = u.programme) = 1;
+
+UPDATE users u
+SET faculty_id = (
+  SELECT min(p.faculty_id) FROM streams s JOIN programmes p ON p.programme_id = s.programme_id WHERE s.name = u.stream
+)
+WHERE u.faculty_id IS NULL
+  AND u.stream IS NOT NULL
+  AND (
+    SELECT count(DISTINCT p.faculty_id) FROM streams s JOIN programmes p ON p.programme_id = s.programme_id WHERE s.name = u.stream
+  ) = 1;
+
+-- With a single faculty, everyone belongs to it
+UPDATE users SET faculty_id = (SELECT min(faculty_id) FROM faculties)
+WHERE faculty_id IS NULL AND (SELECT count(*) FROM faculties) = 1;
+
+ALTER TABLE courses DROP COLUMN IF EXISTS faculty;
+
+CREATE INDEX IF NOT EXISTS courses_faculty_id_idx ON courses (faculty_id);
+CREATE INDEX IF NOT EXISTS classes_faculty_id_idx ON classes (faculty_id);
+CREATE INDEX IF NOT EXISTS users_faculty_id_idx ON users (faculty_id);
+
+DO $$
+DECLARE
+  unassigned INTEGER;
+BEGIN
+  SELECT count(*) INTO unassigned FROM users WHERE faculty_id IS NULL AND role IN ('prl', 'pl');
+  IF unassigned > 0 THEN
+    RAISE NOTICE '% PRL/PL account(s) have no faculty; assign one with PUT /users/:id/faculty', unassigned;
+  END IF;
+END $$;
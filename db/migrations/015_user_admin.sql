@@ -0,0 +1,10 @@
+-- Account statuses: self-registered PRLs and PLs wait as 'pending' until a
+-- PL approves them, and deactivated accounts are 'inactive'. Both are
+-- refused at login and on every request.
+
+UPDATE users SET status = 'inactive' WHERE status NOT IN ('active', 'pending', 'inactive');
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_status_check;
+ALTER TABLE users ADD CONSTRAINT users_status_check CHECK (status IN ('active', 'pending', 'inactive'));
+
+CREATE INDEX IF NOT EXISTS users_role_status_idx ON users (role, status);
@@ -0,0 +1,7 @@
+-- Emails are now lowercased when they come in and looked up that way, so
+-- accounts registered with capitals are brought in line. An address that
+-- would collide with an existing lowercase one is left as it was.
+
+UPDATE users u SET email = lower(u.email)
+WHERE u.email <> lower(u.email)
+  AND NOT EXISTS (SELECT 1 FROM users other WHERE other.email = lower(u.email));
@@ -0,0 +1,103 @@
+// db/postgres.js
+// Direct Postgres driver using `pg`. Builds parameterised SQL for the
+// flat queries produced by db/query.js.
+import pg from "pg";
+
+// Keep DATE columns as "YYYY-MM-DD" strings, like the Supabase API returns them
+pg.types.setTypeParser(1082, value => value);
+
+function ident(name) {
+  if (!/^\w+$/.test(name)) throw new Error(`Invalid identifier '${name}'`);
+  return `"${name}"`;
+}
+
+const OPERATORS = { eq: "=", neq: "<>", gt: ">", gte: ">=", lt: "<", lte: "<=", like: "LIKE", ilike: "ILIKE" };
+
+function compileFilter(filter, params) {
+  if (filter.op === "or") {
+    return `(${filter.value.map(f => compileFilter(f, params)).join(" OR ")})`;
+  }
+
+  const column = ident(filter.column);
+  if (filter.op === "is") {
+    const literal = filter.value === null ? "NULL" : filter.value ? "TRUE" : "FALSE";
+    return `${column} IS ${literal}`;
+  }
+  if (filter.op === "in") {
+    params.push(filter.value);
+    return `${column} = ANY($${params.length})`;
+  }
+  if (!OPERATORS[filter.op]) throw new Error(`Unsupported filter '${filter.op}'`);
+
+  params.push(filter.value);
+  return `${column} ${OPERATORS[filter.op]} $${params.length}`;
+}
+
+function whereClause(filters, params) {
+  if (!filters.length) return "";
+  return ` WHERE ${filters.map(f => compileFilter(f, params)).join(" AND ")}`;
+}
+
+export function createPostgresDriver({ connectionString }) {
+  const pool = new pg.Pool({ connectionString });
+
+  async function run(sql, params) {
+    const { rows } = await pool.query(sql, params);
+    return rows;
+  }
+
+  return {
+    pool,
+
+    async execute(query) {
+      const table = ident(query.table);
+      const params = [];
+
+      if (query.action === "insert") {
+        const columns = [...new Set(query.values.flatMap(Object.keys))];
+        const tuples = query.values.map(values =>
+          columns
+            .map(c => {
+              if (values[c] === undefined) return "DEFAULT";
+              params.push(values[c]);
+              return `$${params.length}`;
+            })
+            .join(", ")
+        );
+        const sql = `INSERT INTO ${table} (${columns.map(ident).join(", ")}) VALUES (${tuples.join("), (")}) RETURNING *`;
+        return { rows: await run(sql, params) };
+      }
+
+      if (query.action === "update") {
+        const assignments = Object.entries(query.values)
+          .filter(([, value]) => value !== undefined)
+          .map(([column, value]) => {
+            params.push(value);
+            return `${ident(column)} = $${params.length}`;
+          });
+        const sql = `UPDATE ${table} SET ${assignments.join(", ")}${whereClause(query.filters, params)} RETURNING *`;
+        return { rows: await run(sql, params) };
+      }
+
+      if (query.action === "delete") {
+        const sql = `DELETE FROM ${table}${whereClause(query.filters, params)} RETURNING *`;
+        return { rows: await run(sql, params) };
+      }
+
+      const where = whereClause(query.filters, params);
+      let sql = `SELECT * FROM ${table}${where}`;
+      if (query.orders.length) {
+        sql += ` ORDER BY ${query.orders.map(o => `${ident(o.column)} ${o.ascending ? "ASC" : "DESC"}`).join(", ")}`;
+      }
+      if (query.from !== null) {
+        sql += ` LIMIT ${Number(query.to) - Number(query.from) + 1} OFFSET ${Number(query.from)}`;
+      }
+
+      const rows = await run(sql, params);
+      if (!query.count) return { rows };
+
+      const [{ count }] = await run(`SELECT count(*)::int AS count FROM ${table}${where}`, params);
+      return { rows, count };
+    },
+  };
+}
@@ -0,0 +1,239 @@
+// db/query.js
+// Supabase-style query builder on top of a plain table driver.
+//
+// Routes talk to the database through `db.from(table)...` whatever the
+// backend is. Drivers only run flat single-table operations and always
+// return whole rows; column picking and embedded relations such as
+// `classes(class_name)` are handled here so every driver behaves the same.
+import { findRelation } from "./schema.js";
+
+// Split on commas that are not inside parentheses
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of input) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// "*, classes(class_name), author:users!report_submitted_by_fkey(name)"
+export function parseSelect(select = "*") {
+  return splitTopLevel(select.replace(/\s+/g, " ")).map(part => {
+    const match = part.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/);
+    if (match) {
+      const [, alias, name, hint, columns] = match;
+      return { embed: true, key: alias || name, name, hint, columns: columns || "*" };
+    }
+    const [, alias, name] = part.match(/^(?:(\w+):)?([\w*]+)$/) || [];
+    if (!name) throw new Error(`Invalid select column '${part}'`);
+    return { embed: false, key: alias || name, name };
+  });
+}
+
+// "topic.ilike.%week%,class_id.eq.3" -> [{ column, op, value }]
+export function parseOrFilter(expression) {
+  return splitTopLevel(expression).map(part => {
+    const [column, op, ...rest] = part.split(".");
+    let value = rest.join(".");
+    if (op === "in") value = value.replace(/^\(|\)$/g, "").split(",");
+    if (op === "is") value = value === "null" ? null : value === "true";
+    return { column, op, value };
+  });
+}
+
+class QueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.query = {
+      table,
+      action: "select",
+      filters: [],
+      orders: [],
+      from: null,
+      to: null,
+      count: false,
+      values: null,
+    };
+    this.columns = "*";
+    this.head = false;
+    this.returning = false;
+    this.resultMode = "many";
+  }
+
+  select(columns = "*", { count, head } = {}) {
+    this.columns = columns;
+    if (this.query.action === "select") {
+      this.query.count = count === "exact";
+      this.head = Boolean(head);
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.query.action = "insert";
+    this.query.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.query.action = "update";
+    this.query.values = values;
+    return this;
+  }
+
+  delete() {
+    this.query.action = "delete";
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.query.filters.push({ column, op, value });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, "eq", value); }
+  neq(column, value) { return this.filter(column, "neq", value); }
+  gt(column, value) { return this.filter(column, "gt", value); }
+  gte(column, value) { return this.filter(column, "gte", value); }
+  lt(column, value) { return this.filter(column, "lt", value); }
+  lte(column, value) { return this.filter(column, "lte", value); }
+  like(column, value) { return this.filter(column, "like", value); }
+  ilike(column, value) { return this.filter(column, "ilike", value); }
+  in(column, values) { return this.filter(column, "in", values); }
+  is(column, value) { return this.filter(column, "is", value); }
+
+  or(expression) {
+    this.query.filters.push({ op: "or", value: parseOrFilter(expression) });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.query.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    const from = this.query.from ?? 0;
+    return this.range(from, from + count - 1);
+  }
+
+  range(from, to) {
+    this.query.from = from;
+    this.query.to = to;
+    return this;
+  }
+
+  single() {
+    this.resultMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = "maybeSingle";
+    return this;
+  }
+
+  // Thenable, like supabase-js: `await query` resolves to { data, error, count }
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    try {
+      const { rows, count } = await this.client.driver.execute(this.query);
+      const wantsRows = this.query.action === "select" || this.returning;
+
+      let data = wantsRows && !this.head ? await this.client.shape(this.query.table, rows, this.columns) : null;
+
+      if (this.resultMode !== "many" && data) {
+        if (data.length > 1 || (data.length === 0 && this.resultMode === "single")) {
+          return {
+            data: null,
+            error: {
+              code: "PGRST116",
+              message: "JSON object requested, multiple (or no) rows returned",
+            },
+            count: null,
+          };
+        }
+        data = data[0] ?? null;
+      }
+
+      return { data, error: null, count: this.query.count ? count : null };
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: err.code }, count: null };
+    }
+  }
+}
+
+// Wrap a driver ({ execute(query) -> { rows, count } }) in the from() API
+export function createQueryClient(driver) {
+  const client = {
+    driver,
+
+    from(table) {
+      return new QueryBuilder(client, table);
+    },
+
+    // Pick columns and attach embedded relations to raw driver rows
+    async shape(table, rows, select) {
+      const items = parseSelect(select);
+      const embedded = new Map();
+
+      for (const item of items.filter(i => i.embed)) {
+        const { relation, many } = findRelation(table, item.name, item.hint);
+        const localKey = many ? relation.toColumn : relation.column;
+        const remoteKey = many ? relation.column : relation.toColumn;
+        const keys = [...new Set(rows.map(r => r[localKey]).filter(k => k !== null && k !== undefined))];
+
+        const lookup = new Map();
+        if (keys.length) {
+          const { rows: related } = await driver.execute({
+            table: item.name,
+            action: "select",
+            filters: [{ column: remoteKey, op: "in", value: keys }],
+            orders: [],
+            from: null,
+            to: null,
+          });
+          const shaped = await client.shape(item.name, related, item.columns);
+          related.forEach((raw, i) => {
+            const key = String(raw[remoteKey]);
+            if (many) lookup.set(key, [...(lookup.get(key) || []), shaped[i]]);
+            else lookup.set(key, shaped[i]);
+          });
+        }
+
+        embedded.set(item, row => {
+          const key = row[localKey];
+          const found = key === null || key === undefined ? undefined : lookup.get(String(key));
+          return found ?? (many ? [] : null);
+        });
+      }
+
+      return rows.map(row => {
+        const out = {};
+        for (const item of items) {
+          if (item.embed) out[item.key] = embedded.get(item)(row);
+          else if (item.name === "*") Object.assign(out, row);
+          else out[item.key] = row[item.name] ?? null;
+        }
+        return out;
+      });
+    },
+  };
+
+  return client;
+}
@@ -0,0 +1,95 @@
+// db/schema.js
+// Table metadata shared by the postgres and memory drivers.
+// Keep in sync with db/migrations/*.sql.
+
+export const TABLES = {
+  users: { primaryKey: "user_id", unique: [["email"]], defaults: { status: "active", email_verified: false, email_notifications: true, failed_logins: 0 } },
+  courses: { primaryKey: "course_id", unique: [] },
+  classes: { primaryKey: "id", unique: [], defaults: { status: "active" } },
+  report: { primaryKey: "report_id", unique: [["class_id", "week"]], defaults: { status: "submitted" } },
+  ratings: { primaryKey: "rating_id", unique: [["class_id", "student_id", "week"]] },
+  enrolments: { primaryKey: "enrolment_id", unique: [["class_id", "student_id"]] },
+  attendance: { primaryKey: "attendance_id", unique: [["report_id", "student_id"]] },
+  sessions: { primaryKey: "session_id", unique: [] },
+  user_tokens: { primaryKey: "token_id", unique: [["token_hash"]] },
+  audit_log: { primaryKey: "audit_id", unique: [] },
+  venues: { primaryKey: "venue_id", unique: [["name"]] },
+  timetable_slots: { primaryKey: "slot_id", unique: [] },
+  notifications: { primaryKey: "notification_id", unique: [] },
+  report_reminders: { primaryKey: "reminder_id", unique: [["class_id", "week"]] },
+  class_lecturers: { primaryKey: "class_lecturer_id", unique: [["class_id", "lecturer_id"]] },
+  rate_limit_hits: { primaryKey: "hit_id", unique: [] },
+  report_versions: { primaryKey: "version_id", unique: [["report_id", "version"]] },
+  report_attachments: { primaryKey: "attachment_id", unique: [["storage_key"]] },
+  semesters: { primaryKey: "semester_id", unique: [["name"]] },
+  faculties: { primaryKey: "faculty_id", unique: [["name"], ["code"]] },
+  programmes: { primaryKey: "programme_id", unique: [["faculty_id", "name"]] },
+  streams: { primaryKey: "stream_id", unique: [["programme_id", "name"]] },
+  semester_breaks: { primaryKey: "break_id", unique: [] },
+};
+
+// Foreign keys, named the way Postgres names them (<table>_<column>_fkey)
+// so select strings like `users!report_submitted_by_fkey(name)` work on
+// every driver. onDelete repeats the migration's ON DELETE rule ("cascade"
+// or "set null"; left out, deleting a referenced row is refused) for the
+// memory driver.
+export const RELATIONS = [
+  { name: "users_faculty_id_fkey", from: "users", column: "faculty_id", to: "faculties", toColumn: "faculty_id", onDelete: "set null" },
+  { name: "courses_faculty_id_fkey", from: "courses", column: "faculty_id", to: "faculties", toColumn: "faculty_id" },
+  { name: "programmes_faculty_id_fkey", from: "programmes", column: "faculty_id", to: "faculties", toColumn: "faculty_id", onDelete: "cascade" },
+  { name: "streams_programme_id_fkey", from: "streams", column: "programme_id", to: "programmes", toColumn: "programme_id", onDelete: "cascade" },
+  { name: "classes_faculty_id_fkey", from: "classes", column: "faculty_id", to: "faculties", toColumn: "faculty_id" },
+  { name: "classes_lecturer_id_fkey", from: "classes", column: "lecturer_id", to: "users", toColumn: "user_id", onDelete: "set null" },
+  { name: "classes_created_by_id_fkey", from: "classes", column: "created_by_id", to: "users", toColumn: "user_id", onDelete: "set null" },
+  { name: "classes_semester_id_fkey", from: "classes", column: "semester_id", to: "semesters", toColumn: "semester_id" },
+  { name: "class_lecturers_class_id_fkey", from: "class_lecturers", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "class_lecturers_lecturer_id_fkey", from: "class_lecturers", column: "lecturer_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+  { name: "report_class_id_fkey", from: "report", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "report_submitted_by_fkey", from: "report", column: "submitted_by", to: "users", toColumn: "user_id" },
+  { name: "report_reviewed_by_fkey", from: "report", column: "reviewed_by", to: "users", toColumn: "user_id" },
+  { name: "report_forwarded_by_fkey", from: "report", column: "forwarded_by", to: "users", toColumn: "user_id" },
+  { name: "report_decided_by_fkey", from: "report", column: "decided_by", to: "users", toColumn: "user_id" },
+  { name: "report_semester_id_fkey", from: "report", column: "semester_id", to: "semesters", toColumn: "semester_id" },
+  { name: "report_versions_report_id_fkey", from: "report_versions", column: "report_id", to: "report", toColumn: "report_id", onDelete: "cascade" },
+  { name: "report_versions_edited_by_fkey", from: "report_versions", column: "edited_by", to: "users", toColumn: "user_id", onDelete: "set null" },
+  { name: "report_attachments_report_id_fkey", from: "report_attachments", column: "report_id", to: "report", toColumn: "report_id", onDelete: "cascade" },
+  { name: "report_attachments_uploaded_by_fkey", from: "report_attachments", column: "uploaded_by", to: "users", toColumn: "user_id", onDelete: "set null" },
+  { name: "ratings_class_id_fkey", from: "ratings", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "ratings_student_id_fkey", from: "ratings", column: "student_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+  { name: "enrolments_class_id_fkey", from: "enrolments", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "enrolments_student_id_fkey", from: "enrolments", column: "student_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+  { name: "enrolments_enrolled_by_fkey", from: "enrolments", column: "enrolled_by", to: "users", toColumn: "user_id" },
+  { name: "attendance_report_id_fkey", from: "attendance", column: "report_id", to: "report", toColumn: "report_id", onDelete: "cascade" },
+  { name: "attendance_class_id_fkey", from: "attendance", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "attendance_student_id_fkey", from: "attendance", column: "student_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+  { name: "attendance_recorded_by_fkey", from: "attendance", column: "recorded_by", to: "users", toColumn: "user_id" },
+  { name: "sessions_user_id_fkey", from: "sessions", column: "user_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+  { name: "user_tokens_user_id_fkey", from: "user_tokens", column: "user_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+  { name: "audit_log_actor_id_fkey", from: "audit_log", column: "actor_id", to: "users", toColumn: "user_id", onDelete: "set null" },
+  { name: "timetable_slots_class_id_fkey", from: "timetable_slots", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "timetable_slots_venue_id_fkey", from: "timetable_slots", column: "venue_id", to: "venues", toColumn: "venue_id" },
+  { name: "report_reminders_class_id_fkey", from: "report_reminders", column: "class_id", to: "classes", toColumn: "id", onDelete: "cascade" },
+  { name: "semester_breaks_semester_id_fkey", from: "semester_breaks", column: "semester_id", to: "semesters", toColumn: "semester_id", onDelete: "cascade" },
+  { name: "notifications_user_id_fkey", from: "notifications", column: "user_id", to: "users", toColumn: "user_id", onDelete: "cascade" },
+];
+
+// Find the relation used to embed `name` into rows of `table`.
+// Returns { relation, many } where many means one-to-many (an array).
+export function findRelation(table, name, hint) {
+  const candidates = RELATIONS.filter(
+    r =>
+      ((r.from === table && r.to === name) || (r.to === table && r.from === name)) &&
+      (!hint || r.name === hint)
+  );
+
+  if (candidates.length !== 1) {
+    throw new Error(
+      candidates.length
+        ? `More than one relationship found for '${table}' and '${name}', add a !hint`
+        : `Could not find a relationship between '${table}' and '${name}'`
+    );
+  }
+
+  const relation = candidates[0];
+  return { relation, many: relation.to === table };
+}
@@ -0,0 +1,106 @@
+// db/seed.js
+// Demo data for local development. Every account uses SEED_PASSWORD.
+import bcrypt from "bcrypt";
+
+export const SEED_PASSWORD = "password123";
+
+const FACULTY = { name: "Faculty of ICT", code: "FICT" };
+const PROGRAMME = "Information Technology";
+const STREAMS = ["Software Engineering", "Data Science"];
+
+const USERS = [
+  { name: "Pat Leader", email: "pl@luct.test", role: "pl", programme: "Information Technology" },
+  { name: "Pru Reviewer", email: "prl@luct.test", role: "prl", stream: "Software Engineering" },
+  { name: "Lee Lecturer", email: "lecturer@luct.test", role: "lecturer" },
+  { name: "Sam Student", email: "student@luct.test", role: "student" },
+];
+
+const COURSES = [
+  {
+    course_code: "DIWA2110",
+    course_name: "Web Application Development",
+    programme: "Information Technology",
+    stream: "Software Engineering",
+  },
+  {
+    course_code: "DBDS2111",
+    course_name: "Database Systems",
+    programme: "Information Technology",
+    stream: "Data Science",
+  },
+];
+
+const VENUES = [
+  { name: "Room 101", building: "ICT Block", capacity: 60 },
+  { name: "Lab 2", building: "ICT Block", capacity: 30 },
+];
+
+// Insert the demo rows through the normal from() API, so it works on any
+// driver. Skips if users already exist.
+export async function seed(db) {
+  const { data: existing, error: checkError } = await db.from("users").select("user_id").limit(1);
+  if (checkError) throw checkError;
+  if (existing.length) return false;
+
+  const { data: faculties, error: facultyError } = await db.from("faculties").insert([FACULTY]).select();
+  if (facultyError) throw facultyError;
+  const { faculty_id } = faculties[0];
+
+  const { data: programmes, error: programmeError } = await db
+    .from("programmes")
+    .insert([{ faculty_id, name: PROGRAMME }])
+    .select();
+  if (programmeError) throw programmeError;
+
+  const { error: streamError } = await db
+    .from("streams")
+    .insert(STREAMS.map(name => ({ programme_id: programmes[0].programme_id, name })));
+  if (streamError) throw streamError;
+
+  const password = await bcrypt.hash(SEED_PASSWORD, 10);
+  const { data: users, error: userError } = await db
+    .from("users")
+    .insert(USERS.map(u => ({ ...u, faculty_id, password, email_verified: true })))
+    .select();
+  if (userError) throw userError;
+
+  const { error: courseError } = await db.from("courses").insert(COURSES.map(c => ({ ...c, faculty_id })));
+  if (courseError) throw courseError;
+
+  const { data: venues, error: venueError } = await db.from("venues").insert(VENUES).select();
+  if (venueError) throw venueError;
+
+  const lecturer = users.find(u => u.role === "lecturer");
+  const student = users.find(u => u.role === "student");
+
+  const { data: classes, error: classError } = await db
+    .from("classes")
+    .insert([
+      {
+        class_name: "BSCSM Y2 Group A",
+        course_name: COURSES[0].course_name,
+        course_code: COURSES[0].course_code,
+        lecturer_id: lecturer.user_id,
+        schedule: "Mon 10:00-12:00",
+        venue: "Room 101",
+        capacity: 40,
+        status: "active",
+        faculty_id,
+        created_by_id: lecturer.user_id,
+      },
+    ])
+    .select();
+  if (classError) throw classError;
+
+  const { error: slotError } = await db
+    .from("timetable_slots")
+    .insert([{ class_id: classes[0].id, day_of_week: 1, start_time: "10:00", end_time: "12:00", venue_id: venues[0].venue_id }]);
+  if (slotError) throw slotError;
+
+  const { error: enrolError } = await db
+    .from("enrolments")
+    .insert([{ class_id: classes[0].id, student_id: student.user_id, enrolled_by: student.user_id }]);
+  if (enrolError) throw enrolError;
+
+  return true;
+}
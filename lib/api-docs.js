@@ -0,0 +1,818 @@
+// lib/api-docs.js
+// The hand-written half of the OpenAPI document: a summary and the response
+// shapes for every route, keyed "METHOD /path" with {param} placeholders.
+// Parameters, request bodies, auth and roles are read from the routes by
+// lib/openapi.js, so only what the code can't tell goes here. A route
+// added without an entry (or an entry left behind) is reported at startup.
+
+import { listOf, ref } from "./openapi.js";
+
+const object = properties => ({ type: "object", properties });
+const str = { type: "string" };
+const int = { type: "integer" };
+const num = { type: "number" };
+const bool = { type: "boolean" };
+const dateTime = { type: "string", format: "date-time" };
+const date = { type: "string", format: "date" };
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: "array", items });
+
+const SUCCESS = { description: "Done", schema: ref("Success") };
+const ok = (description, schema) => ({ description, schema });
+const USER_UPDATED = ok("Updated", object({ success: bool, message: str, user: ref("User") }));
+const ENROLLED = ok("Enrolled", object({ success: bool, enrolment: { type: "object" } }));
+
+const REPORT_STATUSES = ["draft", "submitted", "reviewed", "forwarded", "approved", "returned"];
+const RATING_STATS = { count: int, average: nullable(num), distribution: { type: "object", additionalProperties: int } };
+const COMPLIANCE_TOTALS = object({
+  expected: int,
+  submitted: int,
+  on_time: int,
+  late: int,
+  missing: int,
+  compliance_rate: nullable(num),
+});
+
+export const API_SCHEMAS = {
+  Success: object({ success: bool, message: str }),
+  User: object({
+    user_id: int,
+    name: str,
+    email: { type: "string", format: "email" },
+    role: str,
+    status: { type: "string", enum: ["active", "pending", "inactive"], description: "pending until a PL approves a PRL/PL registration" },
+    faculty_id: nullable(int),
+    programme: nullable(str),
+    stream: nullable(str),
+    email_verified: bool,
+    email_notifications: bool,
+    failed_logins: int,
+    locked_until: nullable(dateTime),
+    created_at: dateTime,
+  }),
+  Tokens: object({
+    token: { type: "string", description: "Access token (JWT) for the Authorization header" },
+    refresh_token: str,
+    expires_in: { type: "integer", description: "Seconds until the access token expires" },
+  }),
+  Session: object({
+    session_id: str,
+    user_agent: nullable(str),
+    ip_address: nullable(str),
+    created_at: dateTime,
+    last_used_at: nullable(dateTime),
+    expires_at: dateTime,
+    current: bool,
+  }),
+  Lecturer: object({ user_id: int, name: str, email: str, role: str, faculty_id: nullable(int) }),
+  TimetableSlot: object({
+    slot_id: int,
+    day_of_week: { type: "integer", minimum: 1, maximum: 7 },
+    day: str,
+    start_time: { type: "string", example: "08:30" },
+    end_time: { type: "string", example: "10:30" },
+    venue_id: int,
+    venue: nullable(str),
+  }),
+  Class: object({
+    id: int,
+    class_name: str,
+    course_name: str,
+    course_code: str,
+    lecturer_id: nullable(int),
+    lecturer: nullable({ type: "string", description: "Lead lecturer's name" }),
+    co_lecturers: arrayOf(object({ user_id: int, name: str })),
+    capacity: nullable(int),
+    status: str,
+    semester_id: nullable(int),
+    faculty_id: nullable({ type: "integer", description: "The course's faculty" }),
+    created_by_id: nullable(int),
+    created_by: nullable(str),
+    created_at: dateTime,
+    timetable: arrayOf(ref("TimetableSlot")),
+  }),
+  Clash: object({
+    error: { type: "string", enum: ["Timetable clash"] },
+    clashes: arrayOf(object({ type: str, day_of_week: int, start_time: str, end_time: str, class_id: int, venue_id: int, lecturer_id: int })),
+  }),
+  Venue: object({ venue_id: int, name: str, building: nullable(str), capacity: nullable(int), created_at: dateTime }),
+  Semester: object({ semester_id: int, name: str, start_date: date, end_date: date, created_at: dateTime }),
+  AcademicCalendar: {
+    allOf: [
+      ref("Semester"),
+      object({
+        breaks: arrayOf(object({ break_id: int, name: str, kind: { type: "string", enum: ["holiday", "exam"] }, start_date: date, end_date: date })),
+        weeks: arrayOf(object({ week: int, start_date: date, end_date: date })),
+        current_week: nullable({ type: "integer", description: "Teaching weeks started by today; null outside the semester" }),
+      }),
+    ],
+  },
+  Faculty: object({
+    faculty_id: int,
+    name: str,
+    code: nullable(str),
+    programmes: arrayOf(object({ programme_id: int, name: str, streams: arrayOf(object({ stream_id: int, name: str })) })),
+    created_at: dateTime,
+  }),
+  Course: object({
+    course_id: int,
+    course_code: str,
+    course_name: str,
+    faculty_id: nullable(int),
+    faculty: nullable({ type: "string", description: "The faculty's name" }),
+    programme: nullable(str),
+    stream: nullable(str),
+    created_at: dateTime,
+  }),
+  Report: object({
+    id: int,
+    faculty_id: nullable(int),
+    faculty_name: nullable(str),
+    class_id: int,
+    class_name: str,
+    course_name: str,
+    course_code: str,
+    lecturer_name: str,
+    week: int,
+    week_of_reporting: str,
+    semester_id: nullable(int),
+    date_of_lecture: date,
+    actual_students_present: int,
+    total_registered_students: int,
+    venue: nullable(str),
+    scheduled_time: nullable(str),
+    scheduled_end_time: nullable(str),
+    topic_taught: str,
+    learning_outcomes: nullable(str),
+    recommendations: nullable(str),
+    status: { type: "string", enum: REPORT_STATUSES },
+    feedback: str,
+    reviewed_by: nullable(int),
+    reviewed_at: nullable(dateTime),
+    forwarded_by: nullable(int),
+    forwarded_at: nullable(dateTime),
+    pl_feedback: str,
+    decided_by: nullable(int),
+    decided_at: nullable(dateTime),
+    created_by: int,
+    created_at: dateTime,
+    submitted_at: nullable(dateTime),
+  }),
+  ReportVersion: object({
+    version: int,
+    status: str,
+    changes: {
+      type: "object",
+      description: "Changed fields, each { from, to }",
+      additionalProperties: object({ from: {}, to: {} }),
+    },
+    edited_by: nullable(int),
+    edited_by_name: nullable(str),
+    created_at: dateTime,
+  }),
+  Attachment: object({
+    attachment_id: int,
+    report_id: int,
+    filename: str,
+    content_type: str,
+    size_bytes: int,
+    uploaded_by: nullable(int),
+    uploaded_by_name: nullable(str),
+    created_at: dateTime,
+  }),
+  Rating: object({ rating_id: int, class_id: int, student_id: int, week: int, score: int, comment: nullable(str), created_at: dateTime }),
+  Notification: object({
+    notification_id: int,
+    type: str,
+    title: str,
+    message: str,
+    link: nullable(str),
+    data: nullable({ type: "object" }),
+    read: bool,
+    read_at: nullable(dateTime),
+    created_at: dateTime,
+  }),
+  AuditEntry: object({
+    audit_id: int,
+    actor_id: nullable(int),
+    actor_role: nullable(str),
+    actor_name: nullable(str),
+    actor_email: nullable(str),
+    action: str,
+    resource: str,
+    resource_id: nullable(str),
+    before: nullable({ type: "object" }),
+    after: nullable({ type: "object" }),
+    ip_address: nullable(str),
+    user_agent: nullable(str),
+    created_at: dateTime,
+  }),
+  ImportResult: object({
+    success: bool,
+    type: str,
+    dry_run: bool,
+    total: int,
+    valid: int,
+    invalid: int,
+    created: int,
+    ids: arrayOf(int),
+    errors: arrayOf(object({ row: int, field: nullable(str), message: str })),
+  }),
+};
+
+const REPORT_TRANSITION_DOCS = {
+  submit: "Submit a draft",
+  review: "PRL review with feedback",
+  forward: "Forward a reviewed report to the PL",
+  approve: "PL approval",
+  return: "Return a report to its lecturer (feedback required)",
+  resubmit: "Resubmit a returned report",
+};
+
+const transition = (action, summary) => ({
+  tag: "Reports",
+  summary,
+  description: "Moves the report through the review workflow; the current status must allow the action.",
+  policy: { resource: "reports", action },
+  responses: {
+    200: ok("The updated report", object({ success: bool, report: ref("Report") })),
+    404: "Report not found",
+    409: "The report's status doesn't allow this action, or a draft has no attendance yet",
+  },
+});
+
+export const API_DOCS = {
+  // Auth
+  "POST /register": {
+    tag: "Auth",
+    summary: "Create an account and send a verification email",
+    description: "PRL and PL accounts stay pending, unable to log in, until a PL approves them.",
+    responses: {
+      201: ok("Registered", object({ success: bool, message: str, user: ref("User") })),
+      400: "User already exists, or the faculty does not exist",
+    },
+  },
+  "POST /login": {
+    tag: "Auth",
+    summary: "Log in and start a session",
+    responses: {
+      200: ok("Logged in", { allOf: [ref("Tokens"), object({ success: bool, message: str, user: object({ id: int, name: str, email: str, role: str }) })] }),
+      401: "Invalid credentials",
+      403: "Account inactive, awaiting approval or email not verified",
+      429: "Too many attempts, or the account is locked after repeated failed logins",
+    },
+  },
+  "POST /verify-email": {
+    tag: "Auth",
+    summary: "Verify an email address with the emailed token",
+    responses: { 200: SUCCESS, 400: "Invalid or expired verification link" },
+  },
+  "POST /verify-email/resend": { tag: "Auth", summary: "Send a new verification email", responses: { 200: SUCCESS } },
+  "POST /password/forgot": { tag: "Auth", summary: "Email a password reset link", responses: { 200: SUCCESS } },
+  "POST /password/reset": {
+    tag: "Auth",
+    summary: "Set a new password with the emailed token",
+    responses: { 200: SUCCESS, 400: "Invalid or expired reset link" },
+  },
+  "PUT /password": {
+    tag: "Auth",
+    summary: "Change your password (ends your other sessions)",
+    responses: { 200: SUCCESS },
+  },
+  "POST /token/refresh": {
+    tag: "Auth",
+    summary: "Exchange a refresh token for new tokens",
+    responses: {
+      200: ok("New tokens; the old refresh token stops working", { allOf: [ref("Tokens"), object({ success: bool })] }),
+      401: "Invalid or expired refresh token",
+      403: "Account is not active",
+    },
+  },
+  "POST /logout": { tag: "Auth", summary: "End the current session", responses: { 200: SUCCESS } },
+  "POST /logout-all": { tag: "Auth", summary: "End every session of the current user", responses: { 200: SUCCESS } },
+  "GET /sessions": { tag: "Auth", summary: "List your active sessions", responses: { 200: ok("Sessions", arrayOf(ref("Session"))) } },
+  "GET /profile": { tag: "Auth", summary: "The logged-in user", responses: { 200: ok("Profile", ref("User")) } },
+  "PUT /profile": {
+    tag: "Auth",
+    summary: "Change your name or password",
+    description: "A new password needs current_password and ends your other sessions.",
+    responses: { 200: USER_UPDATED, 401: "Current password is incorrect" },
+  },
+  "POST /users/{id}/unlock": {
+    tag: "Auth",
+    summary: "Lift a login lockout",
+    responses: { 200: SUCCESS, 403: "User is outside your faculty", 404: "User not found" },
+  },
+
+  // Users
+  "GET /users": { tag: "Users", summary: "List and search users", responses: { 200: ok("Users", listOf("User")) } },
+  "GET /users/{id}": {
+    tag: "Users",
+    summary: "A single user",
+    responses: { 200: ok("User", ref("User")), 403: "User is outside your faculty", 404: "User not found" },
+  },
+  "POST /users/{id}/approve": {
+    tag: "Users",
+    summary: "Approve a pending PRL/PL registration",
+    responses: { 200: USER_UPDATED, 403: "User is outside your faculty", 404: "User not found", 409: "Account is not awaiting approval" },
+  },
+  "PUT /users/{id}/role": {
+    tag: "Users",
+    summary: "Change a user's role",
+    responses: { 200: USER_UPDATED, 403: "User is outside your faculty, or PL for a user outside it", 404: "User not found", 409: "You can't change your own role" },
+  },
+  "POST /users/{id}/deactivate": {
+    tag: "Users",
+    summary: "Deactivate an account (or reject a pending one) and end its sessions",
+    responses: { 200: USER_UPDATED, 403: "User is outside your faculty", 404: "User not found", 409: "Already inactive, or your own account" },
+  },
+  "POST /users/{id}/reactivate": {
+    tag: "Users",
+    summary: "Reactivate a deactivated account",
+    responses: { 200: USER_UPDATED, 403: "User is outside your faculty", 404: "User not found", 409: "Account is not inactive" },
+  },
+  "PUT /users/{id}/faculty": {
+    tag: "Users",
+    summary: "Place a user in a faculty, with their programme or stream",
+    responses: {
+      200: USER_UPDATED,
+      400: "The programme or stream is not listed under the faculty",
+      403: "Outside your own faculty",
+      404: "User not found",
+    },
+  },
+
+  // Timetable and venues
+  "GET /timetable": {
+    tag: "Timetable",
+    summary: "Weekly timetable slots",
+    responses: {
+      200: ok("Slots by day and time", arrayOf({ allOf: [ref("TimetableSlot"), object({ class_id: int, class_name: str, course_code: str, lecturer_id: nullable(int), lecturer: nullable(str) })] })),
+    },
+  },
+  "GET /venues": { tag: "Venues", summary: "List venues", responses: { 200: ok("Venues", listOf("Venue")) } },
+  "GET /venues/{id}": {
+    tag: "Venues",
+    summary: "A venue and its bookings",
+    responses: { 200: ok("Venue", { allOf: [ref("Venue"), object({ bookings: arrayOf({ type: "object" }) })] }), 404: "Venue not found" },
+  },
+  "POST /venues": {
+    tag: "Venues",
+    summary: "Add a venue",
+    responses: { 201: ok("Created", ref("Venue")), 409: "A venue with that name already exists" },
+  },
+  "PUT /venues/{id}": {
+    tag: "Venues",
+    summary: "Update a venue",
+    responses: { 200: ok("Updated", ref("Venue")), 404: "Venue not found", 409: "A venue with that name already exists" },
+  },
+  "DELETE /venues/{id}": {
+    tag: "Venues",
+    summary: "Delete a venue that has no bookings",
+    responses: { 200: SUCCESS, 404: "Venue not found", 409: "Venue is booked" },
+  },
+
+  // Academic calendar
+  "GET /semesters": { tag: "Semesters", summary: "List semesters", responses: { 200: ok("Semesters", listOf("Semester")) } },
+  "GET /semesters/current": {
+    tag: "Semesters",
+    summary: "The semester running today, with its teaching weeks",
+    responses: { 200: ok("Calendar", ref("AcademicCalendar")), 404: "No semester is running today" },
+  },
+  "GET /semesters/{id}": {
+    tag: "Semesters",
+    summary: "A semester with its breaks and teaching weeks",
+    responses: { 200: ok("Calendar", ref("AcademicCalendar")), 404: "Semester not found" },
+  },
+  "POST /semesters": {
+    tag: "Semesters",
+    summary: "Add a semester with its holidays and exam periods",
+    description: "Weeks whose weekdays all fall in breaks are not teaching weeks and take no number.",
+    responses: { 201: ok("Created", ref("AcademicCalendar")), 409: "The name is taken or the dates overlap another semester" },
+  },
+  "PUT /semesters/{id}": {
+    tag: "Semesters",
+    summary: "Update a semester; breaks replace the old ones",
+    responses: {
+      200: ok("Updated", ref("AcademicCalendar")),
+      404: "Semester not found",
+      409: "The name is taken or the dates overlap another semester",
+    },
+  },
+  "DELETE /semesters/{id}": {
+    tag: "Semesters",
+    summary: "Delete a semester that has no classes or reports",
+    responses: { 200: SUCCESS, 404: "Semester not found", 409: "Semester has classes or reports" },
+  },
+
+  // Faculties
+  "GET /faculties": { tag: "Faculties", summary: "List faculties", responses: { 200: ok("Faculties", listOf("Faculty")) } },
+  "GET /faculties/{id}": {
+    tag: "Faculties",
+    summary: "A faculty with its programmes and streams",
+    responses: { 200: ok("Faculty", ref("Faculty")), 404: "Faculty not found" },
+  },
+  "POST /faculties": {
+    tag: "Faculties",
+    summary: "Add a faculty with its programmes and streams",
+    responses: {
+      201: ok("Created", ref("Faculty")),
+      403: "Only a PL without a faculty can add faculties",
+      409: "A faculty with that name or code already exists",
+    },
+  },
+  "PUT /faculties/{id}": {
+    tag: "Faculties",
+    summary: "Update a faculty; programmes replace the old ones",
+    responses: {
+      200: ok("Updated", ref("Faculty")),
+      403: "You can only change your own faculty",
+      404: "Faculty not found",
+      409: "The name or code is taken, or a dropped programme or stream is still used",
+    },
+  },
+  "DELETE /faculties/{id}": {
+    tag: "Faculties",
+    summary: "Delete a faculty that has no courses, classes or users",
+    responses: {
+      200: SUCCESS,
+      403: "You can only change your own faculty",
+      404: "Faculty not found",
+      409: "Faculty has courses, classes or users",
+    },
+  },
+
+  // Classes
+  "GET /classes": { tag: "Classes", summary: "List classes", responses: { 200: ok("Classes", listOf("Class")) } },
+  "GET /classes/options": {
+    tag: "Classes",
+    summary: "Classes for pickers (a lecturer gets the classes they teach)",
+    responses: {
+      200: ok("Classes", arrayOf(object({ id: int, class_name: str, course_name: str, course_code: str, lecturer_id: nullable(int), lecturer: nullable(str) }))),
+    },
+  },
+  "POST /classes": {
+    tag: "Classes",
+    summary: "Add a class with its timetable",
+    description: "lecturer_id defaults to the creating lecturer; co_lecturer_ids must be active lecturers.",
+    responses: { 201: ok("Created", object({ success: bool, class: ref("Class") })), 409: { description: "Timetable clash", schema: ref("Clash") } },
+  },
+  "PUT /classes/{id}": {
+    tag: "Classes",
+    summary: "Update a class; a timetable replaces the old one",
+    responses: {
+      200: ok("Updated", object({ success: bool, class: ref("Class") })),
+      404: "Class not found",
+      409: { description: "Timetable clash", schema: ref("Clash") },
+    },
+  },
+  "DELETE /classes/{id}": {
+    tag: "Classes",
+    summary: "Delete a class without reports (its lead lecturer or creator, or a PL)",
+    responses: { 200: SUCCESS, 404: "Class not found", 409: "Class has reports" },
+  },
+  "POST /classes/{id}/enrol": {
+    tag: "Enrolment",
+    summary: "Enrol yourself in a class",
+    responses: { 201: ENROLLED, 404: "Class not found", 409: "Class is closed, full or already joined" },
+  },
+  "DELETE /classes/{id}/enrol": {
+    tag: "Enrolment",
+    summary: "Leave a class",
+    responses: { 200: SUCCESS, 404: "Not enrolled in this class" },
+  },
+  "GET /classes/{id}/students": {
+    tag: "Enrolment",
+    summary: "A class roster",
+    responses: {
+      200: ok("Roster", object({
+        class_id: int,
+        capacity: nullable(int),
+        enrolled: int,
+        students: arrayOf(object({ enrolment_id: int, student_id: int, name: str, email: str, enrolled_at: dateTime })),
+      })),
+      404: "Class not found",
+    },
+  },
+  "POST /classes/{id}/students": {
+    tag: "Enrolment",
+    summary: "Enrol a student in a class",
+    responses: { 201: ENROLLED, 404: "Class or student not found", 409: "Class is full or the student is already enrolled" },
+  },
+  "DELETE /classes/{id}/students/{studentId}": {
+    tag: "Enrolment",
+    summary: "Remove a student from a class",
+    responses: { 200: SUCCESS, 404: "Class not found or student not enrolled" },
+  },
+  "GET /enrolments/mine": {
+    tag: "Enrolment",
+    summary: "Classes you are enrolled in",
+    responses: { 200: ok("Enrolments", arrayOf({ type: "object" })) },
+  },
+
+  // Reports
+  "GET /reports": { tag: "Reports", summary: "List reports", responses: { 200: ok("Reports", listOf("Report")) } },
+  "GET /reports/export": {
+    tag: "Reports",
+    summary: "Download the filtered reports",
+    responses: {
+      200: {
+        description: "The export file",
+        content: {
+          "text/csv": { schema: str },
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": { schema: { type: "string", format: "binary" } },
+        },
+      },
+    },
+  },
+  "POST /reports": {
+    tag: "Reports",
+    summary: "Submit a lecture report, or save it as a draft",
+    description:
+      "With draft: true the report is only visible to its author and attendance may be recorded later. " +
+      "When the class has a semester, or one covers the date, the week is computed from the date and may be left out.",
+    responses: {
+      201: ok("Created", object({ success: bool, report: ref("Report") })),
+      404: "Class not found",
+      409: "A report for that week already exists",
+    },
+  },
+  "GET /reports/{id}": {
+    tag: "Reports",
+    summary: "A single report",
+    responses: { 200: ok("Report", ref("Report")), 404: "Report not found" },
+  },
+  "PUT /reports/{id}": {
+    tag: "Reports",
+    summary: "Edit a draft or returned report",
+    description:
+      "Lecturers edit their own drafts and returned reports; each edit that changes something is saved as a version. " +
+      "For PRLs this is still an alias of POST /reports/{id}/review and takes only feedback.",
+    policy: { resource: "reports", action: "update" },
+    responses: {
+      200: ok("The report and the new version number (null when nothing changed)", object({ success: bool, version: nullable(int), report: ref("Report") })),
+      404: "Report not found",
+      409: "The report can't be edited in its status, or the new week is taken",
+    },
+  },
+  "GET /reports/{id}/versions": {
+    tag: "Reports",
+    summary: "A report's version history",
+    responses: { 200: ok("Versions, oldest first", arrayOf(ref("ReportVersion"))), 404: "Report not found" },
+  },
+  "GET /reports/{id}/versions/{version}": {
+    tag: "Reports",
+    summary: "One version of a report, with its content",
+    responses: {
+      200: ok("Version", { allOf: [ref("ReportVersion"), object({ report_id: int, snapshot: { type: "object" } })] }),
+      404: "Report or version not found",
+    },
+  },
+  "GET /reports/{id}/attachments": {
+    tag: "Reports",
+    summary: "Files attached to a report",
+    responses: { 200: ok("Attachments, oldest first", arrayOf(ref("Attachment"))), 404: "Report not found" },
+  },
+  "POST /reports/{id}/attachments": {
+    tag: "Reports",
+    summary: "Attach a file to your report",
+    description:
+      "Send the file itself as the body with its Content-Type (PDF, images, Office documents, text or CSV); " +
+      "the filename's extension must match the type. Allowed while the report is a draft, submitted or returned.",
+    requestBody: { required: true, content: { "*/*": { schema: { type: "string", format: "binary" } } } },
+    responses: {
+      201: ok("Uploaded", object({ success: bool, attachment: ref("Attachment") })),
+      400: "The file is empty",
+      404: "Report not found",
+      409: "The report's status doesn't allow changes, or it has the most attachments allowed",
+      413: "The file is over ATTACHMENT_MAX_MB",
+      415: { description: "The file type is not accepted", schema: object({ error: str, accepted: arrayOf(str) }) },
+    },
+  },
+  "GET /reports/{id}/attachments/{attachmentId}": {
+    tag: "Reports",
+    summary: "Download an attachment",
+    responses: {
+      200: { description: "The file, with its own Content-Type", content: { "*/*": { schema: { type: "string", format: "binary" } } } },
+      404: "Report or attachment not found",
+    },
+  },
+  "DELETE /reports/{id}/attachments/{attachmentId}": {
+    tag: "Reports",
+    summary: "Remove an attachment from your report",
+    responses: { 200: SUCCESS, 404: "Report or attachment not found", 409: "The report's status doesn't allow changes" },
+  },
+  ...Object.fromEntries(
+    Object.entries(REPORT_TRANSITION_DOCS).map(([action, summary]) => [`POST /reports/{id}/${action}`, transition(action, summary)])
+  ),
+  "PUT /reports/{id}/attendance": {
+    tag: "Reports",
+    summary: "Record the attendance register for a draft or returned report",
+    responses: {
+      200: ok("Recorded, with the new version number (null when the count is unchanged)", object({ success: bool, version: nullable(int), present: int, absent: int })),
+      400: "Some present students are not enrolled in the class",
+      404: "Report not found",
+      409: "The report is no longer editable",
+    },
+  },
+  "GET /reports/{id}/attendance": {
+    tag: "Reports",
+    summary: "The attendance register of a report",
+    responses: {
+      200: ok("Register", object({ report_id: int, present: int, absent: int, register: arrayOf(object({ student_id: int, name: str, present: bool })) })),
+      404: "Report not found",
+    },
+  },
+  "GET /attendance/mine": {
+    tag: "Enrolment",
+    summary: "Your attendance per enrolled class",
+    responses: {
+      200: ok("History", arrayOf(object({
+        class_id: int,
+        class_name: str,
+        course_code: str,
+        attended: int,
+        recorded: int,
+        attendance_rate: nullable(int),
+        lectures: arrayOf(object({ report_id: int, week: int, date: str, topic: str, present: nullable(bool) })),
+      }))),
+    },
+  },
+
+  // Courses and lecturers
+  "GET /lecturers": { tag: "Lecturers", summary: "List lecturers", responses: { 200: ok("Lecturers", listOf("Lecturer")) } },
+  "GET /courses": { tag: "Courses", summary: "List courses", responses: { 200: ok("Courses", listOf("Course")) } },
+  "GET /courses/{id}": { tag: "Courses", summary: "A single course", responses: { 200: ok("Course", ref("Course")), 404: "Course not found" } },
+  "POST /courses": {
+    tag: "Courses",
+    summary: "Add a course",
+    description: "faculty_id defaults to your own; the programme and stream must be listed under the faculty.",
+    responses: { 201: ok("Created", ref("Course")) },
+  },
+  "PUT /courses/{id}": {
+    tag: "Courses",
+    summary: "Update a course",
+    responses: { 200: ok("Updated", ref("Course")), 404: "Course not found" },
+  },
+  "DELETE /courses/{id}": {
+    tag: "Courses",
+    summary: "Delete a course",
+    responses: { 200: ok("Deleted", object({ message: str, course: ref("Course") })), 404: "Course not found" },
+  },
+
+  // Import
+  "POST /import/{type}": {
+    tag: "Import",
+    summary: "Bulk import users, courses or classes from CSV",
+    description: "All rows are checked first and nothing is written unless every row is valid. ?dry_run=true only checks.",
+    requestBody: {
+      required: true,
+      content: {
+        "text/csv": { schema: str },
+        "application/json": { schema: object({ csv: str }) },
+      },
+    },
+    responses: {
+      200: ok("Dry run result", ref("ImportResult")),
+      201: ok("Imported", ref("ImportResult")),
+      400: { description: "The file has errors; nothing was imported", schema: ref("ImportResult") },
+      409: "Rows were added while importing; nothing was imported",
+    },
+  },
+
+  // Analytics and ratings
+  "GET /analytics/attendance": {
+    tag: "Analytics",
+    summary: "Attendance rates per class or course, week by week",
+    responses: { 200: ok("Attendance", object({ group_by: str, attendance_rate: nullable(num), groups: arrayOf({ type: "object" }) })) },
+  },
+  "GET /analytics/attendance/ranking": {
+    tag: "Analytics",
+    summary: "Most and least attended classes",
+    responses: { 200: ok("Ranking", object({ most_attended: arrayOf({ type: "object" }), least_attended: arrayOf({ type: "object" }) })) },
+  },
+  "GET /analytics/submissions": {
+    tag: "Analytics",
+    summary: "Report submissions per lecturer",
+    responses: {
+      200: ok("Submissions", arrayOf(object({
+        lecturer_id: int,
+        lecturer_name: str,
+        total: int,
+        by_status: object(Object.fromEntries(REPORT_STATUSES.map(status => [status, int]))),
+        classes: int,
+        weeks_reported: int,
+        last_submitted_at: nullable(dateTime),
+      }))),
+    },
+  },
+  "GET /analytics/coverage": {
+    tag: "Analytics",
+    summary: "Weeks and topics covered per course",
+    responses: {
+      200: ok("Coverage", arrayOf(object({
+        course_code: str,
+        course_name: str,
+        weeks_elapsed: int,
+        weeks_covered: int,
+        coverage_rate: nullable(num),
+        missing_weeks: arrayOf(int),
+        topics_taught: int,
+        topics: arrayOf({ type: "object" }),
+      }))),
+    },
+  },
+  "POST /ratings": {
+    tag: "Ratings",
+    summary: "Rate a class you are enrolled in",
+    responses: {
+      201: ok("Created", object({ success: bool, rating: ref("Rating") })),
+      404: "Class not found",
+      409: "Already rated this class for that week",
+    },
+  },
+  "GET /ratings/mine": { tag: "Ratings", summary: "Your ratings", responses: { 200: ok("Ratings", arrayOf(ref("Rating"))) } },
+  "GET /ratings/summary": {
+    tag: "Ratings",
+    summary: "Rating averages per class, course or lecturer",
+    responses: { 200: ok("Summary", object({ group_by: str, overall: object(RATING_STATS), groups: arrayOf({ type: "object" }) })) },
+  },
+  "GET /ratings/classes/{id}": {
+    tag: "Ratings",
+    summary: "Anonymised ratings of a class",
+    responses: {
+      200: ok("Ratings", object({ class_id: int, class_name: str, ...RATING_STATS, ratings: arrayOf({ type: "object" }) })),
+      404: "Class not found",
+    },
+  },
+
+  // Notifications and live feed
+  "GET /notifications": { tag: "Notifications", summary: "Your notifications", responses: { 200: ok("Notifications", listOf("Notification")) } },
+  "GET /notifications/unread-count": {
+    tag: "Notifications",
+    summary: "Number of unread notifications",
+    responses: { 200: ok("Count", object({ unread: int })) },
+  },
+  "POST /notifications/read-all": {
+    tag: "Notifications",
+    summary: "Mark every notification read",
+    responses: { 200: ok("Updated", object({ success: bool, updated: int })) },
+  },
+  "POST /notifications/{id}/read": {
+    tag: "Notifications",
+    summary: "Mark a notification read",
+    responses: { 200: ok("Updated", object({ success: bool, notification: ref("Notification") })), 404: "Notification not found" },
+  },
+  "GET /notifications/preferences": {
+    tag: "Notifications",
+    summary: "Your notification settings",
+    responses: { 200: ok("Preferences", object({ email: bool })) },
+  },
+  "PUT /notifications/preferences": {
+    tag: "Notifications",
+    summary: "Turn email notifications on or off",
+    responses: { 200: ok("Updated", object({ success: bool, email: bool })) },
+  },
+  "GET /feed": {
+    tag: "Live feed",
+    summary: "Server-Sent Events stream of report and class changes",
+    description:
+      "EventSource can't send headers, so the token may be passed as ?access_token. Reconnects resume from Last-Event-ID.",
+    security: [{ bearerAuth: [] }, { accessTokenQuery: [] }],
+    responses: { 200: { description: "Event stream", content: { "text/event-stream": { schema: str } } } },
+  },
+
+  // Compliance and audit
+  "GET /compliance": {
+    tag: "Compliance",
+    summary: "Which classes have reported each week",
+    responses: {
+      200: ok("Compliance", object({
+        weeks_elapsed: int,
+        deadline_days: int,
+        overall: COMPLIANCE_TOTALS,
+        lecturers: arrayOf({ allOf: [object({ lecturer_id: nullable(int), lecturer: nullable(str), classes: int }), COMPLIANCE_TOTALS] }),
+        classes: arrayOf({ type: "object" }),
+      })),
+    },
+  },
+  "POST /compliance/reminders": {
+    tag: "Compliance",
+    summary: "Send reminders for missing reports now",
+    responses: {
+      200: ok("Reminders sent", object({ success: bool, reminded: { type: "object" } })),
+      409: "Reminders are not configured",
+    },
+  },
+  "GET /audit-log": { tag: "Audit", summary: "Search the audit log", responses: { 200: ok("Entries", listOf("AuditEntry")) } },
+
+  // System
+  "GET /health": {
+    tag: "System",
+    summary: "Health check",
+    responses: { 200: ok("Running", object({ status: str, timestamp: dateTime, service: str })) },
+  },
+  "GET /": { tag: "System", summary: "Banner", responses: { 200: { description: "Plain text banner" } } },
+  "GET /openapi.json": { tag: "System", summary: "This document", responses: { 200: ok("OpenAPI 3 document", { type: "object" }) } },
+  "GET /docs": { tag: "System", summary: "Interactive API docs", responses: { 200: { description: "HTML page", content: { "text/html": { schema: str } } } } },
+};
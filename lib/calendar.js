@@ -0,0 +1,67 @@
+// lib/calendar.js
+// Teaching weeks of a semester. Weeks are 7-day blocks counted from the
+// semester's start date; a block whose weekdays all fall in breaks
+// (holidays or exam periods) is not a teaching week and takes no number,
+// so week 5 is the fifth week actually taught. Dates are YYYY-MM-DD strings.
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function isWeekday(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+}
+
+// The break covering `day`, or null
+export function breakOn(breaks, day) {
+  return breaks.find(b => b.start_date <= day && day <= b.end_date) || null;
+}
+
+// [{ week, start_date, end_date }] for a semester and its breaks; the last
+// week ends with the semester
+export function teachingWeeks({ start_date, end_date }, breaks = []) {
+  const weeks = [];
+  for (let start = start_date; start <= end_date; start = addDays(start, 7)) {
+    const last = addDays(start, 6) < end_date ? addDays(start, 6) : end_date;
+
+    let taught = false;
+    for (let day = start; day <= last && !taught; day = addDays(day, 1)) {
+      taught = isWeekday(day) && !breakOn(breaks, day);
+    }
+    if (taught) weeks.push({ week: weeks.length + 1, start_date: start, end_date: last });
+  }
+  return weeks;
+}
+
+// A semester row with its breaks and computed teaching weeks
+export function academicCalendar(semester, breaks = []) {
+  const sorted = [...breaks].sort((a, b) => a.start_date.localeCompare(b.start_date));
+  return { ...semester, breaks: sorted, weeks: teachingWeeks(semester, sorted) };
+}
+
+// The teaching week of a lecture on `day`: { week }, or { error } saying
+// why no lecture can be on that day
+export function weekOfDate(calendar, day) {
+  if (day < calendar.start_date || day > calendar.end_date) {
+    return { error: `is outside ${calendar.name} (${calendar.start_date} to ${calendar.end_date})` };
+  }
+
+  const onBreak = breakOn(calendar.breaks, day);
+  if (onBreak) return { error: `falls in ${onBreak.name} (${onBreak.kind === "exam" ? "exam period" : "holiday"})` };
+
+  const week = calendar.weeks.find(w => w.start_date <= day && day <= w.end_date);
+  return week ? { week: week.week } : { error: "is not in a teaching week" };
+}
+
+// Teaching weeks that have started by `day`
+export function weeksStarted(calendar, day) {
+  return calendar.weeks.filter(w => w.start_date <= day).length;
+}
+
+// Teaching weeks that were over before `day`
+export function weeksEnded(calendar, day) {
+  return calendar.weeks.filter(w => w.end_date < day).length;
+}
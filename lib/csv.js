@@ -0,0 +1,71 @@
+// lib/csv.js
+// Minimal RFC 4180 reader for bulk imports: comma separated, "quoted"
+// cells with "" escapes and embedded newlines, CRLF or LF line endings.
+
+// Split text into records of raw cells. Each record remembers the line it
+// started on so errors can point at the right place in the file.
+function readRecords(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    records.push({ line: start, cells: record });
+    record = [];
+    start = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === "") quoted = true;
+    else if (char === ",") endCell();
+    else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else cell += char;
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted cell starting on line ${start}`);
+  if (cell !== "" || record.length) endRecord();
+  return records;
+}
+
+// Parse CSV with a header row into { columns, rows: [{ line, values, extra }] }
+// (extra marks rows with more cells than headers). Headers are trimmed and
+// lower-cased; blank lines are skipped.
+export function parseCsv(text) {
+  const records = readRecords(text.replace(/^\uFEFF/, "")).filter(r => r.cells.some(c => c.trim() !== ""));
+  if (!records.length) return { columns: [], rows: [] };
+
+  const columns = records[0].cells.map(c => c.trim().toLowerCase());
+  const rows = records.slice(1).map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ""])),
+    extra: cells.length > columns.length,
+  }));
+
+  return { columns, rows };
+}
@@ -0,0 +1,25 @@
+// lib/events.js
+// In-process domain events. Routes publish what happened ("report.submitted",
+// "class.updated", ...) and subscribers such as notifications react to it.
+// A failing subscriber is logged and never affects the request.
+
+export function createEventBus() {
+  const handlers = new Map();
+
+  return {
+    on(name, handler) {
+      if (!handlers.has(name)) handlers.set(name, []);
+      handlers.get(name).push(handler);
+    },
+
+    // Runs every subscriber; resolves once all have settled
+    async publish(name, payload) {
+      const results = await Promise.allSettled(
+        (handlers.get(name) || []).map(handler => Promise.resolve().then(() => handler(payload)))
+      );
+      for (const result of results) {
+        if (result.status === "rejected") console.error(`Event Error (${name}):`, result.reason?.message);
+      }
+    },
+  };
+}
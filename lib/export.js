@@ -0,0 +1,99 @@
+// lib/export.js
+// Renders transformed reports (see transformReport in server.js) as
+// CSV, Excel and PDF files for faculty management.
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+
+const COLUMNS = [
+  { header: "Class", key: "class_name", width: 24 },
+  { header: "Course Code", key: "course_code", width: 14 },
+  { header: "Course", key: "course_name", width: 28 },
+  { header: "Week", key: "week_of_reporting", width: 10 },
+  { header: "Date", key: "date_of_lecture", width: 12 },
+  { header: "Lecturer", key: "lecturer_name", width: 22 },
+  { header: "Present", key: "actual_students_present", width: 10 },
+  { header: "Registered", key: "total_registered_students", width: 12 },
+  { header: "Topic", key: "topic_taught", width: 32 },
+  { header: "Learning Outcomes", key: "learning_outcomes", width: 40 },
+  { header: "Recommendations", key: "recommendations", width: 40 },
+  { header: "Status", key: "status", width: 12 },
+];
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Stop spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(reports) {
+  const lines = [COLUMNS.map(c => csvCell(c.header)).join(",")];
+  for (const report of reports) {
+    lines.push(COLUMNS.map(c => csvCell(report[c.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+async function toXlsx(reports) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Lecture Reports");
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  reports.forEach(report => sheet.addRow(report));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function toPdf(reports, { generatedBy } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text("LUCT Lecture Reports", { align: "center" });
+    doc
+      .fontSize(9)
+      .fillColor("gray")
+      .text(
+        `Generated ${new Date().toLocaleString("en-GB")}${generatedBy ? ` by ${generatedBy}` : ""} - ${reports.length} report(s)`,
+        { align: "center" }
+      )
+      .fillColor("black")
+      .moveDown();
+
+    if (!reports.length) doc.fontSize(11).text("No reports match the selected filters.");
+
+    for (const report of reports) {
+      if (doc.y > doc.page.height - 200) doc.addPage();
+
+      doc
+        .fontSize(12)
+        .font("Helvetica-Bold")
+        .text(`${report.week_of_reporting} - ${report.class_name} (${report.course_code})`);
+      doc.fontSize(10).font("Helvetica");
+      doc.text(`Course: ${report.course_name}`);
+      doc.text(`Lecturer: ${report.lecturer_name}    Date: ${report.date_of_lecture}    Status: ${report.status}`);
+      doc.text(`Attendance: ${report.actual_students_present} of ${report.total_registered_students} registered`);
+      doc.text(`Topic: ${report.topic_taught || "-"}`);
+      doc.text(`Learning outcomes: ${report.learning_outcomes || "-"}`);
+      doc.text(`Recommendations: ${report.recommendations || "-"}`);
+
+      const y = doc.y + 6;
+      doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).strokeColor("#cccccc").stroke();
+      doc.moveDown();
+    }
+
+    doc.end();
+  });
+}
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", render: toCsv },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    render: toXlsx,
+  },
+  pdf: { contentType: "application/pdf", render: toPdf },
+};
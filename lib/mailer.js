@@ -0,0 +1,62 @@
+// lib/mailer.js
+// Outgoing mail with a pluggable transport, chosen by MAIL_TRANSPORT:
+//   smtp     SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS (via nodemailer)
+//   file     writes each message as JSON into MAIL_DIR (default ./mail-outbox)
+//   console  logs messages (default)
+import fs from "fs/promises";
+import path from "path";
+
+async function smtpTransport(env) {
+  if (!env.SMTP_HOST) throw new Error("Missing SMTP_HOST for the smtp mail transport");
+  const { default: nodemailer } = await import("nodemailer");
+  const port = parseInt(env.SMTP_PORT) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+
+  return message => transporter.sendMail(message);
+}
+
+function fileTransport(env) {
+  const dir = path.resolve(env.MAIL_DIR || "mail-outbox");
+  return async message => {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${Math.random().toString(36).slice(2, 8)}.json`;
+    // Renamed into place so a reader of MAIL_DIR never sees half a message
+    const file = path.join(dir, name);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(message, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  };
+}
+
+function consoleTransport() {
+  return async message => {
+    console.log(`📧 To: ${message.to} | ${message.subject}\n${message.text}`);
+  };
+}
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+export function createMailer(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || "console").toLowerCase();
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(", ")})`);
+  }
+
+  const from = env.MAIL_FROM || "LUCT Reporting <no-reply@luct.ac.ls>";
+  let transport;
+
+  return {
+    transport: name,
+
+    // send({ to, subject, text, html? })
+    async send(message) {
+      transport ??= await TRANSPORTS[name](env);
+      await transport({ from, ...message });
+    },
+  };
+}
@@ -0,0 +1,240 @@
+// lib/openapi.js
+// OpenAPI 3 document built from the Express router itself: paths and
+// methods come from the registered routes, parameters and request bodies
+// from their validate() schemas, auth from the authenticate middleware and
+// roles from authorize() guards. Only summaries and response shapes are
+// written by hand (see lib/api-docs.js), and findDocDrift() reports where
+// those and the routes no longer match.
+
+import { POLICY } from "./policy.js";
+import { fieldsSchema, toJsonSchema } from "./validate.js";
+
+export const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// A list endpoint's body: a plain array, or { data, pagination } when
+// ?page or ?limit is given
+export const listOf = name => ({
+  oneOf: [
+    { type: "array", items: ref(name) },
+    { type: "object", properties: { data: { type: "array", items: ref(name) }, pagination: ref("Pagination") } },
+  ],
+});
+
+const json = schema => ({ "application/json": { schema } });
+
+const COMMON_SCHEMAS = {
+  Error: {
+    type: "object",
+    properties: { error: { type: "string" } },
+    required: ["error"],
+  },
+  ValidationError: {
+    type: "object",
+    properties: {
+      error: { type: "string", enum: ["Validation failed"] },
+      fields: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            in: { type: "string", enum: ["params", "query", "body"] },
+            field: { type: "string", nullable: true },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+    required: ["error", "fields"],
+  },
+  Forbidden: {
+    type: "object",
+    properties: { error: { type: "string" }, resource: { type: "string" }, action: { type: "string" } },
+    required: ["error", "resource", "action"],
+  },
+  RateLimited: {
+    type: "object",
+    properties: { error: { type: "string" }, retry_after: { type: "integer", description: "Seconds to wait" } },
+    required: ["error", "retry_after"],
+  },
+  Pagination: {
+    type: "object",
+    properties: {
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      total: { type: "integer" },
+      total_pages: { type: "integer" },
+    },
+  },
+};
+
+// Every route registered with app.METHOD(): [{ key, method, path, handlers }]
+// where key is "GET /things/{id}", the form the docs are keyed by
+export function listRoutes(app) {
+  return app.router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map(method => ({
+        key: `${method.toUpperCase()} ${route.path.replace(/:(\w+)/g, "{$1}")}`,
+        method,
+        path: route.path,
+        handlers: route.stack.map(layer => layer.handle),
+      }))
+    );
+}
+
+const pathParams = path => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// "lecturer: own, prl: scope" for a policy entry
+function rolesText({ resource, action }) {
+  return Object.entries(POLICY[resource][action])
+    .map(([role, access]) => `${role}: ${access}`)
+    .join(", ");
+}
+
+function response(status, spec) {
+  if (typeof spec === "string") {
+    return status >= 400 ? { description: spec, content: json(ref("Error")) } : { description: spec };
+  }
+  const { description, schema, content } = spec;
+  return { description, ...(content ? { content } : schema ? { content: json(schema) } : {}) };
+}
+
+function operation(route, doc, { authenticate, rateLimited }) {
+  const schema = route.handlers.find(h => h.schema)?.schema;
+  const policy = doc.policy || route.handlers.find(h => h.policy)?.policy;
+  const secured = route.handlers.includes(authenticate);
+
+  const parameters = [
+    ...Object.entries(schema?.params || {}).map(([name, rule]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: toJsonSchema(rule),
+    })),
+    ...Object.entries(schema?.query || {}).map(([name, rule]) => ({
+      name,
+      in: "query",
+      required: Boolean(rule.required),
+      schema: toJsonSchema(rule),
+      ...(rule.separator ? { style: "form", explode: false } : {}),
+    })),
+  ];
+
+  const body = schema?.body || {};
+  const requestBody =
+    doc.requestBody ||
+    (Object.keys(body).length
+      ? { required: Object.values(body).some(rule => rule.required), content: json(fieldsSchema(body)) }
+      : undefined);
+
+  const responses = {};
+  for (const [status, spec] of Object.entries(doc.responses || {})) responses[status] = response(Number(status), spec);
+  if (schema) {
+    // Handlers' own 400s share the status with validation failures
+    const own = responses[400];
+    responses[400] = own
+      ? {
+          description: `${own.description}, or validation failed`,
+          content: json({ oneOf: [own.content["application/json"].schema, ref("ValidationError")] }),
+        }
+      : { description: "Validation failed", content: json(ref("ValidationError")) };
+  }
+  if (secured) {
+    responses[401] ??= response(401, "Missing, revoked or expired session");
+    responses[403] ??= {
+      description: policy ? "Token rejected, or the role may not do this" : "Invalid token or inactive account",
+      content: json(policy ? { oneOf: [ref("Error"), ref("Forbidden")] } : ref("Error")),
+    };
+  }
+  if (rateLimited || route.handlers.some(h => h.rateLimit)) {
+    responses[429] = {
+      description: responses[429]?.description ?? "Too many requests",
+      headers: { "Retry-After": { description: "Seconds to wait before retrying", schema: { type: "integer" } } },
+      content: json(ref("RateLimited")),
+    };
+  }
+  if (schema) responses[500] ??= response(500, "Unexpected server error");
+
+  const description = [doc.description, policy && `Roles: ${rolesText(policy)}.`].filter(Boolean).join("\n\n");
+
+  return {
+    tags: [doc.tag],
+    summary: doc.summary,
+    ...(description ? { description } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses,
+    security: secured ? doc.security || [{ bearerAuth: [] }] : [],
+  };
+}
+
+// docs = { "METHOD /path": { tag, summary, description?, responses, ... } }
+// rateLimited marks every route as able to answer 429 (an app-wide limit);
+// routes with their own rateLimit() middleware get it regardless.
+export function buildOpenApi(app, { info, docs, schemas = {}, authenticate, rateLimited = false }) {
+  const paths = {};
+
+  for (const route of listRoutes(app)) {
+    const doc = docs[route.key];
+    if (!doc) continue;
+    const path = route.key.slice(route.key.indexOf(" ") + 1);
+    (paths[path] ??= {})[route.method] = operation(route, doc, { authenticate, rateLimited });
+  }
+
+  return {
+    openapi: "3.0.3",
+    info,
+    tags: [...new Set(Object.values(docs).map(doc => doc.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        accessTokenQuery: { type: "apiKey", in: "query", name: "access_token" },
+      },
+      schemas: { ...COMMON_SCHEMAS, ...schemas },
+    },
+  };
+}
+
+// Mismatches between the routes and the docs, as readable messages:
+// routes without docs, docs without a route, and path parameters the
+// route's validate() schema doesn't declare.
+export function findDocDrift(app, docs) {
+  const routes = listRoutes(app);
+  const problems = [];
+
+  for (const route of routes) {
+    if (!docs[route.key]) problems.push(`${route.key} has no API docs`);
+
+    const declared = route.handlers.find(h => h.schema)?.schema.params || {};
+    for (const name of pathParams(route.path)) {
+      if (!Object.hasOwn(declared, name)) problems.push(`${route.key} does not validate path parameter :${name}`);
+    }
+  }
+
+  const keys = new Set(routes.map(route => route.key));
+  for (const key of Object.keys(docs)) {
+    if (!keys.has(key)) problems.push(`API docs for ${key} match no route`);
+  }
+
+  return problems;
+}
+
+// Swagger UI page for the document at specUrl
+export function docsPage(specUrl, title) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs", persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,159 @@
+// lib/policy.js
+// Single source of truth for who may do what.
+//
+// POLICY[resource][action][role] is one of:
+//   "any"    every record
+//   "own"    only records the user owns (the route decides what owning means)
+//   "scope"  records in the user's stream (PRL) or programme (PL) within
+//            their faculty; a PRL/PL with no stream/programme assigned is
+//            faculty-wide, and with no faculty either, university-wide
+// Roles not listed are denied.
+
+export const ROLES = ["student", "lecturer", "prl", "pl"];
+
+// The user column and record column each scoped role is matched on
+export const SCOPE_FIELDS = { prl: "stream", pl: "programme" };
+
+export const POLICY = {
+  classes: {
+    read: { student: "any", lecturer: "any", prl: "scope", pl: "scope" },
+    create: { lecturer: "any", prl: "scope", pl: "scope" },
+    update: { lecturer: "own", prl: "scope", pl: "scope" },
+    delete: { lecturer: "own", pl: "scope" },
+    manage_roster: { lecturer: "own", prl: "scope", pl: "scope" },
+    enrol: { student: "any" },
+  },
+  reports: {
+    read: { lecturer: "own", prl: "scope", pl: "scope" },
+    create: { lecturer: "own" },
+    update: { lecturer: "own" },
+    submit: { lecturer: "own" },
+    review: { prl: "scope" },
+    forward: { prl: "scope" },
+    approve: { pl: "scope" },
+    return: { prl: "scope", pl: "scope" },
+    resubmit: { lecturer: "own" },
+    attach: { lecturer: "own" },
+    record_attendance: { lecturer: "own" },
+  },
+  courses: {
+    read: { student: "any", lecturer: "any", prl: "any", pl: "any" },
+    create: { pl: "scope" },
+    update: { pl: "scope" },
+    delete: { pl: "scope" },
+  },
+  faculties: {
+    read: { student: "any", lecturer: "any", prl: "any", pl: "any" },
+    create: { pl: "any" },
+    update: { pl: "any" },
+    delete: { pl: "any" },
+  },
+  venues: {
+    read: { student: "any", lecturer: "any", prl: "any", pl: "any" },
+    create: { pl: "any" },
+    update: { pl: "any" },
+    delete: { pl: "any" },
+  },
+  semesters: {
+    read: { student: "any", lecturer: "any", prl: "any", pl: "any" },
+    create: { pl: "any" },
+    update: { pl: "any" },
+    delete: { pl: "any" },
+  },
+  lecturers: {
+    read: { student: "any", lecturer: "any", prl: "any", pl: "any" },
+  },
+  ratings: {
+    create: { student: "own" },
+    read_own: { student: "own" },
+    read: { lecturer: "own", prl: "scope", pl: "scope" },
+  },
+  analytics: {
+    read: { lecturer: "own", prl: "scope", pl: "scope" },
+  },
+  compliance: {
+    read: { lecturer: "own", prl: "scope", pl: "scope" },
+    remind: { prl: "scope", pl: "scope" },
+  },
+  attendance: {
+    read_own: { student: "own" },
+  },
+  audit: {
+    read: { pl: "any" },
+  },
+  imports: {
+    create: { pl: "any" },
+  },
+  users: {
+    read: { pl: "any" },
+    approve: { pl: "any" },
+    change_role: { pl: "any" },
+    deactivate: { pl: "any" },
+    unlock: { pl: "any" },
+    assign: { pl: "any" },
+  },
+};
+
+export function permission(user, resource, action) {
+  const rules = POLICY[resource]?.[action];
+  if (!rules) throw new Error(`No policy for ${resource}.${action}`);
+  return user ? rules[user.role] : undefined;
+}
+
+// The stream/programme value a scoped user is limited to, or null if the
+// user is not limited (or their permission is not "scope").
+export function scopeOf(user, resource, action) {
+  if (permission(user, resource, action) !== "scope") return null;
+  const field = SCOPE_FIELDS[user.role];
+  return field && user[field] ? { field, value: user[field] } : null;
+}
+
+// The faculty a scoped user is limited to (on top of any stream/programme),
+// or null
+export function facultyOf(user, resource, action) {
+  if (permission(user, resource, action) !== "scope") return null;
+  return user.faculty_id ?? null;
+}
+
+// Can `user` do `action` on a record described by
+// target = { owned: boolean, stream, programme, faculty_id }?
+export function can(user, resource, action, target = {}) {
+  switch (permission(user, resource, action)) {
+    case "any":
+      return true;
+    case "own":
+      return Boolean(target.owned);
+    case "scope": {
+      const scope = scopeOf(user, resource, action);
+      const faculty = facultyOf(user, resource, action);
+      return (!scope || target[scope.field] === scope.value) && (!faculty || target.faculty_id === faculty);
+    }
+    default:
+      return false;
+  }
+}
+
+// Wording for actions that don't read naturally as "<action> <resource>"
+const ACTION_LABELS = {
+  manage_roster: "manage the roster of",
+  record_attendance: "record attendance for",
+  read_own: "read own",
+};
+
+// Uniform 403 body: { error, resource, action }
+export function forbidden(res, resource, action) {
+  const label = ACTION_LABELS[action] || action;
+  return res.status(403).json({ error: `Not authorized to ${label} ${resource}`, resource, action });
+}
+
+// Route guard: the user's role must have some permission for the action.
+// Record-level checks (own/scope) still happen in the handler via can().
+// The guard keeps { resource, action } so the API docs can list the roles.
+export function authorize(resource, action) {
+  const guard = (req, res, next) => {
+    if (!permission(req.user, resource, action)) return forbidden(res, resource, action);
+    next();
+  };
+  guard.policy = { resource, action };
+  return guard;
+}
@@ -0,0 +1,132 @@
+// lib/ratelimit.js
+// Sliding-window rate limiting with a pluggable store, chosen by
+// RATE_LIMIT_STORE:
+//   memory    counts per process (default)
+//   database  hits are rows in rate_limit_hits, so every instance sharing
+//             the database shares the limits
+// A store records a hit for a key and reports how many hits of that key
+// fall inside the window: hit(key, windowMs, limit) -> { count, resetAt }.
+// Once a key is over its limit further hits are refused without being
+// recorded, so a flood can't grow it past limit + 1.
+
+const CLEANUP_MS = 60 * 1000;
+
+function memoryStore() {
+  const hits = new Map(); // key -> hit times, oldest first
+  let longest = 0;
+
+  setInterval(() => {
+    const cutoff = Date.now() - longest;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, CLEANUP_MS).unref();
+
+  return {
+    async hit(key, windowMs, limit = Infinity) {
+      longest = Math.max(longest, windowMs);
+      const now = Date.now();
+      const times = hits.get(key) || [];
+
+      // Expired hits are at the front
+      const live = times.findIndex(time => time > now - windowMs);
+      times.splice(0, live === -1 ? times.length : live);
+      if (times.length <= limit) times.push(now);
+
+      hits.set(key, times);
+      return { count: times.length, resetAt: times[0] + windowMs };
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    },
+  };
+}
+
+function databaseStore(db) {
+  let longest = 0;
+
+  setInterval(async () => {
+    if (!longest) return;
+    const { error } = await db
+      .from("rate_limit_hits")
+      .delete()
+      .lt("created_at", new Date(Date.now() - longest).toISOString());
+    if (error) console.error("Rate Limit Cleanup Error:", error.message);
+  }, CLEANUP_MS).unref();
+
+  return {
+    async hit(key, windowMs, limit = Infinity) {
+      longest = Math.max(longest, windowMs);
+      const now = Date.now();
+
+      // The count covers the whole window; the one row returned is the oldest hit
+      const { data, error: countError, count } = await db
+        .from("rate_limit_hits")
+        .select("created_at", { count: "exact" })
+        .eq("key", key)
+        .gt("created_at", new Date(now - windowMs).toISOString())
+        .order("created_at")
+        .limit(1);
+
+      if (countError) throw countError;
+      const oldest = data[0] ? new Date(data[0].created_at).getTime() : now;
+      if (count > limit) return { count, resetAt: oldest + windowMs };
+
+      const { error } = await db.from("rate_limit_hits").insert([{ key, created_at: new Date(now).toISOString() }]);
+      if (error) throw error;
+      return { count: count + 1, resetAt: oldest + windowMs };
+    },
+
+    async reset(key) {
+      const { error } = await db.from("rate_limit_hits").delete().eq("key", key);
+      if (error) throw error;
+    },
+  };
+}
+
+const STORES = { memory: memoryStore, database: databaseStore };
+
+export function createRateLimitStore(db, env = process.env) {
+  const name = (env.RATE_LIMIT_STORE || "memory").toLowerCase();
+  if (!STORES[name]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected ${Object.keys(STORES).join(", ")})`);
+  }
+  return { name, ...STORES[name](db) };
+}
+
+// Middleware allowing `limit` requests per `windowSeconds` for each key(req)
+// (the client IP by default). A null key or a limit of 0 skips the check.
+// Responses carry RateLimit-* headers; refusals are 429 with Retry-After.
+export function rateLimit(store, { name, limit, windowSeconds, key = req => req.ip }) {
+  const windowMs = windowSeconds * 1000;
+
+  const limiter = async (req, res, next) => {
+    const id = limit > 0 ? key(req) : null;
+    if (!id) return next();
+
+    try {
+      const { count, resetAt } = await store.hit(`${name}:${id}`, windowMs, limit);
+      const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.setHeader("RateLimit-Limit", String(limit));
+      res.setHeader("RateLimit-Remaining", String(Math.max(0, limit - count)));
+      res.setHeader("RateLimit-Reset", String(resetSeconds));
+
+      if (count > limit) return tooManyRequests(res, "Too many requests, please try again later", resetSeconds);
+    } catch (err) {
+      // A broken store must not take the API down with it
+      console.error("Rate Limit Error:", err.message);
+    }
+    next();
+  };
+
+  limiter.rateLimit = { name, limit, windowSeconds };
+  return limiter;
+}
+
+// Uniform 429 body: { error, retry_after } plus the Retry-After header
+export function tooManyRequests(res, error, retryAfterSeconds) {
+  res.setHeader("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({ error, retry_after: retryAfterSeconds });
+}
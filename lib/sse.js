@@ -0,0 +1,72 @@
+// lib/sse.js
+// Server-Sent Events fan-out. Every published event gets an increasing id
+// and is kept in a short history, so a client reconnecting with
+// Last-Event-ID receives what it missed. Each client has a filter deciding
+// which events it may see.
+
+function writeEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function createEventStream({ history = 500, heartbeatSeconds = 25 } = {}) {
+  const buffer = [];
+  const clients = new Set();
+  let lastId = 0;
+
+  // Comments keep proxies from closing idle connections
+  setInterval(() => {
+    for (const client of clients) client.res.write(": ping\n\n");
+  }, heartbeatSeconds * 1000).unref();
+
+  return {
+    get clients() {
+      return clients.size;
+    },
+
+    // entry = { event, data, ...whatever the client filters look at }
+    publish(entry) {
+      const stored = { ...entry, id: ++lastId };
+      buffer.push(stored);
+      if (buffer.length > history) buffer.shift();
+
+      for (const client of clients) {
+        if (client.filter(stored)) writeEvent(client.res, stored);
+      }
+    },
+
+    // Stream to an Express response until the request closes. Events after
+    // lastEventId are replayed; when they are no longer in the history (or
+    // the server restarted) the client gets a "resync" event instead and
+    // should reload its data. Returns a function that ends the stream.
+    subscribe(req, res, { lastEventId, filter = () => true }) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write("retry: 3000\n\n");
+
+      if (lastEventId !== undefined) {
+        const oldest = buffer[0]?.id ?? lastId + 1;
+        if (lastEventId > lastId || lastEventId < oldest - 1) {
+          writeEvent(res, { id: lastId, event: "resync", data: {} });
+        } else {
+          for (const entry of buffer) {
+            if (entry.id > lastEventId && filter(entry)) writeEvent(res, entry);
+          }
+        }
+      }
+
+      const client = { res, filter };
+      clients.add(client);
+      req.on("close", () => clients.delete(client));
+
+      return (event = null) => {
+        if (!clients.delete(client)) return;
+        if (event) res.write(`event: ${event}\ndata: {}\n\n`);
+        res.end();
+      };
+    },
+  };
+}
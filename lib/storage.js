@@ -0,0 +1,77 @@
+// lib/storage.js
+// File storage with a pluggable backend, chosen by STORAGE_DRIVER:
+//   local     files under STORAGE_DIR (default ./uploads)
+//   supabase  Supabase Storage bucket STORAGE_BUCKET (default "attachments"),
+//             with SUPABASE_URL and SUPABASE_KEY
+// Files are addressed by key ("reports/12/<uuid>"), chosen by the caller:
+//   put(key, buffer, contentType), get(key) -> Buffer or null, remove(key)
+import fs from "fs/promises";
+import path from "path";
+import { createClient } from "@supabase/supabase-js";
+
+function localStorage(env) {
+  const root = path.resolve(env.STORAGE_DIR || "uploads");
+
+  const fileOf = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer, { flag: "wx" });
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(fileOf(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(fileOf(key), { force: true });
+    },
+  };
+}
+
+function supabaseStorage(env) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+    throw new Error("Missing SUPABASE_URL or SUPABASE_KEY for the supabase storage driver");
+  }
+  const bucket = createClient(env.SUPABASE_URL, env.SUPABASE_KEY).storage.from(env.STORAGE_BUCKET || "attachments");
+
+  return {
+    async put(key, buffer, contentType) {
+      const { error } = await bucket.upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async get(key) {
+      const { data, error } = await bucket.download(key);
+      if (error?.statusCode === "404" || error?.status === 404) return null;
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(key) {
+      const { error } = await bucket.remove([key]);
+      if (error) throw error;
+    },
+  };
+}
+
+const DRIVERS = { local: localStorage, supabase: supabaseStorage };
+
+export function createStorage(env = process.env) {
+  const name = (env.STORAGE_DRIVER || "local").toLowerCase();
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(", ")})`);
+  }
+  return { driver: name, ...DRIVERS[name](env) };
+}
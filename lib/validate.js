@@ -0,0 +1,275 @@
+// lib/validate.js
+// Declarative request validation. A route lists the fields it accepts in
+// params, query and body; anything else is rejected, values are coerced to
+// their declared types, and the validated objects replace req.params,
+// req.query and req.body before the handler runs.
+//
+//   app.put("/things/:id", validate({
+//     params: { id: id() },
+//     body: { name: string({ required: true, max: 100 }), size: integer({ min: 1 }) },
+//   }), handler)
+//
+// Every field rule accepts:
+//   required  missing (undefined or "") is an error
+//   nullable  null is allowed and passed through
+//   default   value used when the field is missing
+//   check     extra test, value => error message or null
+//
+// Failures get 400 { error: "Validation failed", fields: [{ in, field, message }] }.
+//
+// Each rule also carries a JSON Schema fragment (rule.schema) and validate()
+// exposes its schema on the middleware, which is how lib/openapi.js
+// documents parameters and bodies straight from the routes.
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const LOCATIONS = ["params", "query", "body"];
+
+class Invalid {
+  constructor(message) {
+    this.message = message;
+  }
+}
+
+const invalid = message => new Invalid(message);
+
+// Run one rule against a raw value: the coerced value, undefined when the
+// field is absent, or an Invalid
+function checkField(rule, raw) {
+  let value = typeof raw === "string" && rule.trim !== false ? raw.trim() : raw;
+  if (value === "") value = undefined;
+
+  if (value === undefined) return rule.required ? invalid("is required") : rule.default;
+  if (value === null) {
+    if (rule.nullable) return null;
+    return invalid(rule.required ? "is required" : "must not be null");
+  }
+
+  const parsed = rule.parse(value);
+  if (parsed instanceof Invalid) return parsed;
+
+  const message = rule.check?.(parsed);
+  return message ? invalid(message) : parsed;
+}
+
+// With lowercase: true the value is lowercased once it passes
+export function string({ min, max, pattern, patternMessage = "has an invalid format", format, lowercase = false, ...options } = {}) {
+  return {
+    ...options,
+    schema: { type: "string", minLength: min, maxLength: max, ...(format ? { format } : { pattern: pattern?.source }) },
+    parse(value) {
+      if (typeof value !== "string") return invalid("must be a string");
+      if (min !== undefined && value.length < min) return invalid(`must be at least ${min} characters`);
+      if (max !== undefined && value.length > max) return invalid(`must be at most ${max} characters`);
+      if (pattern && !pattern.test(value)) return invalid(patternMessage);
+      return lowercase ? value.toLowerCase() : value;
+    },
+  };
+}
+
+// Addresses are stored and looked up lowercased, however they were typed
+export function email(options = {}) {
+  return string({
+    max: 254,
+    pattern: EMAIL_PATTERN,
+    patternMessage: "must be an email address",
+    format: "email",
+    lowercase: true,
+    ...options,
+  });
+}
+
+// Numbers or numeric strings (query and route params always arrive as strings)
+export function integer({ min, max, ...options } = {}) {
+  return {
+    ...options,
+    schema: { type: "integer", minimum: min, maximum: max },
+    parse(value) {
+      const number =
+        typeof value === "number" ? value : typeof value === "string" && INTEGER_PATTERN.test(value) ? Number(value) : NaN;
+      if (!Number.isSafeInteger(number)) return invalid("must be an integer");
+      if (min !== undefined && number < min) return invalid(`must be at least ${min}`);
+      if (max !== undefined && number > max) return invalid(`must be at most ${max}`);
+      return number;
+    },
+  };
+}
+
+// A positive integer primary key
+export function id(options = {}) {
+  return integer({ min: 1, ...options });
+}
+
+export function boolean(options = {}) {
+  return {
+    ...options,
+    schema: { type: "boolean" },
+    parse(value) {
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return invalid("must be true or false");
+    },
+  };
+}
+
+// A calendar date as YYYY-MM-DD (kept as a string)
+export function date(options = {}) {
+  return {
+    ...options,
+    schema: { type: "string", format: "date" },
+    parse(value) {
+      if (typeof value !== "string" || !DATE_PATTERN.test(value)) return invalid("must be a date (YYYY-MM-DD)");
+      const parsed = new Date(`${value}T00:00:00Z`);
+      if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value)
+        return invalid("must be a real calendar date");
+      return value;
+    },
+  };
+}
+
+// A time of day as 24-hour HH:MM
+export function time(options = {}) {
+  return string({ pattern: TIME_PATTERN, patternMessage: "must be a time (HH:MM)", ...options });
+}
+
+export function oneOf(values, { lowercase = false, ...options } = {}) {
+  return {
+    ...options,
+    schema: { type: typeof values[0], enum: values },
+    parse(value) {
+      const candidate = lowercase && typeof value === "string" ? value.toLowerCase() : value;
+      if (!values.includes(candidate)) return invalid(`must be one of ${values.join(", ")}`);
+      return candidate;
+    },
+  };
+}
+
+// A list of `item`s. With a separator, "a,b" strings are split first
+// (for query params like ?status=submitted,returned).
+export function array(item, { min, max, separator, ...options } = {}) {
+  return {
+    ...options,
+    schema: { type: "array", items: toJsonSchema(item), minItems: min, maxItems: max },
+    separator,
+    parse(value) {
+      const values = separator && typeof value === "string" ? value.split(separator) : value;
+      if (!Array.isArray(values)) return invalid("must be a list");
+      if (min !== undefined && values.length < min) return invalid(`must have at least ${min} item(s)`);
+      if (max !== undefined && values.length > max) return invalid(`must have at most ${max} item(s)`);
+
+      const result = [];
+      for (const [index, raw] of values.entries()) {
+        const parsed = checkField({ ...item, required: true }, raw);
+        if (parsed instanceof Invalid) return invalid(`item ${index + 1} ${parsed.message}`);
+        result.push(parsed);
+      }
+      return result;
+    },
+  };
+}
+
+// A nested object with its own fields (unknown keys are rejected).
+// Reports the first failing field, e.g. "venue_id must be an integer".
+export function object(fields, options = {}) {
+  return {
+    ...options,
+    schema: fieldsSchema(fields),
+    parse(value) {
+      if (typeof value !== "object" || Array.isArray(value)) return invalid("must be an object");
+
+      const unknown = Object.keys(value).find(key => !Object.hasOwn(fields, key));
+      if (unknown) return invalid(`${unknown} is not allowed`);
+
+      const result = {};
+      for (const [key, rule] of Object.entries(fields)) {
+        const parsed = checkField(rule, value[key]);
+        if (parsed instanceof Invalid) return invalid(`${key} ${parsed.message}`);
+        if (parsed !== undefined) result[key] = parsed;
+      }
+      return result;
+    },
+  };
+}
+
+// The same fields with none required (for partial updates)
+export function partial(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, rule]) => [key, { ...rule, required: false }]));
+}
+
+// JSON Schema for one rule, with its default and nullability folded in
+export function toJsonSchema(rule) {
+  const schema = Object.fromEntries(Object.entries(rule.schema || {}).filter(([, value]) => value !== undefined));
+  if (rule.default !== undefined) schema.default = rule.default;
+  if (rule.nullable) schema.nullable = true;
+  return schema;
+}
+
+// JSON Schema for a map of field name -> rule
+export function fieldsSchema(fields) {
+  const required = Object.keys(fields).filter(key => fields[key].required);
+  return {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(fields).map(([key, rule]) => [key, toJsonSchema(rule)])),
+    ...(required.length ? { required } : {}),
+    additionalProperties: false,
+  };
+}
+
+// Uniform 400 body, also used by handlers for checks that span fields
+export function validationError(res, fields) {
+  return res.status(400).json({ error: "Validation failed", fields });
+}
+
+// Check a plain object against a map of field name -> rule (unknown keys are
+// rejected). Returns { value, errors: [{ field, message }] }; also used for
+// rows that don't arrive as a request, like CSV imports.
+export function validateFields(fields, input) {
+  const errors = [];
+  const value = {};
+
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(fields, key)) errors.push({ field: key, message: "is not allowed" });
+  }
+  for (const [key, rule] of Object.entries(fields)) {
+    const parsed = checkField(rule, input[key]);
+    if (parsed instanceof Invalid) errors.push({ field: key, message: parsed.message });
+    else if (parsed !== undefined) value[key] = parsed;
+  }
+
+  return { value, errors };
+}
+
+// schema = { params, query, body }, each a map of field name -> rule.
+// A location left out of the schema accepts no fields at all.
+export function validate(schema = {}) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const valid = {};
+
+    for (const location of LOCATIONS) {
+      const fields = schema[location] || {};
+      const input = req[location] ?? {};
+      if (typeof input !== "object" || Array.isArray(input)) {
+        errors.push({ in: location, field: null, message: "must be an object" });
+        continue;
+      }
+
+      const result = validateFields(fields, input);
+      valid[location] = result.value;
+      errors.push(...result.errors.map(e => ({ in: location, ...e })));
+    }
+
+    if (errors.length) return validationError(res, errors);
+
+    req.params = valid.params;
+    req.body = valid.body;
+    // req.query is a getter in Express 5; shadow it with the validated copy
+    Object.defineProperty(req, "query", { value: valid.query, writable: true, enumerable: true, configurable: true });
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+}
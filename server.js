@@ -2,65 +2,380 @@
 import express from "express";
 import dotenv from "dotenv";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
 import jwt from "jsonwebtoken";
 import cors from "cors";
-import { createClient } from "@supabase/supabase-js";
 import fetch from "node-fetch";
+import { createDb, prepareDb } from "./db/index.js";
+import { parseCsv } from "./lib/csv.js";
+import { EXPORT_FORMATS } from "./lib/export.js";
+import { API_DOCS, API_SCHEMAS } from "./lib/api-docs.js";
+import { academicCalendar, weekOfDate, weeksEnded, weeksStarted } from "./lib/calendar.js";
+import { createEventBus } from "./lib/events.js";
+import { createMailer } from "./lib/mailer.js";
+import { createStorage } from "./lib/storage.js";
+import { createRateLimitStore, rateLimit, tooManyRequests } from "./lib/ratelimit.js";
+import { buildOpenApi, docsPage, findDocDrift } from "./lib/openapi.js";
+import { createEventStream } from "./lib/sse.js";
+import { ROLES, SCOPE_FIELDS, authorize, can, facultyOf, forbidden, permission, scopeOf } from "./lib/policy.js";
+import {
+  array,
+  boolean,
+  date,
+  email,
+  id,
+  integer,
+  object,
+  oneOf,
+  partial,
+  string,
+  time,
+  validate,
+  validateFields,
+  validationError,
+} from "./lib/validate.js";
 
 // Fix for Node < 18
 globalThis.fetch = fetch;
 
 dotenv.config();
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
 const app = express();
+// Behind a proxy or load balancer req.ip (used for rate limits and the audit
+// log) needs TRUST_PROXY, e.g. "1" for one hop or "loopback"
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(express.json());
-app.use(cors({ origin: "http://localhost:3000", credentials: true }));
+app.use(cors({ origin: FRONTEND_URL, credentials: true, exposedHeaders: ["X-Total-Count"] }));
+
+if (!process.env.JWT_SECRET) {
+  console.error("❌ Missing JWT_SECRET in .env file");
+  process.exit(1);
+}
+
+// Database init (DB_DRIVER=supabase | postgres | memory, see db/index.js)
+let database;
+try {
+  database = createDb();
+} catch (err) {
+  console.error(`❌ ${err.message} in .env file`);
+  process.exit(1);
+}
+const db = database.client;
 
-if (!process.env.SUPABASE_KEY || !process.env.JWT_SECRET) {
-  console.error("❌ Missing SUPABASE_KEY or JWT_SECRET in .env file");
+// Mail init (MAIL_TRANSPORT=console | file | smtp, see lib/mailer.js)
+let mailer;
+try {
+  mailer = createMailer();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
 
-// Supabase init
-const supabaseUrl = "https://hixkbsqxlszmbslcsvny.supabase.co";
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+// File storage (STORAGE_DRIVER=local | supabase, see lib/storage.js)
+let storage;
+try {
+  storage = createStorage();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
-// Test connection
-(async () => {
+// Domain events (see lib/events.js); subscribers are registered with their feature
+const events = createEventBus();
+
+// Prepare and test connection
+const dbReady = (async () => {
   try {
-    const { error } = await supabase.from("users").select("*").limit(1);
+    await prepareDb(database);
+    const { error } = await db.from("users").select("*").limit(1);
     if (error) throw error;
-    console.log("✅ Connected to Supabase successfully!");
+    console.log(`✅ Connected to ${database.driver} database successfully!`);
   } catch (err) {
-    console.error("❌ Supabase connection failed:", err.message);
+    console.error(`❌ ${database.driver} database connection failed:`, err.message);
   }
 })();
 
-// JWT middleware
-function authenticateToken(req, res, next) {
+// ------------------- RATE LIMITS -------------------
+// Each client IP gets RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_SECONDS
+// across the API. Login, registration and the auth routes that send email
+// allow AUTH_RATE_LIMIT_MAX per AUTH_RATE_LIMIT_WINDOW_SECONDS per IP, and
+// login the same again per account. A limit of 0 turns the check off.
+// Counts live in RATE_LIMIT_STORE (memory | database, see lib/ratelimit.js).
+
+const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX ?? "300");
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const AUTH_RATE_LIMIT_MAX = parseInt(process.env.AUTH_RATE_LIMIT_MAX ?? "20");
+const AUTH_RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_SECONDS) || 900;
+
+let rateLimits;
+try {
+  rateLimits = createRateLimitStore(db);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// /health is left alone for load balancer probes
+app.use(
+  rateLimit(rateLimits, {
+    name: "api",
+    limit: RATE_LIMIT_MAX,
+    windowSeconds: RATE_LIMIT_WINDOW_SECONDS,
+    key: req => (req.path === "/health" ? null : req.ip),
+  })
+);
+
+function authRateLimit(name, key) {
+  return rateLimit(rateLimits, { name, limit: AUTH_RATE_LIMIT_MAX, windowSeconds: AUTH_RATE_LIMIT_WINDOW_SECONDS, key });
+}
+
+// ------------------- SESSIONS -------------------
+// Short-lived JWT access tokens carry the session id (sid). Refresh tokens
+// are "<session_id>.<secret>"; only a hash of the secret is stored and it is
+// replaced on every refresh, so a replayed old token revokes the session.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Access + refresh token pair for a session
+function sessionTokens(user, sessionId, secret) {
+  const token = jwt.sign(
+    { id: user.user_id, sid: sessionId, role: user.role, name: user.name, email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: `${sessionId}.${secret}`,
+    expires_in: exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString("base64url");
+
+  const { error } = await db.from("sessions").insert([
+    {
+      session_id: sessionId,
+      user_id: user.user_id,
+      refresh_token_hash: hashToken(secret),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString(),
+      user_agent: req.headers["user-agent"] || null,
+      ip_address: req.ip || null,
+    },
+  ]);
+
+  if (error) throw error;
+  return sessionTokens(user, sessionId, secret);
+}
+
+async function revokeSessions(column, value) {
+  const { error } = await db
+    .from("sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq(column, value)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+}
+
+// JWT middleware: the session must still be live and the user active.
+// req.user is loaded from the database, not from the token claims.
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
   if (!token) return res.status(401).json({ error: "No token provided" });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: "Invalid or expired token" });
-    req.user = user;
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  if (!payload.sid) return res.status(401).json({ error: "Session expired, please log in again" });
+
+  try {
+    const { data: session, error } = await db
+      .from("sessions")
+      .select("session_id, revoked_at, expires_at, users(user_id, name, email, role, status, stream, programme, faculty_id)")
+      .eq("session_id", payload.sid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date())
+      return res.status(401).json({ error: "Session has been revoked, please log in again" });
+
+    const user = session.users;
+    if (!user || (user.status && user.status !== "active"))
+      return res.status(403).json({ error: "Account is not active" });
+
+    req.user = {
+      id: user.user_id,
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      stream: user.stream || null,
+      programme: user.programme || null,
+      faculty_id: user.faculty_id ?? null,
+      sid: session.session_id,
+    };
     next();
-  });
+  } catch (err) {
+    console.error("Authenticate Error:", err.message);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+}
+
+// ------------------- AUDIT -------------------
+// Every mutation is recorded in audit_log with who did it and row snapshots
+// from before and after the change. Auditing never fails the request.
+
+const AUDIT_REDACTED = ["password", "refresh_token_hash", "token_hash"];
+
+function auditSnapshot(row) {
+  if (!row) return null;
+  // jsonb columns take objects; wrap lists so every driver stores them the same
+  if (Array.isArray(row)) return { rows: row.map(auditSnapshot) };
+  const copy = { ...row };
+  for (const key of AUDIT_REDACTED) if (key in copy) copy[key] = "[redacted]";
+  return copy;
+}
+
+// actor defaults to the logged-in user; pass a users row (or null) for
+// unauthenticated routes such as login
+async function audit(req, action, resource, { id = null, before = null, after = null, actor = req.user } = {}) {
+  try {
+    const { error } = await db.from("audit_log").insert([
+      {
+        actor_id: actor?.id ?? actor?.user_id ?? null,
+        actor_role: actor?.role ?? null,
+        action,
+        resource,
+        resource_id: id === null || id === undefined ? null : String(id),
+        before: auditSnapshot(before),
+        after: auditSnapshot(after),
+        ip_address: req.ip || null,
+        user_agent: req.headers["user-agent"] || null,
+      },
+    ]);
+    if (error) throw error;
+  } catch (err) {
+    console.error("Audit Error:", err.message);
+  }
 }
 
 // ------------------- AUTH -------------------
-app.post("/register", async (req, res) => {
+
+const MIN_PASSWORD_LENGTH = 8;
+const VERIFY_EMAIL_TTL_HOURS = 48;
+const RESET_PASSWORD_TTL_HOURS = 1;
+
+// Passwords are taken exactly as typed (no trimming)
+function passwordField(options = {}) {
+  return string({ min: MIN_PASSWORD_LENGTH, max: 200, trim: false, ...options });
+}
+
+// Issue a single-use emailed token ("verify_email" or "reset_password").
+// Older unused tokens for the same purpose stop working.
+async function issueUserToken(userId, purpose, ttlHours) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+
+  const { error: expireError } = await db
+    .from("user_tokens")
+    .update({ used_at: now.toISOString() })
+    .eq("user_id", userId)
+    .eq("purpose", purpose)
+    .is("used_at", null);
+
+  if (expireError) throw expireError;
+
+  const { error } = await db.from("user_tokens").insert([
+    {
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + ttlHours * 3600000).toISOString(),
+    },
+  ]);
+
+  if (error) throw error;
+  return token;
+}
+
+// Mark a token used and return its row, or null if unknown/expired/used.
+// One conditional update, so two requests can't both redeem the same token.
+async function consumeUserToken(token, purpose) {
+  if (typeof token !== "string" || !token) return null;
+
+  const now = new Date().toISOString();
+  const { data, error } = await db
+    .from("user_tokens")
+    .update({ used_at: now })
+    .eq("token_hash", hashToken(token))
+    .eq("purpose", purpose)
+    .is("used_at", null)
+    .gt("expires_at", now)
+    .select("*");
+
+  if (error) throw error;
+  return data[0] ?? null;
+}
+
+// Mail failures are logged, never surfaced to the client
+async function sendMail(message) {
+  try {
+    await mailer.send(message);
+  } catch (err) {
+    console.error("Mail Error:", err.message);
+  }
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.user_id, "verify_email", VERIFY_EMAIL_TTL_HOURS);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your LUCT Reporting account",
+    text:
+      `Hi ${user.name},\n\nConfirm your email address to activate your account:\n` +
+      `${FRONTEND_URL}/verify-email?token=${token}\n\n` +
+      `This link expires in ${VERIFY_EMAIL_TTL_HOURS} hours.`,
+  });
+}
+
+// Self-registered PRLs and PLs can't log in until a PL approves them
+const APPROVED_ROLES = ["prl", "pl"];
+
+const REGISTER_BODY = {
+  name: string({ required: true, max: 100 }),
+  email: email({ required: true }),
+  password: passwordField({ required: true }),
+  role: oneOf(ROLES, { required: true, lowercase: true }),
+  faculty_id: id(),
+};
+
+app.post("/register", authRateLimit("register"), validate({ body: REGISTER_BODY }), async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
-    if (!name || !email || !password || !role)
-      return res.status(400).json({ error: "All fields are required" });
+    const { name, email, password, role, faculty_id = null } = req.body;
 
-    const allowedRoles = ["student", "lecturer", "prl", "pl"];
-    if (!allowedRoles.includes(role.toLowerCase()))
-      return res.status(400).json({ error: "Invalid role selected" });
+    if (faculty_id && !(await fetchFaculty(faculty_id)))
+      return validationError(res, [{ in: "body", field: "faculty_id", message: "does not exist" }]);
 
-    const { data: existingUser } = await supabase
+    const { data: existingUser } = await db
       .from("users")
       .select("email")
       .eq("email", email)
@@ -69,48 +384,138 @@ app.post("/register", async (req, res) => {
     if (existingUser) return res.status(400).json({ error: "User already exists" });
 
     const hashedPassword = await bcrypt.hash(password, 10);
+    const status = APPROVED_ROLES.includes(role) ? "pending" : "active";
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("users")
-      .insert([{ name, email, password: hashedPassword, role: role.toLowerCase() }])
-      .select();
+      .insert([{ name, email, password: hashedPassword, role, faculty_id, email_verified: false, status }])
+      .select("user_id, name, email, role, status, faculty_id, email_verified, created_at");
 
     if (error) throw error;
 
-    res.status(201).json({ success: true, message: "User registered", user: data[0] });
+    await sendVerificationEmail(data[0]);
+    await audit(req, "register", "users", { id: data[0].user_id, after: data[0], actor: data[0] });
+    if (status === "pending") events.publish("user.pending", { user: data[0] });
+
+    res.status(201).json({
+      success: true,
+      message:
+        status === "pending"
+          ? "User registered, check your email to verify your account; a programme leader must approve it before you can log in"
+          : "User registered, check your email to verify your account",
+      user: data[0],
+    });
   } catch (err) {
     console.error("Register Error:", err.message);
     res.status(500).json({ error: "Registration failed" });
   }
 });
 
-app.post("/login", async (req, res) => {
+const LOGIN_BODY = {
+  email: string({ required: true, max: 254, lowercase: true }),
+  password: string({ required: true, trim: false }),
+};
+
+// Progressive lockout: LOCKOUT_THRESHOLD failed logins in a row lock the
+// account for LOCKOUT_MINUTES, doubling with every further failure (up to a
+// day). A successful login, a password reset or a PL unlocking it clears it.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const LOGIN_UNLOCKED = { failed_logins: 0, locked_until: null };
+
+// Seconds left on a user's lockout, 0 when not locked
+function lockoutSeconds(user) {
+  const remaining = user.locked_until ? new Date(user.locked_until).getTime() - Date.now() : 0;
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+// Count a failed login; returns the new locked_until, or null
+async function recordFailedLogin(user) {
+  const failures = (user.failed_logins || 0) + 1;
+  const over = failures - LOCKOUT_THRESHOLD;
+  const lockedUntil =
+    over >= 0
+      ? new Date(Date.now() + Math.min(LOCKOUT_MINUTES * 2 ** over, MAX_LOCKOUT_MINUTES) * 60000).toISOString()
+      : null;
+
+  const { error } = await db
+    .from("users")
+    .update({ failed_logins: failures, locked_until: lockedUntil })
+    .eq("user_id", user.user_id);
+
+  if (error) throw error;
+  return lockedUntil;
+}
+
+// Attempts per account count every address tried, registered or not
+// (LOGIN_BODY lowercases it, so "A@x.ls" and "a@x.ls" share one bucket)
+const loginAccountKey = req => req.body.email;
+
+app.post("/login", authRateLimit("login"), validate({ body: LOGIN_BODY }), authRateLimit("login-account", loginAccountKey), async (req, res) => {
   try {
     const { email, password } = req.body;
-    if (!email || !password)
-      return res.status(400).json({ error: "Email and password required" });
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("users")
       .select("*")
       .eq("email", email)
       .maybeSingle();
 
-    if (error || !data) return res.status(401).json({ error: "Invalid credentials" });
+    const loginFailed = (reason, actor = null) =>
+      audit(req, "login_failed", "sessions", { after: { email, reason }, actor });
+
+    if (error || !data) {
+      await loginFailed("unknown_email");
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const locked = lockoutSeconds(data);
+    if (locked) {
+      await loginFailed("locked", data);
+      return tooManyRequests(res, "Account is locked after too many failed logins, try again later", locked);
+    }
 
     const validPassword = await bcrypt.compare(password, data.password);
-    if (!validPassword) return res.status(401).json({ error: "Invalid credentials" });
+    if (!validPassword) {
+      await loginFailed("wrong_password", data);
+      const lockedUntil = await recordFailedLogin(data);
+      if (!lockedUntil) return res.status(401).json({ error: "Invalid credentials" });
 
-    const token = jwt.sign(
-      { id: data.user_id, role: data.role, name: data.name, email: data.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+      await audit(req, "lock", "users", { id: data.user_id, after: { locked_until: lockedUntil }, actor: data });
+      return tooManyRequests(
+        res,
+        "Too many failed logins, the account is locked for now",
+        lockoutSeconds({ locked_until: lockedUntil })
+      );
+    }
+
+    if (data.failed_logins || data.locked_until) {
+      const { error: unlockError } = await db.from("users").update(LOGIN_UNLOCKED).eq("user_id", data.user_id);
+      if (unlockError) throw unlockError;
+    }
+
+    if (data.status === "pending") {
+      await loginFailed("pending", data);
+      return res.status(403).json({ error: "Account is awaiting approval by a programme leader" });
+    }
+    if (data.status && data.status !== "active") {
+      await loginFailed("inactive", data);
+      return res.status(403).json({ error: "Account is not active" });
+    }
+
+    if (data.email_verified === false) {
+      await loginFailed("unverified", data);
+      return res.status(403).json({ error: "Please verify your email address before logging in" });
+    }
+
+    const tokens = await createSession(data, req);
+    await audit(req, "login", "sessions", { after: { email }, actor: data });
 
     res.json({
       success: true,
       message: "Login successful",
-      token,
+      ...tokens,
       user: { id: data.user_id, name: data.name, email: data.email, role: data.role },
     });
   } catch (err) {
@@ -119,535 +524,4738 @@ app.post("/login", async (req, res) => {
   }
 });
 
-app.get("/profile", authenticateToken, async (req, res) => {
+app.post("/verify-email", validate({ body: { token: string({ required: true }) } }), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const record = await consumeUserToken(req.body.token, "verify_email");
+    if (!record) return res.status(400).json({ error: "Invalid or expired verification link" });
+
+    const { error } = await db
       .from("users")
-      .select("user_id, name, email, role, created_at")
-      .eq("user_id", req.user.id)
-      .single();
+      .update({ email_verified: true })
+      .eq("user_id", record.user_id);
 
     if (error) throw error;
-    res.json(data);
+    await audit(req, "verify_email", "users", {
+      id: record.user_id,
+      after: { email_verified: true },
+      actor: { user_id: record.user_id },
+    });
+    res.json({ success: true, message: "Email verified, you can now log in" });
   } catch (err) {
-    console.error("Profile Error:", err.message);
-    res.status(500).json({ error: "Profile retrieval failed" });
+    console.error("Verify Email Error:", err.message);
+    res.status(500).json({ error: "Email verification failed" });
   }
 });
 
-// ------------------- CLASSES -------------------
-
-// Get all classes
-app.get("/classes", authenticateToken, async (req, res) => {
+// Same response whether or not the address exists
+app.post("/verify-email/resend", authRateLimit("verify-email-resend"), validate({ body: { email: email({ required: true }) } }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("classes")
-      .select("*")
-      .order("created_at", { ascending: false });
+    const { email } = req.body;
 
-    if (error) throw error;
-    res.json(data || []);
+    const { data: user } = await db
+      .from("users")
+      .select("user_id, name, email, email_verified")
+      .eq("email", email)
+      .maybeSingle();
+
+    if (user && user.email_verified === false) {
+      await sendVerificationEmail(user);
+      await audit(req, "resend_verification", "users", { id: user.user_id, actor: user });
+    }
+
+    res.json({ success: true, message: "If the account needs verifying, a new link has been sent" });
   } catch (err) {
-    console.error("Fetch Classes Error:", err.message);
-    res.status(500).json({ error: "Failed to fetch classes" });
+    console.error("Resend Verification Error:", err.message);
+    res.status(500).json({ error: "Failed to resend verification email" });
   }
 });
 
-// Get available classes for dropdown (SINGLE ENDPOINT - NO DUPLICATES)
-app.get("/classes/options", authenticateToken, async (req, res) => {
+// Same response whether or not the address exists
+app.post("/password/forgot", authRateLimit("password-forgot"), validate({ body: { email: email({ required: true }) } }), async (req, res) => {
   try {
-    let query = supabase
-      .from("classes")
-      .select("id, class_name, course_name, course_code, lecturer")
-      .order("class_name");
+    const { email } = req.body;
 
-    // If user is lecturer, only show their classes
-    if (req.user.role === "lecturer") {
-      query = query.ilike("lecturer", `%${req.user.name}%`);
-    }
+    const { data: user } = await db
+      .from("users")
+      .select("user_id, name, email")
+      .eq("email", email)
+      .maybeSingle();
 
-    const { data, error } = await query;
+    if (user) {
+      const token = await issueUserToken(user.user_id, "reset_password", RESET_PASSWORD_TTL_HOURS);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your LUCT Reporting password",
+        text:
+          `Hi ${user.name},\n\nUse this link to choose a new password:\n` +
+          `${FRONTEND_URL}/reset-password?token=${token}\n\n` +
+          `This link expires in ${RESET_PASSWORD_TTL_HOURS} hour(s). ` +
+          "If you did not ask for a reset, ignore this email.",
+      });
+      await audit(req, "forgot_password", "users", { id: user.user_id, actor: user });
+    }
 
-    if (error) throw error;
-    res.json(data || []);
+    res.json({ success: true, message: "If the account exists, a reset link has been sent" });
   } catch (err) {
-    console.error("Fetch Classes Error:", err.message);
-    res.status(500).json({ error: "Failed to fetch classes" });
+    console.error("Forgot Password Error:", err.message);
+    res.status(500).json({ error: "Failed to start password reset" });
   }
 });
 
-// Add class
-app.post("/classes", authenticateToken, async (req, res) => {
-  try {
-    const {
-      class_name,
-      course_name,
-      course_code,
-      lecturer,
-      schedule,
-      venue,
-      capacity,
-      status,
-    } = req.body;
+const RESET_PASSWORD_BODY = { token: string({ required: true }), password: passwordField({ required: true }) };
 
-    if (!class_name || !course_name || !course_code || !lecturer)
-      return res.status(400).json({ error: "Required fields missing" });
+app.post("/password/reset", validate({ body: RESET_PASSWORD_BODY }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
 
-    // Only lecturers and PL/PRL can create classes
-    if (!["lecturer", "pl", "prl"].includes(req.user.role)) {
-      return res.status(403).json({ error: "Not authorized to create class" });
-    }
+    const record = await consumeUserToken(token, "reset_password");
+    if (!record) return res.status(400).json({ error: "Invalid or expired reset link" });
 
-    const { data, error } = await supabase
-      .from("classes")
-      .insert([
-        {
-          class_name,
-          course_name,
-          course_code,
-          lecturer,
-          schedule: schedule || null,
-          venue: venue || null,
-          capacity: capacity ? parseInt(capacity) : null,
-          status: status || "active",
-          created_by: req.user.name,
-        },
-      ])
-      .select();
+    // Following the emailed link also proves the address, and lifts a lockout
+    const { error } = await db
+      .from("users")
+      .update({ password: await bcrypt.hash(password, 10), email_verified: true, ...LOGIN_UNLOCKED })
+      .eq("user_id", record.user_id);
 
     if (error) throw error;
 
-    res.status(201).json({ success: true, class: data[0] });
+    await revokeSessions("user_id", record.user_id);
+    await audit(req, "reset_password", "users", { id: record.user_id, actor: { user_id: record.user_id } });
+    res.json({ success: true, message: "Password reset, please log in" });
   } catch (err) {
-    console.error("Add Class Error:", err.message);
-    res.status(500).json({ error: "Failed to add class" });
+    console.error("Reset Password Error:", err.message);
+    res.status(500).json({ error: "Password reset failed" });
   }
 });
 
-// Update class
-app.put("/classes/:id", authenticateToken, async (req, res) => {
-  try {
-    const classId = req.params.id;
-    const updates = req.body;
+// Sends a 401 and returns false unless `password` is the user's current one
+async function checkCurrentPassword(res, userId, password) {
+  const { data: user, error } = await db.from("users").select("user_id, password").eq("user_id", userId).single();
+  if (error) throw error;
 
-    const { data: existingClass, error: fetchError } = await supabase
-      .from("classes")
-      .select("*")
-      .eq("id", classId)
-      .single();
+  if (await bcrypt.compare(password, user.password)) return true;
+  res.status(401).json({ error: "Current password is incorrect" });
+  return false;
+}
 
-    if (fetchError || !existingClass)
-      return res.status(404).json({ error: "Class not found" });
+// Set the logged-in user's password; their other sessions are logged out
+async function changePassword(req, newPassword) {
+  const { error } = await db
+    .from("users")
+    .update({ password: await bcrypt.hash(newPassword, 10) })
+    .eq("user_id", req.user.id);
 
-    // PL can edit any class, others only their own
-    if (req.user.role !== "pl" && existingClass.created_by !== req.user.name) {
-      return res.status(403).json({ error: "Not authorized to edit this class" });
-    }
+  if (error) throw error;
 
-    // Convert capacity to integer if provided
-    if (updates.capacity) updates.capacity = parseInt(updates.capacity);
+  const { error: revokeError } = await db
+    .from("sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", req.user.id)
+    .neq("session_id", req.user.sid)
+    .is("revoked_at", null);
 
-    const { data, error } = await supabase
-      .from("classes")
-      .update(updates)
-      .eq("id", classId)
-      .select();
+  if (revokeError) throw revokeError;
+  await audit(req, "change_password", "users", { id: req.user.id });
+}
 
-    if (error) throw error;
+// Change password while logged in; other sessions are logged out
+const CHANGE_PASSWORD_BODY = {
+  current_password: string({ required: true, trim: false }),
+  new_password: passwordField({ required: true }),
+};
 
-    res.json({ success: true, class: data[0] });
+app.put("/password", authenticateToken, validate({ body: CHANGE_PASSWORD_BODY }), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!(await checkCurrentPassword(res, req.user.id, current_password))) return;
+    await changePassword(req, new_password);
+
+    res.json({ success: true, message: "Password changed" });
   } catch (err) {
-    console.error("Update Class Error:", err.message);
-    res.status(500).json({ error: "Failed to update class" });
+    console.error("Change Password Error:", err.message);
+    res.status(500).json({ error: "Password change failed" });
   }
 });
 
-// Delete class
-app.delete("/classes/:id", authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new token pair (the refresh token rotates)
+const REFRESH_BODY = {
+  refresh_token: string({ required: true, pattern: /^[^.]+\.[^.]+$/, patternMessage: "must be a refresh token" }),
+};
+
+app.post("/token/refresh", validate({ body: REFRESH_BODY }), async (req, res) => {
   try {
-    const classId = req.params.id;
+    const [sessionId, secret] = req.body.refresh_token.split(".");
 
-    const { data: existingClass, error: fetchError } = await supabase
-      .from("classes")
-      .select("*")
-      .eq("id", classId)
-      .single();
+    const { data: session, error } = await db
+      .from("sessions")
+      .select("*, users(user_id, name, email, role, status)")
+      .eq("session_id", sessionId)
+      .maybeSingle();
 
-    if (fetchError || !existingClass)
-      return res.status(404).json({ error: "Class not found" });
+    if (error) throw error;
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date())
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
 
-    // PL can delete any class, others only their own
-    if (req.user.role !== "pl" && existingClass.created_by !== req.user.name) {
-      return res.status(403).json({ error: "Not authorized to delete this class" });
+    // An old (already rotated) token means it leaked: kill the session
+    if (session.refresh_token_hash !== hashToken(secret)) {
+      await revokeSessions("session_id", sessionId);
+      await audit(req, "refresh_reuse", "sessions", { id: sessionId, actor: session.users });
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
     }
 
-    const { error: delError } = await supabase
-      .from("classes")
-      .delete()
-      .eq("id", classId);
+    const user = session.users;
+    if (!user || (user.status && user.status !== "active"))
+      return res.status(403).json({ error: "Account is not active" });
 
-    if (delError) throw delError;
+    const newSecret = crypto.randomBytes(32).toString("base64url");
+    const { error: updateError } = await db
+      .from("sessions")
+      .update({ refresh_token_hash: hashToken(newSecret), last_used_at: new Date().toISOString() })
+      .eq("session_id", sessionId);
 
-    res.json({ success: true, message: "Class deleted successfully" });
+    if (updateError) throw updateError;
+
+    await audit(req, "refresh", "sessions", { id: sessionId, actor: user });
+    res.json({ success: true, ...sessionTokens(user, sessionId, newSecret) });
   } catch (err) {
-    console.error("Delete Class Error:", err.message);
-    res.status(500).json({ error: "Failed to delete class" });
+    console.error("Refresh Token Error:", err.message);
+    res.status(500).json({ error: "Token refresh failed" });
   }
 });
 
-// ------------------- REPORTS -------------------
-
-// Get all reports (with role-based filtering)
-app.get("/reports", authenticateToken, async (req, res) => {
+// Revoke the current session
+app.post("/logout", authenticateToken, validate(), async (req, res) => {
   try {
-    let query = supabase
-      .from("report")
-      .select(`
-        *,
-        classes(class_name, course_name, course_code, lecturer),
-        users!report_submitted_by_fkey(name)
-      `)
-      .order("created_at", { ascending: false });
+    await revokeSessions("session_id", req.user.sid);
+    await audit(req, "logout", "sessions", { id: req.user.sid });
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("Logout Error:", err.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
 
-    // Lecturers can only see their own reports
-    if (req.user.role === "lecturer") {
-      query = query.eq("submitted_by", req.user.id);
-    }
+// Revoke every session of the current user (log out all devices)
+app.post("/logout-all", authenticateToken, validate(), async (req, res) => {
+  try {
+    await revokeSessions("user_id", req.user.id);
+    await audit(req, "logout_all", "sessions", { id: req.user.id });
+    res.json({ success: true, message: "Logged out of all devices" });
+  } catch (err) {
+    console.error("Logout All Error:", err.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
 
-    const { data, error } = await query;
+// Active sessions of the current user
+app.get("/sessions", authenticateToken, validate(), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("sessions")
+      .select("session_id, user_agent, ip_address, created_at, last_used_at, expires_at")
+      .eq("user_id", req.user.id)
+      .is("revoked_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .order("created_at", { ascending: false });
 
-    if (error) {
-      console.error("Supabase reports error:", error);
-      throw error;
-    }
+    if (error) throw error;
+    res.json(data.map(session => ({ ...session, current: session.session_id === req.user.sid })));
+  } catch (err) {
+    console.error("Fetch Sessions Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
 
-    // Transform the data to match frontend expectations
-    const transformedData = data.map(report => ({
-      id: report.report_id,
-      faculty_name: "Faculty of ICT",
-      class_name: report.classes?.class_name || "Unknown Class",
-      class_id: report.class_id,
-      week_of_reporting: `Week ${report.week}`,
-      date_of_lecture: report.date,
-      course_name: report.classes?.course_name || "Unknown Course",
-      course_code: report.classes?.course_code || "N/A",
-      lecturer_name: report.classes?.lecturer || report.users?.name || "Unknown Lecturer",
-      actual_students_present: report.actual_students,
-      total_registered_students: 50,
-      venue: "Room 101",
-      scheduled_time: "10:00",
-      topic_taught: report.topic,
-      learning_outcomes: report.learning_outcomes,
-      recommendations: report.recommendations,
-      status: "submitted",
-      feedback: "",
-      created_by: report.submitted_by,
-      created_at: report.created_at
-    }));
+app.get("/profile", authenticateToken, validate(), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("users")
+      .select(USER_SELECT)
+      .eq("user_id", req.user.id)
+      .single();
 
-    res.json(transformedData || []);
+    if (error) throw error;
+    res.json(data);
   } catch (err) {
-    console.error("Fetch Reports Error:", err.message);
-    res.status(500).json({ error: "Failed to fetch reports: " + err.message });
+    console.error("Profile Error:", err.message);
+    res.status(500).json({ error: "Profile retrieval failed" });
   }
 });
 
-// Create new report
-app.post("/reports", authenticateToken, async (req, res) => {
+// Users edit their own name and password; a new password needs the current
+// one and logs out their other sessions
+const PROFILE_BODY = {
+  name: string({ max: 100 }),
+  current_password: string({ trim: false }),
+  new_password: passwordField(),
+};
+
+app.put("/profile", authenticateToken, validate({ body: PROFILE_BODY }), async (req, res) => {
   try {
-    const {
-      class_id,
-      week,
-      date,
-      topic,
-      learning_outcomes,
-      recommendations,
-      actual_students
-    } = req.body;
+    const { name, current_password, new_password } = req.body;
+    if (name === undefined && new_password === undefined)
+      return validationError(res, [{ in: "body", field: null, message: "must include name or new_password" }]);
+    if (new_password !== undefined && current_password === undefined)
+      return validationError(res, [{ in: "body", field: "current_password", message: "is required to change the password" }]);
 
-    // Validate required fields
-    if (!class_id || !week || !date || !topic || !actual_students) {
-      return res.status(400).json({ 
-        error: "Class, week, date, topic, and actual students are required" 
-      });
+    if (new_password !== undefined) {
+      if (!(await checkCurrentPassword(res, req.user.id, current_password))) return;
+      await changePassword(req, new_password);
     }
 
-    const { data, error } = await supabase
-      .from("report")
-      .insert([
-        {
-          class_id: parseInt(class_id),
-          week: parseInt(week),
-          date: date,
-          topic: topic,
-          learning_outcomes: learning_outcomes || null,
-          recommendations: recommendations || null,
-          actual_students: parseInt(actual_students),
-          submitted_by: req.user.id
+    if (name !== undefined && name !== req.user.name) {
+      const { error } = await db.from("users").update({ name }).eq("user_id", req.user.id);
+      if (error) throw error;
+      await audit(req, "update_profile", "users", { id: req.user.id, before: { name: req.user.name }, after: { name } });
+    }
+
+    const { data, error } = await db.from("users").select(USER_SELECT).eq("user_id", req.user.id).single();
+    if (error) throw error;
+    res.json({ success: true, message: "Profile updated", user: data });
+  } catch (err) {
+    console.error("Update Profile Error:", err.message);
+    res.status(500).json({ error: "Profile update failed" });
+  }
+});
+
+// PLs can lift a lockout (and the per-account login limit) early
+app.post("/users/:id/unlock", authenticateToken, authorize("users", "unlock"), validate({ params: { id: id() } }), async (req, res) => {
+  try {
+    const user = await managedUser(req, res);
+    if (!user) return;
+
+    const { error } = await db.from("users").update(LOGIN_UNLOCKED).eq("user_id", user.user_id);
+    if (error) throw error;
+    await rateLimits.reset(`login-account:${user.email.toLowerCase()}`);
+
+    await audit(req, "unlock", "users", {
+      id: user.user_id,
+      before: { failed_logins: user.failed_logins, locked_until: user.locked_until },
+      after: LOGIN_UNLOCKED,
+    });
+    res.json({ success: true, message: "Account unlocked" });
+  } catch (err) {
+    console.error("Unlock User Error:", err.message);
+    res.status(500).json({ error: "Failed to unlock account" });
+  }
+});
+
+// ------------------- LIST QUERIES -------------------
+
+const MAX_PAGE_SIZE = 100;
+
+// Query fields shared by list endpoints: ?q, ?sort, ?order, ?page and ?limit
+function listQueryFields({ sortable, defaultSort, defaultOrder = "desc" }) {
+  return {
+    q: string({ max: 100 }),
+    sort: oneOf(sortable, { default: defaultSort }),
+    order: oneOf(["asc", "desc"], { default: defaultOrder, lowercase: true }),
+    page: integer({ min: 1 }),
+    limit: integer({ min: 1, max: MAX_PAGE_SIZE }),
+  };
+}
+
+// The list options from a query validated against listQueryFields()
+function parseListQuery(query) {
+  // Commas, parentheses and wildcards would break the or() filter syntax
+  const search = query.q ? query.q.replace(/[,()%*]/g, " ").trim() : "";
+
+  return {
+    sort: query.sort,
+    ascending: query.order === "asc",
+    paginate: query.page !== undefined || query.limit !== undefined,
+    page: query.page ?? 1,
+    limit: query.limit ?? 20,
+    search,
+  };
+}
+
+// "col.ilike.%term%" for each column, for query.or()
+function searchFilter(columns, search) {
+  return columns.map(column => `${column}.ilike.%${search}%`).join(",");
+}
+
+// Apply sort and page range; the query must select with { count: "exact" }
+function applyListQuery(query, list) {
+  query = query.order(list.sort, { ascending: list.ascending });
+  if (list.paginate) query = query.range((list.page - 1) * list.limit, list.page * list.limit - 1);
+  return query;
+}
+
+// Unpaginated lists stay plain arrays; paginated ones get a
+// { data, pagination } envelope. Both carry X-Total-Count.
+function sendList(res, rows, total, list) {
+  res.setHeader("X-Total-Count", String(total ?? rows.length));
+  if (!list.paginate) return res.json(rows);
+
+  res.json({
+    data: rows,
+    pagination: {
+      page: list.page,
+      limit: list.limit,
+      total,
+      total_pages: Math.ceil(total / list.limit),
+    },
+  });
+}
+
+// ------------------- TIMETABLE -------------------
+// Classes meet in weekly slots (day, start/end time, venue). A venue or a
+// lecturer can't be in two overlapping slots, and a class can't be booked
+// into a venue smaller than its capacity.
+
+// Params of the /<resource>/:id routes
+const ID_PARAMS = { id: id() };
+
+// ISO weekdays: day_of_week 1 is Monday
+const DAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+const TIMETABLE_SLOT = object(
+  {
+    day_of_week: integer({ required: true, min: 1, max: 7 }),
+    start_time: time({ required: true }),
+    end_time: time({ required: true }),
+    venue_id: id({ required: true }),
+  },
+  { check: slot => (slot.end_time > slot.start_time ? null : "end_time must be after start_time") }
+);
+
+const SLOT_SELECT = "slot_id, class_id, day_of_week, start_time, end_time, venue_id, venues(name)";
+
+// Postgres returns TIME columns as HH:MM:SS
+function hhmm(value) {
+  return value ? String(value).slice(0, 5) : null;
+}
+
+function formatSlot(slot) {
+  return {
+    slot_id: slot.slot_id,
+    day_of_week: slot.day_of_week,
+    day: DAY_NAMES[slot.day_of_week - 1],
+    start_time: hhmm(slot.start_time),
+    end_time: hhmm(slot.end_time),
+    venue_id: slot.venue_id,
+    venue: slot.venues?.name ?? null,
+  };
+}
+
+function bySlotTime(a, b) {
+  return a.day_of_week - b.day_of_week || (hhmm(a.start_time) < hhmm(b.start_time) ? -1 : 1);
+}
+
+function slotsOverlap(a, b) {
+  return (
+    a.day_of_week === b.day_of_week &&
+    hhmm(a.start_time) < hhmm(b.end_time) &&
+    hhmm(b.start_time) < hhmm(a.end_time)
+  );
+}
+
+// Formatted timetable per class id, ordered by day and time
+async function loadTimetables(classIds) {
+  const timetables = new Map();
+  const ids = [...new Set(classIds)].filter(Boolean);
+  if (!ids.length) return timetables;
+
+  const { data, error } = await db.from("timetable_slots").select(SLOT_SELECT).in("class_id", ids);
+  if (error) throw error;
+
+  for (const slot of data.sort(bySlotTime)) {
+    if (!timetables.has(slot.class_id)) timetables.set(slot.class_id, []);
+    timetables.get(slot.class_id).push(formatSlot(slot));
+  }
+  return timetables;
+}
+
+async function loadVenues(venueIds) {
+  const ids = [...new Set(venueIds)];
+  if (!ids.length) return new Map();
+
+  const { data, error } = await db.from("venues").select("*").in("venue_id", ids);
+  if (error) throw error;
+  return new Map(data.map(v => [v.venue_id, v]));
+}
+
+// Readable classes.schedule / classes.venue text for a timetable
+function timetableSummary(slots, venues) {
+  const sorted = [...slots].sort(bySlotTime);
+  return {
+    schedule: sorted.map(s => `${DAY_NAMES[s.day_of_week - 1].slice(0, 3)} ${s.start_time}-${s.end_time}`).join(", ") || null,
+    venue: [...new Set(sorted.map(s => venues.get(s.venue_id)?.name))].join(", ") || null,
+  };
+}
+
+// Everything wrong with booking `slots` for
+// cls = { id, lecturer_ids, capacity, semester_id } (id is null for a new
+// class). Returns a list of clashes.
+async function findClashes(cls, slots, venues) {
+  const clashes = [];
+  const when = slot => `${DAY_NAMES[slot.day_of_week - 1]} ${hhmm(slot.start_time)}-${hhmm(slot.end_time)}`;
+
+  slots.forEach((slot, index) => {
+    const venue = venues.get(slot.venue_id);
+    if (cls.capacity && venue.capacity && cls.capacity > venue.capacity) {
+      clashes.push({
+        slot: index,
+        type: "capacity",
+        message: `${venue.name} holds ${venue.capacity} but the class capacity is ${cls.capacity}`,
+      });
+    }
+    for (let other = 0; other < index; other++) {
+      if (slotsOverlap(slot, slots[other])) {
+        clashes.push({ slot: index, type: "timetable", message: `Overlaps slot ${other + 1} of the same class` });
+      }
+    }
+  });
+
+  const days = [...new Set(slots.map(s => s.day_of_week))];
+  if (!days.length) return clashes;
+
+  const { data: booked, error } = await db
+    .from("timetable_slots")
+    .select("*, venues(name), classes(id, class_name, lecturer_id, status, semester_id, semesters(end_date))")
+    .in("day_of_week", days);
+
+  if (error) throw error;
+
+  const coLecturers = await loadCoLecturers(booked.map(b => b.class_id));
+  const names = await userNames(cls.lecturer_ids);
+
+  const now = today();
+  for (const other of booked) {
+    // Slots of deleted classes and of this class itself don't count
+    if (!other.classes || other.class_id === cls.id) continue;
+    // Nor do inactive classes, or those in another semester or one that has ended
+    const { status, semester_id, semesters } = other.classes;
+    if (status && status !== "active") continue;
+    if (cls.semester_id && semester_id && semester_id !== cls.semester_id) continue;
+    if (semesters && semesters.end_date < now) continue;
+
+    const teaching = classLecturerIds({ ...other.classes, co_lecturers: coLecturers.get(other.class_id) });
+    const shared = cls.lecturer_ids.filter(id => teaching.includes(id));
+
+    slots.forEach((slot, index) => {
+      if (!slotsOverlap(slot, other)) return;
+      const clash = { slot: index, class_id: other.class_id, class_name: other.classes.class_name };
+      if (other.venue_id === slot.venue_id) {
+        clashes.push({ ...clash, type: "venue", message: `${other.venues?.name} is booked on ${when(other)}` });
+      }
+      for (const lecturerId of shared) {
+        clashes.push({
+          ...clash,
+          type: "lecturer",
+          lecturer_id: lecturerId,
+          message: `${names.get(lecturerId) ?? "The lecturer"} already teaches on ${when(other)}`,
+        });
+      }
+    });
+  }
+
+  return clashes;
+}
+
+// Validate a proposed timetable for cls. Sends the 400/409 response and
+// returns null on failure, else the classes.schedule/venue summary.
+async function checkTimetable(res, cls, slots) {
+  const venues = await loadVenues(slots.map(s => s.venue_id));
+  const missing = slots.findIndex(s => !venues.has(s.venue_id));
+  if (missing !== -1) {
+    validationError(res, [{ in: "body", field: "timetable", message: `item ${missing + 1} venue_id does not exist` }]);
+    return null;
+  }
+
+  const clashes = await findClashes(cls, slots, venues);
+  if (clashes.length) {
+    res.status(409).json({ error: "Timetable clash", clashes });
+    return null;
+  }
+
+  return timetableSummary(slots, venues);
+}
+
+// Replace the timetable of a class
+async function saveTimetable(classId, slots) {
+  const { error: deleteError } = await db.from("timetable_slots").delete().eq("class_id", classId);
+  if (deleteError) throw deleteError;
+
+  if (!slots.length) return;
+  const { error } = await db.from("timetable_slots").insert(slots.map(slot => ({ ...slot, class_id: classId })));
+  if (error) throw error;
+}
+
+// Weekly timetable; filters: day_of_week, venue_id, class_id, lecturer_id
+const TIMETABLE_QUERY = {
+  day_of_week: integer({ min: 1, max: 7 }),
+  venue_id: id(),
+  class_id: id(),
+  lecturer_id: id(),
+};
+
+app.get("/timetable", authenticateToken, authorize("classes", "read"), validate({ query: TIMETABLE_QUERY }), async (req, res) => {
+  try {
+    let query = db
+      .from("timetable_slots")
+      .select(`${SLOT_SELECT}, classes(class_name, course_code, lecturer_id, users!classes_lecturer_id_fkey(name))`);
+
+    if (req.query.day_of_week) query = query.eq("day_of_week", req.query.day_of_week);
+    if (req.query.venue_id) query = query.eq("venue_id", req.query.venue_id);
+    if (req.query.class_id) query = query.eq("class_id", req.query.class_id);
+    if (req.query.lecturer_id) query = query.in("class_id", await lecturerClassIds(req.query.lecturer_id));
+
+    const classIds = await scopedClassIds(req.user, "classes", "read");
+    if (classIds) query = query.in("class_id", classIds);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const slots = data
+      .filter(slot => slot.classes)
+      .sort(bySlotTime)
+      .map(slot => ({
+        ...formatSlot(slot),
+        class_id: slot.class_id,
+        class_name: slot.classes.class_name,
+        course_code: slot.classes.course_code,
+        lecturer_id: slot.classes.lecturer_id,
+        lecturer: slot.classes.users?.name ?? null,
+      }));
+
+    res.json(slots);
+  } catch (err) {
+    console.error("Fetch Timetable Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch timetable" });
+  }
+});
+
+// ------------------- VENUES -------------------
+
+const VENUE_BODY = {
+  name: string({ required: true, max: 100 }),
+  building: string({ nullable: true, max: 100 }),
+  capacity: integer({ nullable: true, min: 1 }),
+};
+
+const VENUE_LIST_QUERY = {
+  ...listQueryFields({ sortable: ["name", "building", "capacity", "created_at"], defaultSort: "name", defaultOrder: "asc" }),
+  building: string(),
+  min_capacity: integer({ min: 1 }),
+};
+
+async function fetchVenue(venueId) {
+  const { data, error } = await db.from("venues").select("*").eq("venue_id", venueId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// ?q= searches name and building
+app.get("/venues", authenticateToken, authorize("venues", "read"), validate({ query: VENUE_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    let query = db.from("venues").select("*", { count: "exact" });
+
+    if (list.search) query = query.or(searchFilter(["name", "building"], list.search));
+    if (req.query.building) query = query.eq("building", req.query.building);
+    if (req.query.min_capacity) query = query.gte("capacity", req.query.min_capacity);
+
+    const { data, error, count } = await applyListQuery(query, list);
+    if (error) throw error;
+
+    sendList(res, data, count, list);
+  } catch (err) {
+    console.error("Fetch Venues Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch venues" });
+  }
+});
+
+// A venue with its weekly bookings
+app.get("/venues/:id", authenticateToken, authorize("venues", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const venue = await fetchVenue(req.params.id);
+    if (!venue) return res.status(404).json({ error: "Venue not found" });
+
+    const { data, error } = await db
+      .from("timetable_slots")
+      .select(`${SLOT_SELECT}, classes(class_name, lecturer_id, users!classes_lecturer_id_fkey(name))`)
+      .eq("venue_id", venue.venue_id);
+
+    if (error) throw error;
+
+    const bookings = data
+      .filter(slot => slot.classes)
+      .sort(bySlotTime)
+      .map(slot => ({
+        ...formatSlot(slot),
+        class_id: slot.class_id,
+        class_name: slot.classes.class_name,
+        lecturer_id: slot.classes.lecturer_id,
+        lecturer: slot.classes.users?.name ?? null,
+      }));
+
+    res.json({ ...venue, bookings });
+  } catch (err) {
+    console.error("Fetch Venue Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch venue" });
+  }
+});
+
+app.post("/venues", authenticateToken, authorize("venues", "create"), validate({ body: VENUE_BODY }), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("venues")
+      .insert([{ building: null, capacity: null, ...req.body }])
+      .select();
+
+    if (error?.code === "23505") return res.status(409).json({ error: "A venue with that name already exists" });
+    if (error) throw error;
+
+    await audit(req, "create", "venues", { id: data[0].venue_id, after: data[0] });
+    res.status(201).json(data[0]);
+  } catch (err) {
+    console.error("Create Venue Error:", err.message);
+    res.status(500).json({ error: "Failed to create venue" });
+  }
+});
+
+app.put("/venues/:id", authenticateToken, authorize("venues", "update"), validate({ params: ID_PARAMS, body: partial(VENUE_BODY) }), async (req, res) => {
+  try {
+    if (!Object.keys(req.body).length)
+      return validationError(res, [{ in: "body", field: null, message: "must include at least one field" }]);
+
+    const existing = await fetchVenue(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Venue not found" });
+
+    const { data, error } = await db
+      .from("venues")
+      .update(req.body)
+      .eq("venue_id", existing.venue_id)
+      .select();
+
+    if (error?.code === "23505") return res.status(409).json({ error: "A venue with that name already exists" });
+    if (error) throw error;
+
+    await audit(req, "update", "venues", { id: existing.venue_id, before: existing, after: data[0] });
+    res.json(data[0]);
+  } catch (err) {
+    console.error("Update Venue Error:", err.message);
+    res.status(500).json({ error: "Failed to update venue" });
+  }
+});
+
+// Venues still on a timetable can't be deleted
+app.delete("/venues/:id", authenticateToken, authorize("venues", "delete"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const existing = await fetchVenue(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Venue not found" });
+
+    const { count, error: countError } = await db
+      .from("timetable_slots")
+      .select("slot_id", { count: "exact", head: true })
+      .eq("venue_id", existing.venue_id);
+
+    if (countError) throw countError;
+    if (count) return res.status(409).json({ error: `Venue is booked in ${count} timetable slot(s)` });
+
+    const { error } = await db.from("venues").delete().eq("venue_id", existing.venue_id);
+    if (error) throw error;
+
+    await audit(req, "delete", "venues", { id: existing.venue_id, before: existing });
+    res.json({ success: true, message: "Venue deleted" });
+  } catch (err) {
+    console.error("Delete Venue Error:", err.message);
+    res.status(500).json({ error: "Failed to delete venue" });
+  }
+});
+
+// ------------------- SEMESTERS -------------------
+
+const BREAK_KINDS = ["holiday", "exam"];
+
+const SEMESTER_BREAK = object(
+  {
+    name: string({ required: true, max: 100 }),
+    kind: oneOf(BREAK_KINDS, { required: true, lowercase: true }),
+    start_date: date({ required: true }),
+    end_date: date({ required: true }),
+  },
+  { check: b => (b.end_date >= b.start_date ? null : "end_date must not be before start_date") }
+);
+
+// Holidays and exam periods come with the semester and are replaced as a
+// whole when breaks is given
+const SEMESTER_BODY = {
+  name: string({ required: true, max: 100 }),
+  start_date: date({ required: true }),
+  end_date: date({ required: true }),
+  breaks: array(SEMESTER_BREAK, { max: 30 }),
+};
+
+// ?q= searches the name
+const SEMESTER_LIST_QUERY = listQueryFields({ sortable: ["start_date", "name", "created_at"], defaultSort: "start_date" });
+
+const BREAK_SELECT = "break_id, name, kind, start_date, end_date";
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function fetchSemester(semesterId) {
+  const { data, error } = await db.from("semesters").select("*").eq("semester_id", semesterId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// The semester running on `day` (semesters never overlap), or null
+async function semesterOn(day) {
+  const { data, error } = await db.from("semesters").select("*").lte("start_date", day).gte("end_date", day).limit(1);
+  if (error) throw error;
+  return data[0] ?? null;
+}
+
+// A semester with its breaks and teaching weeks (see lib/calendar.js)
+async function loadCalendar(semester) {
+  const { data, error } = await db.from("semester_breaks").select(BREAK_SELECT).eq("semester_id", semester.semester_id);
+  if (error) throw error;
+  return academicCalendar(semester, data);
+}
+
+// API shape of a calendar: current_week is the teaching week reached today,
+// null outside the semester
+function formatCalendar(calendar) {
+  const day = today();
+  const running = calendar.start_date <= day && day <= calendar.end_date;
+  return { ...calendar, current_week: running ? weeksStarted(calendar, day) : null };
+}
+
+// Sends a 400 (dates) or 409 (overlap) and returns false unless the dates
+// and breaks fit together and no other semester shares any of the days
+async function checkSemester(res, { start_date, end_date, breaks = [] }, semesterId = null) {
+  if (end_date <= start_date) {
+    validationError(res, [{ in: "body", field: "end_date", message: "must be after start_date" }]);
+    return false;
+  }
+  const outside = breaks.findIndex(b => b.start_date < start_date || b.end_date > end_date);
+  if (outside !== -1) {
+    validationError(res, [{ in: "body", field: "breaks", message: `item ${outside + 1} is outside the semester` }]);
+    return false;
+  }
+
+  let query = db.from("semesters").select("name").lte("start_date", end_date).gte("end_date", start_date);
+  if (semesterId) query = query.neq("semester_id", semesterId);
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+
+  if (data.length) {
+    res.status(409).json({ error: `Dates overlap with ${data[0].name}` });
+    return false;
+  }
+  return true;
+}
+
+async function saveBreaks(semesterId, breaks) {
+  const { error: deleteError } = await db.from("semester_breaks").delete().eq("semester_id", semesterId);
+  if (deleteError) throw deleteError;
+
+  if (!breaks.length) return;
+  const { error } = await db.from("semester_breaks").insert(breaks.map(b => ({ ...b, semester_id: semesterId })));
+  if (error) throw error;
+}
+
+app.get("/semesters", authenticateToken, authorize("semesters", "read"), validate({ query: SEMESTER_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    let query = db.from("semesters").select("*", { count: "exact" });
+
+    if (list.search) query = query.or(searchFilter(["name"], list.search));
+
+    const { data, error, count } = await applyListQuery(query, list);
+    if (error) throw error;
+
+    sendList(res, data, count, list);
+  } catch (err) {
+    console.error("Fetch Semesters Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch semesters" });
+  }
+});
+
+// The semester running today, with its calendar
+app.get("/semesters/current", authenticateToken, authorize("semesters", "read"), validate(), async (req, res) => {
+  try {
+    const semester = await semesterOn(today());
+    if (!semester) return res.status(404).json({ error: "No semester is running today" });
+
+    res.json(formatCalendar(await loadCalendar(semester)));
+  } catch (err) {
+    console.error("Fetch Current Semester Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch current semester" });
+  }
+});
+
+// A semester with its breaks and teaching weeks
+app.get("/semesters/:id", authenticateToken, authorize("semesters", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const semester = await fetchSemester(req.params.id);
+    if (!semester) return res.status(404).json({ error: "Semester not found" });
+
+    res.json(formatCalendar(await loadCalendar(semester)));
+  } catch (err) {
+    console.error("Fetch Semester Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch semester" });
+  }
+});
+
+app.post("/semesters", authenticateToken, authorize("semesters", "create"), validate({ body: SEMESTER_BODY }), async (req, res) => {
+  try {
+    const { breaks = [], ...fields } = req.body;
+    if (!(await checkSemester(res, req.body))) return;
+
+    const { data, error } = await db.from("semesters").insert([fields]).select();
+
+    if (error?.code === "23505") return res.status(409).json({ error: "A semester with that name already exists" });
+    if (error) throw error;
+
+    await saveBreaks(data[0].semester_id, breaks);
+    const calendar = formatCalendar(await loadCalendar(data[0]));
+
+    await audit(req, "create", "semesters", { id: calendar.semester_id, after: calendar });
+    res.status(201).json(calendar);
+  } catch (err) {
+    console.error("Create Semester Error:", err.message);
+    res.status(500).json({ error: "Failed to create semester" });
+  }
+});
+
+// Reports already filed keep the week they were filed with
+app.put("/semesters/:id", authenticateToken, authorize("semesters", "update"), validate({ params: ID_PARAMS, body: partial(SEMESTER_BODY) }), async (req, res) => {
+  try {
+    if (!Object.keys(req.body).length)
+      return validationError(res, [{ in: "body", field: null, message: "must include at least one field" }]);
+
+    const existing = await fetchSemester(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Semester not found" });
+    const before = await loadCalendar(existing);
+
+    const { breaks, ...changes } = req.body;
+    const merged = { ...existing, ...changes, breaks: breaks ?? before.breaks };
+    if (!(await checkSemester(res, merged, existing.semester_id))) return;
+
+    let semester = existing;
+    if (Object.keys(changes).length) {
+      const { data, error } = await db.from("semesters").update(changes).eq("semester_id", existing.semester_id).select();
+
+      if (error?.code === "23505") return res.status(409).json({ error: "A semester with that name already exists" });
+      if (error) throw error;
+      semester = data[0];
+    }
+
+    if (breaks) await saveBreaks(existing.semester_id, breaks);
+    const calendar = formatCalendar(await loadCalendar(semester));
+
+    await audit(req, "update", "semesters", { id: existing.semester_id, before, after: calendar });
+    res.json(calendar);
+  } catch (err) {
+    console.error("Update Semester Error:", err.message);
+    res.status(500).json({ error: "Failed to update semester" });
+  }
+});
+
+// Semesters with classes or reports can't be deleted
+app.delete("/semesters/:id", authenticateToken, authorize("semesters", "delete"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const existing = await fetchSemester(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Semester not found" });
+
+    for (const [table, label] of [["classes", "class(es)"], ["report", "report(s)"]]) {
+      const { count, error } = await db
+        .from(table)
+        .select("semester_id", { count: "exact", head: true })
+        .eq("semester_id", existing.semester_id);
+
+      if (error) throw error;
+      if (count) return res.status(409).json({ error: `Semester has ${count} ${label}` });
+    }
+
+    const before = await loadCalendar(existing);
+    await saveBreaks(existing.semester_id, []);
+    const { error } = await db.from("semesters").delete().eq("semester_id", existing.semester_id);
+    if (error) throw error;
+
+    await audit(req, "delete", "semesters", { id: existing.semester_id, before });
+    res.json({ success: true, message: "Semester deleted" });
+  } catch (err) {
+    console.error("Delete Semester Error:", err.message);
+    res.status(500).json({ error: "Failed to delete semester" });
+  }
+});
+
+// ------------------- FACULTIES -------------------
+
+// A faculty lists its programmes and each programme its streams. Courses and
+// users name their programme and stream, which must be listed under their
+// faculty.
+const unique = (values, message) => (new Set(values).size === values.length ? null : message);
+
+const PROGRAMME = object(
+  {
+    name: string({ required: true, max: 150 }),
+    streams: array(string({ max: 150 }), { max: 30 }),
+  },
+  { check: p => unique(p.streams || [], "streams must not repeat") }
+);
+
+// programmes is replaced as a whole when given
+const FACULTY_BODY = {
+  name: string({ required: true, max: 150 }),
+  code: string({ nullable: true, max: 20 }),
+  programmes: array(PROGRAMME, { max: 50, check: list => unique(list.map(p => p.name), "must not repeat a programme") }),
+};
+
+// ?q= searches name and code
+const FACULTY_LIST_QUERY = listQueryFields({ sortable: ["name", "code", "created_at"], defaultSort: "name", defaultOrder: "asc" });
+
+const FACULTY_SELECT = "*, programmes(programme_id, name, streams(stream_id, name))";
+
+// Programmes and streams sorted by name
+function formatFaculty(faculty) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    ...faculty,
+    programmes: [...faculty.programmes].sort(byName).map(p => ({ ...p, streams: [...p.streams].sort(byName) })),
+  };
+}
+
+async function fetchFaculty(facultyId) {
+  const { data, error } = await db.from("faculties").select(FACULTY_SELECT).eq("faculty_id", facultyId).maybeSingle();
+  if (error) throw error;
+  return data && formatFaculty(data);
+}
+
+// Why a programme/stream doesn't fit a faculty, as { field, message }, or
+// null. Without a programme the stream may be under any of its programmes.
+function placementProblem(faculty, { programme, stream }) {
+  const programmes = programme ? faculty.programmes.filter(p => p.name === programme) : faculty.programmes;
+  if (programme && !programmes.length) return { field: "programme", message: `is not a programme of ${faculty.name}` };
+  if (stream && !programmes.some(p => p.streams.some(s => s.name === stream))) {
+    return { field: "stream", message: `is not a stream of ${programme || faculty.name}` };
+  }
+  return null;
+}
+
+// Sends a 400 and returns false unless faculty_id exists and the programme
+// and stream are listed under it (neither may be given without a faculty)
+async function checkPlacement(res, { faculty_id, programme, stream }) {
+  if (!faculty_id) {
+    if (!programme && !stream) return true;
+    validationError(res, [{ in: "body", field: "faculty_id", message: "is required with a programme or stream" }]);
+    return false;
+  }
+
+  const faculty = await fetchFaculty(faculty_id);
+  const problem = faculty ? placementProblem(faculty, { programme, stream }) : { field: "faculty_id", message: "does not exist" };
+  if (problem) validationError(res, [{ in: "body", ...problem }]);
+  return !problem;
+}
+
+// Sends a 409 and returns false if a course or user of the faculty names a
+// programme or stream the faculty would no longer list
+async function checkProgrammesInUse(res, faculty) {
+  for (const table of ["courses", "users"]) {
+    const { data, error } = await db.from(table).select("programme, stream").eq("faculty_id", faculty.faculty_id);
+    if (error) throw error;
+
+    for (const row of data) {
+      const problem = placementProblem(faculty, row);
+      if (problem) {
+        res.status(409).json({ error: `${problem.field === "programme" ? "Programme" : "Stream"} "${row[problem.field]}" is still used by ${table}` });
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+async function saveProgrammes(facultyId, programmes) {
+  const { data: existing, error: fetchError } = await db.from("programmes").select("programme_id").eq("faculty_id", facultyId);
+  if (fetchError) throw fetchError;
+
+  if (existing.length) {
+    const ids = existing.map(p => p.programme_id);
+    const { error: streamError } = await db.from("streams").delete().in("programme_id", ids);
+    if (streamError) throw streamError;
+    const { error: deleteError } = await db.from("programmes").delete().in("programme_id", ids);
+    if (deleteError) throw deleteError;
+  }
+  if (!programmes.length) return;
+
+  const { data: saved, error } = await db
+    .from("programmes")
+    .insert(programmes.map(p => ({ faculty_id: facultyId, name: p.name })))
+    .select("programme_id, name");
+  if (error) throw error;
+
+  const ids = new Map(saved.map(p => [p.name, p.programme_id]));
+  const streams = programmes.flatMap(p => (p.streams || []).map(name => ({ programme_id: ids.get(p.name), name })));
+  if (!streams.length) return;
+  const { error: streamError } = await db.from("streams").insert(streams);
+  if (streamError) throw streamError;
+}
+
+const FACULTY_CONFLICT = "A faculty with that name or code already exists";
+
+// A PL with a faculty changes only that one; one without changes any
+function managesFaculty(actor, faculty) {
+  return !actor.faculty_id || faculty.faculty_id === actor.faculty_id;
+}
+
+// The faculty if `req.user` may change it; otherwise sends a 404 or 403
+// and returns null
+async function managedFaculty(req, res) {
+  const faculty = await fetchFaculty(req.params.id);
+
+  if (!faculty) res.status(404).json({ error: "Faculty not found" });
+  else if (!managesFaculty(req.user, faculty)) res.status(403).json({ error: "You can only change your own faculty" });
+  return faculty && managesFaculty(req.user, faculty) ? faculty : null;
+}
+
+app.get("/faculties", authenticateToken, authorize("faculties", "read"), validate({ query: FACULTY_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    let query = db.from("faculties").select(FACULTY_SELECT, { count: "exact" });
+
+    if (list.search) query = query.or(searchFilter(["name", "code"], list.search));
+
+    const { data, error, count } = await applyListQuery(query, list);
+    if (error) throw error;
+
+    sendList(res, data.map(formatFaculty), count, list);
+  } catch (err) {
+    console.error("Fetch Faculties Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch faculties" });
+  }
+});
+
+app.get("/faculties/:id", authenticateToken, authorize("faculties", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const faculty = await fetchFaculty(req.params.id);
+    if (!faculty) return res.status(404).json({ error: "Faculty not found" });
+    res.json(faculty);
+  } catch (err) {
+    console.error("Fetch Faculty Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch faculty" });
+  }
+});
+
+// Only a PL without a faculty adds faculties
+app.post("/faculties", authenticateToken, authorize("faculties", "create"), validate({ body: FACULTY_BODY }), async (req, res) => {
+  try {
+    if (req.user.faculty_id) return res.status(403).json({ error: "Only a PL without a faculty can add faculties" });
+
+    const { programmes = [], ...fields } = req.body;
+
+    const { data, error } = await db
+      .from("faculties")
+      .insert([{ code: null, ...fields }])
+      .select();
+
+    if (error?.code === "23505") return res.status(409).json({ error: FACULTY_CONFLICT });
+    if (error) throw error;
+
+    await saveProgrammes(data[0].faculty_id, programmes);
+    const faculty = await fetchFaculty(data[0].faculty_id);
+
+    await audit(req, "create", "faculties", { id: faculty.faculty_id, after: faculty });
+    res.status(201).json(faculty);
+  } catch (err) {
+    console.error("Create Faculty Error:", err.message);
+    res.status(500).json({ error: "Failed to create faculty" });
+  }
+});
+
+// Programmes and streams still named by the faculty's courses or users can't
+// be left out
+app.put("/faculties/:id", authenticateToken, authorize("faculties", "update"), validate({ params: ID_PARAMS, body: partial(FACULTY_BODY) }), async (req, res) => {
+  try {
+    if (!Object.keys(req.body).length)
+      return validationError(res, [{ in: "body", field: null, message: "must include at least one field" }]);
+
+    const existing = await managedFaculty(req, res);
+    if (!existing) return;
+
+    const { programmes, ...changes } = req.body;
+    if (programmes) {
+      const replaced = {
+        ...existing,
+        ...changes,
+        programmes: programmes.map(p => ({ name: p.name, streams: (p.streams || []).map(name => ({ name })) })),
+      };
+      if (!(await checkProgrammesInUse(res, replaced))) return;
+    }
+
+    if (Object.keys(changes).length) {
+      const { error } = await db.from("faculties").update(changes).eq("faculty_id", existing.faculty_id);
+
+      if (error?.code === "23505") return res.status(409).json({ error: FACULTY_CONFLICT });
+      if (error) throw error;
+    }
+
+    if (programmes) await saveProgrammes(existing.faculty_id, programmes);
+    const faculty = await fetchFaculty(existing.faculty_id);
+
+    await audit(req, "update", "faculties", { id: existing.faculty_id, before: existing, after: faculty });
+    res.json(faculty);
+  } catch (err) {
+    console.error("Update Faculty Error:", err.message);
+    res.status(500).json({ error: "Failed to update faculty" });
+  }
+});
+
+// Faculties with courses, classes or users can't be deleted
+app.delete("/faculties/:id", authenticateToken, authorize("faculties", "delete"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const existing = await managedFaculty(req, res);
+    if (!existing) return;
+
+    for (const table of ["courses", "classes", "users"]) {
+      const { count, error } = await db
+        .from(table)
+        .select("faculty_id", { count: "exact", head: true })
+        .eq("faculty_id", existing.faculty_id);
+
+      if (error) throw error;
+      if (count) return res.status(409).json({ error: `Faculty has ${count} ${table === "classes" ? "class(es)" : table.slice(0, -1) + "(s)"}` });
+    }
+
+    await saveProgrammes(existing.faculty_id, []);
+    const { error } = await db.from("faculties").delete().eq("faculty_id", existing.faculty_id);
+    if (error) throw error;
+
+    await audit(req, "delete", "faculties", { id: existing.faculty_id, before: existing });
+    res.json({ success: true, message: "Faculty deleted" });
+  } catch (err) {
+    console.error("Delete Faculty Error:", err.message);
+    res.status(500).json({ error: "Failed to delete faculty" });
+  }
+});
+
+// ------------------- USERS -------------------
+// PL user administration. A PL with a faculty manages the users in it and
+// those not yet placed in any faculty.
+
+const USER_STATUSES = ["active", "pending", "inactive"];
+
+// Everything about an account but its secrets
+const USER_SELECT =
+  "user_id, name, email, role, status, faculty_id, programme, stream, email_verified, email_notifications, failed_logins, locked_until, created_at";
+
+// A PL with a faculty manages its users and those not yet placed, except
+// PLs without a faculty: those run the whole university
+function managesUser(actor, user) {
+  if (!actor.faculty_id || user.faculty_id === actor.faculty_id) return true;
+  return !user.faculty_id && user.role !== "pl";
+}
+
+// A PL with a faculty makes PLs only of users in it, so nobody they promote
+// reaches further than they do
+function grantsRole(actor, user, role) {
+  return role !== "pl" || !actor.faculty_id || user.faculty_id === actor.faculty_id;
+}
+
+// The user if `req.user` may manage them; otherwise sends a 404 or 403
+// and returns null
+async function managedUser(req, res) {
+  const { data: user, error } = await db.from("users").select(USER_SELECT).eq("user_id", req.params.id).maybeSingle();
+  if (error) throw error;
+
+  if (!user) res.status(404).json({ error: "User not found" });
+  else if (!managesUser(req.user, user)) res.status(403).json({ error: "User is outside your faculty" });
+  return user && managesUser(req.user, user) ? user : null;
+}
+
+// Update a user; returns the updated row (USER_SELECT)
+async function updateUser(userId, changes) {
+  const { data, error } = await db.from("users").update(changes).eq("user_id", userId).select(USER_SELECT);
+  if (error) throw error;
+  return data[0];
+}
+
+// ?q= searches name and email; filters: role, status, faculty_id
+const USER_LIST_QUERY = {
+  ...listQueryFields({ sortable: ["created_at", "name", "email", "role", "status"], defaultSort: "created_at" }),
+  role: oneOf(ROLES, { lowercase: true }),
+  status: oneOf(USER_STATUSES, { lowercase: true }),
+  faculty_id: id(),
+};
+
+app.get("/users", authenticateToken, authorize("users", "read"), validate({ query: USER_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    let query = db.from("users").select(USER_SELECT, { count: "exact" });
+
+    if (list.search) query = query.or(searchFilter(["name", "email"], list.search));
+    if (req.query.role) query = query.eq("role", req.query.role);
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (req.query.faculty_id) query = query.eq("faculty_id", req.query.faculty_id);
+    // The users managesUser() lets a PL with a faculty manage
+    if (req.user.faculty_id) {
+      query = query
+        .or(`faculty_id.is.null,faculty_id.eq.${req.user.faculty_id}`)
+        .or(`role.neq.pl,faculty_id.eq.${req.user.faculty_id}`);
+    }
+
+    const { data, error, count } = await applyListQuery(query, list);
+    if (error) throw error;
+
+    sendList(res, data, count, list);
+  } catch (err) {
+    console.error("Fetch Users Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+app.get("/users/:id", authenticateToken, authorize("users", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const user = await managedUser(req, res);
+    if (user) res.json(user);
+  } catch (err) {
+    console.error("Fetch User Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch user" });
+  }
+});
+
+// Let a pending PRL/PL registration log in
+app.post("/users/:id/approve", authenticateToken, authorize("users", "approve"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const existing = await managedUser(req, res);
+    if (!existing) return;
+    if (existing.status !== "pending") return res.status(409).json({ error: "Account is not awaiting approval" });
+
+    const user = await updateUser(existing.user_id, { status: "active" });
+    await sendMail({
+      to: user.email,
+      subject: "Your LUCT Reporting account is approved",
+      text: `Hi ${user.name},\n\n${req.user.name} approved your ${user.role.toUpperCase()} account. You can now log in:\n${FRONTEND_URL}/login`,
+    });
+
+    await audit(req, "approve", "users", { id: user.user_id, before: { status: existing.status }, after: { status: user.status } });
+    res.json({ success: true, message: "Account approved", user });
+  } catch (err) {
+    console.error("Approve User Error:", err.message);
+    res.status(500).json({ error: "Failed to approve account" });
+  }
+});
+
+// PLs can't change their own role, so there is always one left
+app.put("/users/:id/role", authenticateToken, authorize("users", "change_role"), validate({ params: ID_PARAMS, body: { role: REGISTER_BODY.role } }), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) return res.status(409).json({ error: "You can't change your own role" });
+
+    const existing = await managedUser(req, res);
+    if (!existing) return;
+    if (existing.role === req.body.role) return res.json({ success: true, message: "Role unchanged", user: existing });
+    if (!grantsRole(req.user, existing, req.body.role)) {
+      return res.status(403).json({ error: "You can only make PLs of users in your own faculty" });
+    }
+
+    const user = await updateUser(existing.user_id, { role: req.body.role });
+
+    await audit(req, "change_role", "users", { id: user.user_id, before: { role: existing.role }, after: { role: user.role } });
+    res.json({ success: true, message: "Role changed", user });
+  } catch (err) {
+    console.error("Change Role Error:", err.message);
+    res.status(500).json({ error: "Failed to change role" });
+  }
+});
+
+// Deactivated users are logged out everywhere and can't log in; deactivating
+// a pending registration rejects it
+app.post("/users/:id/deactivate", authenticateToken, authorize("users", "deactivate"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) return res.status(409).json({ error: "You can't deactivate your own account" });
+
+    const existing = await managedUser(req, res);
+    if (!existing) return;
+    if (existing.status === "inactive") return res.status(409).json({ error: "Account is already inactive" });
+
+    const user = await updateUser(existing.user_id, { status: "inactive" });
+    await revokeSessions("user_id", user.user_id);
+
+    await audit(req, "deactivate", "users", { id: user.user_id, before: { status: existing.status }, after: { status: user.status } });
+    res.json({ success: true, message: "Account deactivated", user });
+  } catch (err) {
+    console.error("Deactivate User Error:", err.message);
+    res.status(500).json({ error: "Failed to deactivate account" });
+  }
+});
+
+app.post("/users/:id/reactivate", authenticateToken, authorize("users", "deactivate"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const existing = await managedUser(req, res);
+    if (!existing) return;
+    if (existing.status !== "inactive") return res.status(409).json({ error: "Account is not inactive" });
+
+    const user = await updateUser(existing.user_id, { status: "active" });
+
+    await audit(req, "reactivate", "users", { id: user.user_id, before: { status: existing.status }, after: { status: user.status } });
+    res.json({ success: true, message: "Account reactivated", user });
+  } catch (err) {
+    console.error("Reactivate User Error:", err.message);
+    res.status(500).json({ error: "Failed to reactivate account" });
+  }
+});
+
+// Programme and stream are replaced too (null when left out), and must be
+// listed under the faculty
+const USER_FACULTY_BODY = {
+  faculty_id: id({ required: true, nullable: true }),
+  programme: string({ nullable: true, max: 150 }),
+  stream: string({ nullable: true, max: 150 }),
+};
+
+// A PL with a faculty can only place users in their own
+app.put("/users/:id/faculty", authenticateToken, authorize("users", "assign"), validate({ params: ID_PARAMS, body: USER_FACULTY_BODY }), async (req, res) => {
+  try {
+    const placement = { faculty_id: req.body.faculty_id, programme: req.body.programme ?? null, stream: req.body.stream ?? null };
+
+    const existing = await managedUser(req, res);
+    if (!existing) return;
+    if (req.user.faculty_id && placement.faculty_id !== req.user.faculty_id) {
+      return res.status(403).json({ error: "You can only assign users within your own faculty" });
+    }
+    if (!(await checkPlacement(res, placement))) return;
+
+    const user = await updateUser(existing.user_id, placement);
+
+    const before = { faculty_id: existing.faculty_id, programme: existing.programme, stream: existing.stream };
+    await audit(req, "assign", "users", { id: user.user_id, before, after: placement });
+    res.json({ success: true, message: "Faculty assigned", user });
+  } catch (err) {
+    console.error("Assign Faculty Error:", err.message);
+    res.status(500).json({ error: "Failed to assign faculty" });
+  }
+});
+
+// ------------------- CLASSES -------------------
+
+const CLASS_STATUSES = ["active", "inactive"];
+
+const CLASS_BODY = {
+  class_name: string({ required: true, max: 100 }),
+  course_name: string({ required: true, max: 150 }),
+  course_code: string({ required: true, max: 20 }),
+  // Lead lecturer; a lecturer creating a class leads it unless they name someone else
+  lecturer_id: id(),
+  co_lecturer_ids: array(id(), { max: 5 }),
+  capacity: integer({ nullable: true, min: 1 }),
+  status: oneOf(CLASS_STATUSES, { lowercase: true }),
+  // Reports on the class take their teaching week from this semester
+  semester_id: id({ nullable: true }),
+  // schedule and venue are derived from the timetable
+  timetable: array(TIMETABLE_SLOT, { max: 14 }),
+};
+
+const CLASS_LIST_QUERY = {
+  ...listQueryFields({
+    sortable: ["created_at", "class_name", "course_code", "capacity", "status"],
+    defaultSort: "created_at",
+  }),
+  course_code: string(),
+  status: oneOf(CLASS_STATUSES, { lowercase: true }),
+  lecturer_id: id(),
+  semester_id: id(),
+  faculty_id: id(),
+};
+
+// Classes reference their lead lecturer (lecturer_id) and creator
+// (created_by_id) by user id, and co-lecturers through class_lecturers.
+// Select with CLASS_PEOPLE and pass the rows through withLecturers() to get
+// the lecturer / created_by names and co_lecturers the API returns.
+const CLASS_PEOPLE = "lead:users!classes_lecturer_id_fkey(name), creator:users!classes_created_by_id_fkey(name)";
+
+// For rows embedding classes(..., lead:users!classes_lecturer_id_fkey(name)):
+// replace the lead object with the lecturer name
+function withLeadName(row) {
+  if (!row.classes) return row;
+  const { lead, ...cls } = row.classes;
+  return { ...row, classes: { ...cls, lecturer: lead?.name ?? null } };
+}
+
+// Names of user ids: Map id -> name
+async function userNames(userIds) {
+  const ids = [...new Set(userIds)].filter(Boolean);
+  if (!ids.length) return new Map();
+
+  const { data, error } = await db.from("users").select("user_id, name").in("user_id", ids);
+  if (error) throw error;
+  return new Map(data.map(u => [u.user_id, u.name]));
+}
+
+// Co-lecturers per class id: Map id -> [{ user_id, name }]
+async function loadCoLecturers(classIds) {
+  const coLecturers = new Map();
+  const ids = [...new Set(classIds)].filter(Boolean);
+  if (!ids.length) return coLecturers;
+
+  const { data, error } = await db.from("class_lecturers").select("class_id, lecturer_id, users(name)").in("class_id", ids);
+  if (error) throw error;
+
+  for (const row of data) {
+    if (!coLecturers.has(row.class_id)) coLecturers.set(row.class_id, []);
+    coLecturers.get(row.class_id).push({ user_id: row.lecturer_id, name: row.users?.name ?? null });
+  }
+  return coLecturers;
+}
+
+// API shape of class rows selected with CLASS_PEOPLE. Classes the
+// migration could not match to an account still show their old names.
+async function withLecturers(classes) {
+  const coLecturers = await loadCoLecturers(classes.map(c => c.id));
+  return classes.map(({ lead, creator, legacy_lecturer, legacy_created_by, ...cls }) => ({
+    ...cls,
+    lecturer: lead?.name ?? legacy_lecturer ?? null,
+    created_by: creator?.name ?? legacy_created_by ?? null,
+    co_lecturers: coLecturers.get(cls.id) || [],
+  }));
+}
+
+// User ids of everyone teaching a class (lead first); needs co_lecturers
+function classLecturerIds(cls) {
+  return [cls.lecturer_id, ...(cls.co_lecturers || []).map(l => l.user_id)].filter(Boolean);
+}
+
+// Ids of the classes a lecturer leads or co-teaches
+async function lecturerClassIds(userId) {
+  const { data: led, error } = await db.from("classes").select("id").eq("lecturer_id", userId);
+  if (error) throw error;
+
+  const { data: coTaught, error: coError } = await db.from("class_lecturers").select("class_id").eq("lecturer_id", userId);
+  if (coError) throw coError;
+
+  return [...new Set([...led.map(c => c.id), ...coTaught.map(c => c.class_id)])];
+}
+
+// User ids of everyone leading or co-teaching any of the classes
+async function teachingLecturerIds(classIds) {
+  const { data: classes, error } = await db.from("classes").select("lecturer_id").in("id", classIds);
+  if (error) throw error;
+
+  const { data: coLecturers, error: coError } = await db.from("class_lecturers").select("lecturer_id").in("class_id", classIds);
+  if (coError) throw coError;
+
+  return [...new Set([...classes, ...coLecturers].map(c => c.lecturer_id).filter(Boolean))];
+}
+
+// Ids of lecturer accounts whose name contains `search` (for ?q= matching)
+async function lecturersNamed(search) {
+  const { data, error } = await db.from("users").select("user_id").eq("role", "lecturer").ilike("name", `%${search}%`);
+  if (error) throw error;
+  return data.map(u => u.user_id);
+}
+
+// Sends a 400 and returns false unless every id is an active lecturer account
+async function checkLecturerIds(res, { lecturer_id, co_lecturer_ids = [] }) {
+  const ids = [lecturer_id, ...co_lecturer_ids].filter(Boolean);
+  if (!ids.length) return true;
+
+  const { data, error } = await db.from("users").select("user_id, role, status").in("user_id", ids);
+  if (error) throw error;
+
+  const lecturers = new Set(
+    data.filter(u => u.role === "lecturer" && (u.status ?? "active") === "active").map(u => u.user_id)
+  );
+  const fields = [];
+  if (lecturer_id && !lecturers.has(lecturer_id)) {
+    fields.push({ in: "body", field: "lecturer_id", message: "is not an active lecturer" });
+  }
+  const bad = co_lecturer_ids.findIndex(id => !lecturers.has(id));
+  if (bad !== -1) {
+    fields.push({ in: "body", field: "co_lecturer_ids", message: `item ${bad + 1} is not an active lecturer` });
+  }
+
+  if (fields.length) validationError(res, fields);
+  return !fields.length;
+}
+
+// Sends a 400 and returns false if semester_id names no semester
+async function checkSemesterId(res, semesterId) {
+  if (!semesterId || (await fetchSemester(semesterId))) return true;
+  validationError(res, [{ in: "body", field: "semester_id", message: "does not exist" }]);
+  return false;
+}
+
+// Replace the co-lecturers of a class (the lead is never also a co-lecturer)
+async function saveCoLecturers(classId, leadId, lecturerIds) {
+  const { error: deleteError } = await db.from("class_lecturers").delete().eq("class_id", classId);
+  if (deleteError) throw deleteError;
+
+  const ids = [...new Set(lecturerIds)].filter(id => id !== leadId);
+  if (!ids.length) return;
+  const { error } = await db.from("class_lecturers").insert(ids.map(lecturer_id => ({ class_id: classId, lecturer_id })));
+  if (error) throw error;
+}
+
+// A lecturer owns the classes they teach (as lead or co-lecturer) or created
+function isClassOwner(cls, user) {
+  return user.role === "lecturer" && (cls.created_by_id === user.id || classLecturerIds(cls).includes(user.id));
+}
+
+// Only the lecturer who created or leads a class may delete it, not its co-lecturers
+function isClassLead(cls, user) {
+  return user.role === "lecturer" && (cls.created_by_id === user.id || cls.lecturer_id === user.id);
+}
+
+// Stream and programme of a course code (classes inherit them from their course)
+async function courseScope(courseCode) {
+  const { data, error } = await db
+    .from("courses")
+    .select("stream, programme, faculty_id")
+    .eq("course_code", courseCode)
+    .limit(1);
+
+  if (error) throw error;
+  return {
+    stream: data[0]?.stream ?? null,
+    programme: data[0]?.programme ?? null,
+    faculty_id: data[0]?.faculty_id ?? null,
+  };
+}
+
+// Policy target for a class: ownership plus the stream/programme/faculty of its course
+async function classTarget(cls, user) {
+  if (!cls.co_lecturers) cls = { ...cls, co_lecturers: (await loadCoLecturers([cls.id])).get(cls.id) || [] };
+  return { owned: isClassOwner(cls, user), ...(await courseScope(cls.course_code)) };
+}
+
+// One class in API shape (names, co-lecturers and timetable), or null
+async function fetchClass(classId) {
+  const { data, error } = await db.from("classes").select(`*, ${CLASS_PEOPLE}`).eq("id", classId).maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  const [cls] = await withLecturers([data]);
+  return { ...cls, timetable: (await loadTimetables([cls.id])).get(cls.id) || [] };
+}
+
+// Ids of the classes inside the user's stream/programme and faculty for resource.action,
+// or null when the user is not limited to a scope
+async function scopedClassIds(user, resource, action) {
+  const scope = scopeOf(user, resource, action);
+  const faculty = facultyOf(user, resource, action);
+  if (!scope && !faculty) return null;
+
+  let courseQuery = db.from("courses").select("course_code");
+  if (scope) courseQuery = courseQuery.eq(scope.field, scope.value);
+  if (faculty) courseQuery = courseQuery.eq("faculty_id", faculty);
+
+  const { data: courses, error: courseError } = await courseQuery;
+  if (courseError) throw courseError;
+
+  const { data: classes, error } = await db
+    .from("classes")
+    .select("id")
+    .in("course_code", courses.map(c => c.course_code));
+
+  if (error) throw error;
+  return classes.map(c => c.id);
+}
+
+// Get all classes
+// ?q= searches name, course, code, lecturer name and venue; filters: course_code, status, lecturer_id, semester_id, faculty_id
+app.get("/classes", authenticateToken, authorize("classes", "read"), validate({ query: CLASS_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+
+    let query = db.from("classes").select(`*, ${CLASS_PEOPLE}`, { count: "exact" });
+
+    if (list.search) {
+      const lecturers = await lecturersNamed(list.search);
+      const byLecturer = lecturers.length ? `,lecturer_id.in.(${lecturers.join(",")})` : "";
+      query = query.or(searchFilter(["class_name", "course_name", "course_code", "venue"], list.search) + byLecturer);
+    }
+    if (req.query.course_code) query = query.eq("course_code", req.query.course_code);
+    if (req.query.status) query = query.eq("status", req.query.status);
+    if (req.query.lecturer_id) query = query.in("id", await lecturerClassIds(req.query.lecturer_id));
+    if (req.query.semester_id) query = query.eq("semester_id", req.query.semester_id);
+    if (req.query.faculty_id) query = query.eq("faculty_id", req.query.faculty_id);
+
+    const classIds = await scopedClassIds(req.user, "classes", "read");
+    if (classIds) query = query.in("id", classIds);
+
+    const { data, error, count } = await applyListQuery(query, list);
+
+    if (error) throw error;
+
+    const timetables = await loadTimetables(data.map(c => c.id));
+    const classes = await withLecturers(data);
+    sendList(res, classes.map(c => ({ ...c, timetable: timetables.get(c.id) || [] })), count, list);
+  } catch (err) {
+    console.error("Fetch Classes Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch classes" });
+  }
+});
+
+// Get available classes for dropdown (SINGLE ENDPOINT - NO DUPLICATES)
+app.get("/classes/options", authenticateToken, authorize("classes", "read"), validate(), async (req, res) => {
+  try {
+    let query = db
+      .from("classes")
+      .select("id, class_name, course_name, course_code, lecturer_id, lead:users!classes_lecturer_id_fkey(name)")
+      .order("class_name");
+
+    // If user is lecturer, only show the classes they teach
+    if (req.user.role === "lecturer") {
+      query = query.in("id", await lecturerClassIds(req.user.id));
+    }
+
+    const classIds = await scopedClassIds(req.user, "classes", "read");
+    if (classIds) query = query.in("id", classIds);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json(data.map(({ lead, ...cls }) => ({ ...cls, lecturer: lead?.name ?? null })));
+  } catch (err) {
+    console.error("Fetch Classes Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch classes" });
+  }
+});
+
+// Add class
+app.post("/classes", authenticateToken, authorize("classes", "create"), validate({ body: CLASS_BODY }), async (req, res) => {
+  try {
+    const {
+      class_name,
+      course_name,
+      course_code,
+      co_lecturer_ids = [],
+      capacity,
+      status,
+      semester_id,
+      timetable = [],
+    } = req.body;
+    const lecturer_id = req.body.lecturer_id ?? (req.user.role === "lecturer" ? req.user.id : null);
+    if (!lecturer_id) return validationError(res, [{ in: "body", field: "lecturer_id", message: "is required" }]);
+
+    // PRL/PL can only add classes for courses in their stream/programme; the
+    // class belongs to its course's faculty
+    const scope = await courseScope(course_code);
+    if (!can(req.user, "classes", "create", scope)) {
+      return forbidden(res, "classes", "create");
+    }
+
+    if (!(await checkLecturerIds(res, { lecturer_id, co_lecturer_ids }))) return;
+    if (!(await checkSemesterId(res, semester_id))) return;
+
+    const summary = await checkTimetable(
+      res,
+      { id: null, lecturer_ids: [lecturer_id, ...co_lecturer_ids], capacity, semester_id: semester_id ?? null },
+      timetable
+    );
+    if (!summary) return;
+
+    const { data, error } = await db
+      .from("classes")
+      .insert([
+        {
+          class_name,
+          course_name,
+          course_code,
+          lecturer_id,
+          ...summary,
+          capacity: capacity ?? null,
+          status: status || "active",
+          semester_id: semester_id ?? null,
+          faculty_id: scope.faculty_id,
+          created_by_id: req.user.id,
+        },
+      ])
+      .select();
+
+    if (error) throw error;
+
+    await saveTimetable(data[0].id, timetable);
+    await saveCoLecturers(data[0].id, lecturer_id, co_lecturer_ids);
+    const cls = await fetchClass(data[0].id);
+
+    await audit(req, "create", "classes", { id: cls.id, after: cls });
+    events.publish("class.created", { cls, actor: req.user });
+    res.status(201).json({ success: true, class: cls });
+  } catch (err) {
+    console.error("Add Class Error:", err.message);
+    res.status(500).json({ error: "Failed to add class" });
+  }
+});
+
+// Update class
+app.put("/classes/:id", authenticateToken, authorize("classes", "update"), validate({ params: ID_PARAMS, body: partial(CLASS_BODY) }), async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const updates = req.body;
+    if (!Object.keys(updates).length)
+      return validationError(res, [{ in: "body", field: null, message: "must include at least one field" }]);
+
+    const existingClass = await fetchClass(classId);
+    if (!existingClass) return res.status(404).json({ error: "Class not found" });
+
+    if (!can(req.user, "classes", "update", await classTarget(existingClass, req.user))) {
+      return forbidden(res, "classes", "update");
+    }
+
+    // Moving the class to another course must stay within scope too
+    if (
+      updates.course_code &&
+      updates.course_code !== existingClass.course_code &&
+      !can(req.user, "classes", "update", await classTarget({ ...existingClass, ...updates }, req.user))
+    ) {
+      return forbidden(res, "classes", "update");
+    }
+
+    if (!(await checkLecturerIds(res, updates))) return;
+    if (!(await checkSemesterId(res, updates.semester_id))) return;
+
+    const { timetable, co_lecturer_ids, ...changes } = updates;
+    if (changes.course_code && changes.course_code !== existingClass.course_code) {
+      changes.faculty_id = (await courseScope(changes.course_code)).faculty_id;
+    }
+    const leadId = changes.lecturer_id ?? existingClass.lecturer_id;
+    const coLecturerIds = co_lecturer_ids ?? existingClass.co_lecturers.map(l => l.user_id);
+
+    // A new timetable, lecturers, capacity, semester or status are re-checked
+    // for clashes
+    if (
+      timetable ||
+      changes.lecturer_id !== undefined ||
+      co_lecturer_ids ||
+      changes.capacity !== undefined ||
+      changes.semester_id !== undefined ||
+      changes.status !== undefined
+    ) {
+      const summary = await checkTimetable(
+        res,
+        {
+          id: existingClass.id,
+          lecturer_ids: [leadId, ...coLecturerIds].filter(Boolean),
+          capacity: changes.capacity !== undefined ? changes.capacity : existingClass.capacity,
+          semester_id: changes.semester_id !== undefined ? changes.semester_id : existingClass.semester_id,
+        },
+        timetable ?? existingClass.timetable
+      );
+      if (!summary) return;
+      if (timetable) Object.assign(changes, summary);
+    }
+
+    if (Object.keys(changes).length) {
+      const { error } = await db.from("classes").update(changes).eq("id", classId);
+      if (error) throw error;
+    }
+
+    if (timetable) await saveTimetable(existingClass.id, timetable);
+    if (co_lecturer_ids || changes.lecturer_id !== undefined) {
+      await saveCoLecturers(existingClass.id, leadId, coLecturerIds);
+    }
+    const cls = await fetchClass(existingClass.id);
+
+    await audit(req, "update", "classes", { id: classId, before: existingClass, after: cls });
+    events.publish("class.updated", { cls, changes: Object.keys(updates), actor: req.user });
+    res.json({ success: true, class: cls });
+  } catch (err) {
+    console.error("Update Class Error:", err.message);
+    res.status(500).json({ error: "Failed to update class" });
+  }
+});
+
+// Delete class
+app.delete("/classes/:id", authenticateToken, authorize("classes", "delete"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const classId = req.params.id;
+
+    const existingClass = await fetchClass(classId);
+    if (!existingClass) return res.status(404).json({ error: "Class not found" });
+
+    const target = { ...(await classTarget(existingClass, req.user)), owned: isClassLead(existingClass, req.user) };
+    if (!can(req.user, "classes", "delete", target)) {
+      return forbidden(res, "classes", "delete");
+    }
+
+    // Reports would go with the class, so classes with any are kept
+    // (deactivate them instead)
+    const { count: reports, error: reportError } = await db
+      .from("report")
+      .select("report_id", { count: "exact", head: true })
+      .eq("class_id", existingClass.id);
+
+    if (reportError) throw reportError;
+    if (reports) {
+      return res.status(409).json({ error: "Class has reports and can't be deleted, deactivate it instead" });
+    }
+
+    // Its slots, co-lecturers, roster and the rest go with it (ON DELETE CASCADE)
+    const { error: delError } = await db
+      .from("classes")
+      .delete()
+      .eq("id", classId);
+
+    if (delError) throw delError;
+
+    await audit(req, "delete", "classes", { id: classId, before: existingClass });
+    events.publish("class.deleted", { cls: existingClass, actor: req.user });
+    res.json({ success: true, message: "Class deleted successfully" });
+  } catch (err) {
+    console.error("Delete Class Error:", err.message);
+    res.status(500).json({ error: "Failed to delete class" });
+  }
+});
+
+// ------------------- REPORTS -------------------
+
+// Joins needed to build the transformed report shape
+const REPORT_SELECT = `
+        *,
+        classes(class_name, course_name, course_code, lecturer_id, venue, faculty_id, lead:users!classes_lecturer_id_fkey(name), faculty:faculties(name)),
+        users!report_submitted_by_fkey(name)
+      `;
+
+const REPORT_STATUSES = ["draft", "submitted", "reviewed", "forwarded", "approved", "returned"];
+
+// Review lifecycle: for each action, the roles allowed to take it and the
+// statuses they may take it from.
+// draft -> submitted (lecturer) -> reviewed (PRL) -> forwarded (PRL) -> approved (PL)
+// PRL can return before forwarding, PL after; the lecturer resubmits.
+const REPORT_TRANSITIONS = {
+  submit: { from: { lecturer: ["draft"] }, to: "submitted" },
+  review: { from: { prl: ["submitted", "reviewed"] }, to: "reviewed", requiresFeedback: true },
+  forward: { from: { prl: ["reviewed"] }, to: "forwarded" },
+  approve: { from: { pl: ["forwarded"] }, to: "approved" },
+  return: {
+    from: { prl: ["submitted", "reviewed"], pl: ["forwarded"] },
+    to: "returned",
+    requiresFeedback: true,
+  },
+  resubmit: { from: { lecturer: ["returned"] }, to: "submitted" },
+};
+
+// The class's timetable slot on the weekday of a lecture date
+function lectureSlot(timetable = [], lectureDate) {
+  const day = new Date(`${lectureDate}T00:00:00Z`).getUTCDay() || 7;
+  return timetable.find(slot => slot.day_of_week === day) || null;
+}
+
+// Shape a report row (with REPORT_SELECT joins) for the frontend.
+// enrolledCounts maps class_id -> number of enrolled students and
+// timetables class_id -> timetable slots.
+function transformReport(report, { enrolledCounts = new Map(), timetables = new Map() } = {}) {
+  const slot = lectureSlot(timetables.get(report.class_id), report.date);
+  return {
+    id: report.report_id,
+    faculty_id: report.classes?.faculty_id ?? null,
+    faculty_name: report.classes?.faculty?.name ?? null,
+    class_name: report.classes?.class_name || "Unknown Class",
+    class_id: report.class_id,
+    week: report.week,
+    week_of_reporting: `Week ${report.week}`,
+    semester_id: report.semester_id ?? null,
+    date_of_lecture: report.date,
+    course_name: report.classes?.course_name || "Unknown Course",
+    course_code: report.classes?.course_code || "N/A",
+    // Whoever submitted (a co-lecturer may report for the class), else the lead
+    lecturer_name: report.users?.name || report.classes?.lead?.name || "Unknown Lecturer",
+    actual_students_present: report.actual_students,
+    total_registered_students: enrolledCounts.get(report.class_id) || 0,
+    venue: slot?.venue ?? report.classes?.venue ?? null,
+    scheduled_time: slot?.start_time ?? null,
+    scheduled_end_time: slot?.end_time ?? null,
+    topic_taught: report.topic,
+    learning_outcomes: report.learning_outcomes,
+    recommendations: report.recommendations,
+    status: report.status || "submitted",
+    feedback: report.feedback || "",
+    reviewed_by: report.reviewed_by || null,
+    reviewed_at: report.reviewed_at || null,
+    forwarded_by: report.forwarded_by || null,
+    forwarded_at: report.forwarded_at || null,
+    pl_feedback: report.pl_feedback || "",
+    decided_by: report.decided_by || null,
+    decided_at: report.decided_at || null,
+    created_by: report.submitted_by,
+    created_at: report.created_at,
+    submitted_at: report.submitted_at || null,
+  };
+}
+
+// Number of enrolled students per class, for the given class ids
+async function loadEnrolledCounts(classIds) {
+  const counts = new Map();
+  const ids = [...new Set(classIds)].filter(Boolean);
+  if (!ids.length) return counts;
+
+  const { data, error } = await db
+    .from("enrolments")
+    .select("class_id")
+    .in("class_id", ids);
+
+  if (error) throw error;
+  for (const row of data || []) counts.set(row.class_id, (counts.get(row.class_id) || 0) + 1);
+  return counts;
+}
+
+// transformReport for a list of rows, with real enrolment totals and timetables
+async function transformReports(reports) {
+  const classIds = reports.map(r => r.class_id);
+  const [enrolledCounts, timetables] = await Promise.all([loadEnrolledCounts(classIds), loadTimetables(classIds)]);
+  return reports.map(report => transformReport(report, { enrolledCounts, timetables }));
+}
+
+// Columns stamped on a report when a reviewer acts on it
+function reviewStamp(action, user, feedback) {
+  const now = new Date().toISOString();
+  if (action === "forward") return { forwarded_by: user.id, forwarded_at: now };
+  if (action === "submit") return { submitted_at: now };
+  if (action === "resubmit") return {};
+  if (user.role === "pl") return { pl_feedback: feedback || null, decided_by: user.id, decided_at: now };
+  return { feedback, reviewed_by: user.id, reviewed_at: now };
+}
+
+// Policy target for a report: owned by its submitter, scoped by its class's course
+async function reportTarget(report, user) {
+  const { data: cls, error } = await db
+    .from("classes")
+    .select("course_code")
+    .eq("id", report.class_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  const scope = cls ? await courseScope(cls.course_code) : { stream: null, programme: null };
+  return { owned: report.submitted_by === user.id, ...scope };
+}
+
+// Drafts are private to their author; other reports follow the read policy
+async function canReadReport(user, report) {
+  if (report.status === "draft") return report.submitted_by === user.id;
+  return can(user, "reports", "read", await reportTarget(report, user));
+}
+
+// Apply a REPORT_TRANSITIONS action to the report in req.params.id
+async function transitionReport(req, res, action) {
+  try {
+    const rule = REPORT_TRANSITIONS[action];
+    const allowedFrom = rule.from[req.user.role];
+    if (!allowedFrom || !permission(req.user, "reports", action)) {
+      return forbidden(res, "reports", action);
+    }
+
+    const feedback = req.body.feedback || "";
+    if (rule.requiresFeedback && !feedback) {
+      return validationError(res, [{ in: "body", field: "feedback", message: "is required" }]);
+    }
+
+    const { data: existing, error: fetchError } = await db
+      .from("report")
+      .select("report_id, class_id, status, submitted_by, actual_students")
+      .eq("report_id", req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) return res.status(404).json({ error: "Report not found" });
+
+    if (!can(req.user, "reports", action, await reportTarget(existing, req.user))) {
+      return forbidden(res, "reports", action);
+    }
+
+    const currentStatus = existing.status || "submitted";
+    if (!allowedFrom.includes(currentStatus)) {
+      return res.status(409).json({ error: `Cannot ${action} a report that is ${currentStatus}` });
+    }
+
+    // Drafts may leave attendance for later, but not past submission
+    if (rule.to === "submitted" && existing.actual_students == null) {
+      return res.status(409).json({ error: "Record attendance before submitting this report" });
+    }
+
+    const { data, error } = await db
+      .from("report")
+      .update({ status: rule.to, ...reviewStamp(action, req.user, feedback) })
+      .eq("report_id", req.params.id)
+      .select(REPORT_SELECT);
+
+    if (error) throw error;
+
+    const [report] = await transformReports(data);
+    await audit(req, action, "reports", { id: existing.report_id, before: existing, after: report });
+    events.publish(`report.${rule.to}`, { report, actor: req.user, resubmitted: action === "resubmit" });
+    res.json({ success: true, report });
+  } catch (err) {
+    console.error("Report Transition Error:", err.message);
+    res.status(500).json({ error: `Failed to ${action} report` });
+  }
+}
+
+// Report filters shared by /reports, /reports/export and /analytics/*.
+// ?status=reviewed or ?status=submitted,returned
+const REPORT_FILTER_QUERY = {
+  status: array(oneOf(REPORT_STATUSES, { lowercase: true }), { separator: "," }),
+  week: integer({ min: 1 }),
+  week_from: integer({ min: 1 }),
+  week_to: integer({ min: 1 }),
+  date_from: date(),
+  date_to: date(),
+  class_id: id(),
+  course_code: string(),
+  lecturer_id: id(),
+  semester_id: id(),
+  faculty_id: id(),
+};
+
+// fetchReports filters from a query validated against REPORT_FILTER_QUERY
+function parseReportFilters({
+  status,
+  week,
+  week_from,
+  week_to,
+  date_from,
+  date_to,
+  class_id,
+  course_code,
+  lecturer_id,
+  semester_id,
+  faculty_id,
+}) {
+  return {
+    statuses: status,
+    week_from: week ?? week_from,
+    week_to: week ?? week_to,
+    date_from,
+    date_to,
+    class_id,
+    course_code,
+    lecturer_id,
+    semester_id,
+    faculty_id,
+  };
+}
+
+const REPORT_LIST_QUERY = {
+  ...listQueryFields({
+    sortable: ["created_at", "date", "week", "status", "actual_students"],
+    defaultSort: "created_at",
+  }),
+  ...REPORT_FILTER_QUERY,
+};
+
+// Reports visible to `user` under the `resource`.read policy, narrowed by
+// parseReportFilters output and optionally searched/sorted/paged by
+// parseListQuery output. Drafts are left out unless filters.drafts is set.
+// Returns { reports, total } with reports already transformed.
+async function fetchReports(user, filters = {}, list = null, resource = "reports") {
+  let query = db.from("report").select(REPORT_SELECT, { count: "exact" });
+  query = list ? applyListQuery(query, list) : query.order("created_at", { ascending: false });
+
+  // Lecturers only see their own reports, PRL/PL their stream/programme
+  if (permission(user, resource, "read") === "own") {
+    query = query.eq("submitted_by", user.id);
+  }
+
+  // Drafts only appear in their author's own report list, never in exports
+  // or analytics
+  if (!filters.drafts || permission(user, resource, "read") !== "own") {
+    query = query.neq("status", "draft");
+  }
+
+  const scopedIds = await scopedClassIds(user, resource, "read");
+  if (scopedIds) query = query.in("class_id", scopedIds);
+
+  if (filters.statuses) query = query.in("status", filters.statuses);
+  if (filters.week_from !== undefined) query = query.gte("week", filters.week_from);
+  if (filters.week_to !== undefined) query = query.lte("week", filters.week_to);
+  if (filters.date_from) query = query.gte("date", filters.date_from);
+  if (filters.date_to) query = query.lte("date", filters.date_to);
+  if (filters.class_id !== undefined) query = query.eq("class_id", filters.class_id);
+  if (filters.lecturer_id !== undefined) query = query.eq("submitted_by", filters.lecturer_id);
+  if (filters.semester_id !== undefined) query = query.eq("semester_id", filters.semester_id);
+
+  // Course lives on the class, so narrow to matching classes first
+  if (filters.course_code) {
+    const { data: classes, error: classError } = await db.from("classes").select("id").eq("course_code", filters.course_code);
+    if (classError) throw classError;
+    query = query.in("class_id", classes.map(c => c.id));
+  }
+
+  // So does the faculty
+  if (filters.faculty_id !== undefined) {
+    const { data: classes, error: classError } = await db.from("classes").select("id").eq("faculty_id", filters.faculty_id);
+    if (classError) throw classError;
+    query = query.in("class_id", classes.map(c => c.id));
+  }
+
+  // Free text matches the topic, the class name or course code, or the
+  // name of the submitting lecturer
+  if (list?.search) {
+    const { data: classes, error: classError } = await db
+      .from("classes")
+      .select("id")
+      .or(searchFilter(["class_name", "course_code"], list.search));
+    if (classError) throw classError;
+    const lecturers = await lecturersNamed(list.search);
+
+    const conditions = [`topic.ilike.%${list.search}%`];
+    if (classes.length) conditions.push(`class_id.in.(${classes.map(c => c.id).join(",")})`);
+    if (lecturers.length) conditions.push(`submitted_by.in.(${lecturers.join(",")})`);
+    query = query.or(conditions.join(","));
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error("Supabase reports error:", error);
+    throw error;
+  }
+
+  return { reports: await transformReports(data), total: count };
+}
+
+// Get all reports (with role-based filtering)
+app.get("/reports", authenticateToken, authorize("reports", "read"), validate({ query: REPORT_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    const { reports, total } = await fetchReports(req.user, { ...parseReportFilters(req.query), drafts: true }, list);
+    sendList(res, reports, total, list);
+  } catch (err) {
+    console.error("Fetch Reports Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch reports" });
+  }
+});
+
+// Export reports: ?format=csv|xlsx|pdf plus the same filters as /reports
+const EXPORT_QUERY = {
+  format: oneOf(Object.keys(EXPORT_FORMATS), { default: "csv", lowercase: true }),
+  ...REPORT_FILTER_QUERY,
+};
+
+app.get("/reports/export", authenticateToken, authorize("reports", "read"), validate({ query: EXPORT_QUERY }), async (req, res) => {
+  try {
+    const formatName = req.query.format;
+    const format = EXPORT_FORMATS[formatName];
+
+    const { reports } = await fetchReports(req.user, parseReportFilters(req.query));
+    const body = await format.render(reports, { generatedBy: req.user.name });
+    const filename = `lecture-reports-${new Date().toISOString().slice(0, 10)}.${formatName}`;
+
+    res.setHeader("Content-Type", format.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (err) {
+    console.error("Export Reports Error:", err.message);
+    res.status(500).json({ error: "Failed to export reports" });
+  }
+});
+
+// Create new report; with draft: true it stays private and editable until
+// POST /reports/:id/submit, and attendance may be left for later.
+// week may be left out when a semester calendar covers the lecture date.
+const REPORT_CONTENT = {
+  week: integer({ min: 1, max: 52 }),
+  date: date({ required: true }),
+  topic: string({ required: true, max: 500 }),
+  learning_outcomes: string({ nullable: true, max: 2000 }),
+  recommendations: string({ nullable: true, max: 2000 }),
+  actual_students: integer({ min: 0 }),
+  present_student_ids: array(id()),
+};
+
+const REPORT_BODY = {
+  class_id: id({ required: true }),
+  ...REPORT_CONTENT,
+  draft: boolean({ default: false }),
+};
+
+// Teaching week of a lecture date. With a semester (the class's, else the one
+// running on the date) the week is computed from its calendar and a week
+// given alongside must match; without one the week given is used, falling
+// back to fallbackWeek. Returns { week, semester_id }, or null after
+// sending a 400.
+async function lectureWeek(res, { semesterId, date, week, fallbackWeek }) {
+  const semester = semesterId ? await fetchSemester(semesterId) : await semesterOn(date);
+  if (!semester) {
+    if (week === undefined && fallbackWeek === undefined) {
+      validationError(res, [{ in: "body", field: "week", message: "is required when no semester covers the date" }]);
+      return null;
+    }
+    return { week: week ?? fallbackWeek, semester_id: null };
+  }
+
+  const found = weekOfDate(await loadCalendar(semester), date);
+  if (found.error) {
+    validationError(res, [{ in: "body", field: "date", message: found.error }]);
+    return null;
+  }
+  if (week !== undefined && week !== found.week) {
+    validationError(res, [{ in: "body", field: "week", message: `must be ${found.week} for a lecture on ${date} (${semester.name})` }]);
+    return null;
+  }
+  return { week: found.week, semester_id: semester.semester_id };
+}
+
+app.post("/reports", authenticateToken, authorize("reports", "create"), validate({ body: REPORT_BODY }), async (req, res) => {
+  try {
+    const {
+      class_id,
+      date,
+      topic,
+      learning_outcomes,
+      recommendations,
+      actual_students,
+      present_student_ids,
+      draft
+    } = req.body;
+
+    // Attendance comes either from a register (present_student_ids) or a typed count
+    const hasRegister = present_student_ids !== undefined;
+    if (!hasRegister && actual_students === undefined && !draft) {
+      return validationError(res, [
+        { in: "body", field: "actual_students", message: "is required without present_student_ids" },
+      ]);
+    }
+
+    // Lecturers report only on classes they teach
+    const cls = await fetchClass(class_id);
+    if (!cls) return res.status(404).json({ error: "Class not found" });
+    if (!can(req.user, "reports", "create", { owned: isClassOwner(cls, req.user) })) {
+      return forbidden(res, "reports", "create");
+    }
+
+    const register = hasRegister ? await checkAttendanceRegister(class_id, present_student_ids) : null;
+    if (register?.error) return res.status(400).json({ error: register.error });
+
+    const lecture = await lectureWeek(res, { semesterId: cls.semester_id, date, week: req.body.week });
+    if (!lecture) return;
+    const { week, semester_id } = lecture;
+
+    // One report per class per week; returned reports are resubmitted instead
+    const { data: duplicate, error: duplicateError } = await db
+      .from("report")
+      .select("report_id, status")
+      .eq("class_id", class_id)
+      .eq("week", week)
+      .maybeSingle();
+
+    if (duplicateError) throw duplicateError;
+    if (duplicate) {
+      return res.status(409).json({
+        error: `A report for week ${week} of this class already exists`,
+        report_id: duplicate.report_id,
+        status: duplicate.status,
+      });
+    }
+
+    const { data, error } = await db
+      .from("report")
+      .insert([
+        {
+          class_id,
+          semester_id,
+          week,
+          date,
+          topic,
+          learning_outcomes: learning_outcomes ?? null,
+          recommendations: recommendations ?? null,
+          actual_students: register ? register.present.size : actual_students ?? null,
+          submitted_by: req.user.id,
+          status: draft ? "draft" : "submitted",
+          submitted_at: draft ? null : new Date().toISOString(),
         }
       ])
-      .select(`
+      .select(REPORT_SELECT);
+
+    // Lost a race with another submission for the same week
+    if (error?.code === "23505") {
+      return res.status(409).json({ error: `A report for week ${week} of this class already exists` });
+    }
+    if (error) {
+      console.error("Supabase create report error:", error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error("No data returned after insert");
+    }
+
+    if (register) await saveAttendanceRegister(data[0], register, req.user.id);
+
+    await saveReportVersion(null, data[0], req.user);
+    const [report] = await transformReports(data);
+    await audit(req, "create", "reports", { id: report.id, after: report });
+    if (!draft) events.publish("report.submitted", { report, actor: req.user });
+    res.status(201).json({ success: true, report });
+  } catch (err) {
+    console.error("Create Report Error:", err.message);
+    res.status(500).json({ error: "Failed to create report" });
+  }
+});
+
+// ?q= searches name and email; filter: faculty_id
+const LECTURER_LIST_QUERY = {
+  ...listQueryFields({
+    sortable: ["name", "email", "created_at"],
+    defaultSort: "name",
+    defaultOrder: "asc",
+  }),
+  faculty_id: id(),
+};
+
+app.get("/lecturers", authenticateToken, authorize("lecturers", "read"), validate({ query: LECTURER_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+
+    let query = db
+      .from("users")
+      .select("user_id, name, email, role, faculty_id", { count: "exact" })
+      .eq("role", "lecturer"); // only lecturers
+
+    if (list.search) query = query.or(searchFilter(["name", "email"], list.search));
+    if (req.query.faculty_id) query = query.eq("faculty_id", req.query.faculty_id);
+
+    const { data, error, count } = await applyListQuery(query, list);
+
+    if (error) throw error;
+
+    sendList(res, data, count, list);
+  } catch (err) {
+    console.error("Error fetching lecturers:", err);
+    res.status(500).json({ error: "Failed to fetch lecturers" });
+  }
+});
+
+
+const TRANSITION_BODY = { feedback: string({ max: 2000 }) };
+
+// Report content kept in report_versions
+const VERSIONED_FIELDS = ["week", "date", "topic", "learning_outcomes", "recommendations", "actual_students"];
+
+// Record a revision of a report row: which fields changed since `before`
+// (null for a new report) and the content afterwards. Returns the version
+// number, or null when nothing changed.
+async function saveReportVersion(before, after, user) {
+  const changes = {};
+  for (const field of VERSIONED_FIELDS) {
+    const from = before ? (before[field] ?? null) : null;
+    const to = after[field] ?? null;
+    if (from !== to) changes[field] = { from, to };
+  }
+  if (before && !Object.keys(changes).length) return null;
+
+  const { count, error: countError } = await db
+    .from("report_versions")
+    .select("version_id", { count: "exact", head: true })
+    .eq("report_id", after.report_id);
+
+  if (countError) throw countError;
+
+  const version = count + 1;
+  const { error } = await db.from("report_versions").insert([
+    {
+      report_id: after.report_id,
+      version,
+      status: after.status,
+      changes,
+      snapshot: Object.fromEntries(VERSIONED_FIELDS.map(field => [field, after[field] ?? null])),
+      edited_by: user.id,
+    },
+  ]);
+
+  if (error) throw error;
+  return version;
+}
+
+// Lecturers edit their own drafts and returned reports
+const REPORT_EDITABLE = ["draft", "returned"];
+
+async function editReport(req, res) {
+  try {
+    const { feedback, present_student_ids, ...changes } = req.body;
+    if (feedback !== undefined) {
+      return validationError(res, [{ in: "body", field: "feedback", message: "is not allowed" }]);
+    }
+
+    const { data: existing, error: fetchError } = await db
+      .from("report")
+      .select("*")
+      .eq("report_id", req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) return res.status(404).json({ error: "Report not found" });
+
+    if (!can(req.user, "reports", "update", { owned: existing.submitted_by === req.user.id })) {
+      return forbidden(res, "reports", "update");
+    }
+    if (!REPORT_EDITABLE.includes(existing.status)) {
+      return res.status(409).json({ error: `Cannot edit a report that is ${existing.status}` });
+    }
+
+    // A new date or week is checked against the calendar again
+    if (changes.date !== undefined || changes.week !== undefined) {
+      const { data: cls, error: classError } = await db.from("classes").select("semester_id").eq("id", existing.class_id).maybeSingle();
+      if (classError) throw classError;
+
+      const lecture = await lectureWeek(res, {
+        semesterId: cls?.semester_id,
+        date: changes.date ?? existing.date,
+        week: changes.week,
+        fallbackWeek: existing.week,
+      });
+      if (!lecture) return;
+      Object.assign(changes, lecture);
+    }
+
+    // A register replaces the typed count, as when creating; it is saved
+    // once the report update has gone through
+    const register = present_student_ids !== undefined ? await checkAttendanceRegister(existing.class_id, present_student_ids) : null;
+    if (register?.error) return res.status(400).json({ error: register.error });
+    if (register) changes.actual_students = register.present.size;
+
+    let query = db.from("report");
+    query = Object.keys(changes).length
+      ? query.update(changes).eq("report_id", existing.report_id).select(REPORT_SELECT)
+      : query.select(REPORT_SELECT).eq("report_id", existing.report_id);
+
+    const { data, error } = await query;
+    if (error?.code === "23505") {
+      return res.status(409).json({ error: `A report for week ${changes.week} of this class already exists` });
+    }
+    if (error) throw error;
+    if (register) await saveAttendanceRegister(existing, register, req.user.id);
+
+    const version = await saveReportVersion(existing, data[0], req.user);
+    const [report] = await transformReports(data);
+    if (version) {
+      await audit(req, "update", "reports", { id: existing.report_id, before: existing, after: report });
+      if (existing.status !== "draft") events.publish("report.edited", { report, actor: req.user });
+    }
+    res.json({ success: true, version, report });
+  } catch (err) {
+    console.error("Edit Report Error:", err.message);
+    res.status(500).json({ error: "Failed to update report" });
+  }
+}
+
+// Lecturers edit report content here. For PRLs it is still the older alias
+// of POST /reports/:id/review, taking only feedback.
+const REPORT_UPDATE_BODY = { ...partial(REPORT_CONTENT), feedback: string({ max: 2000 }) };
+
+app.put("/reports/:id", authenticateToken, validate({ params: ID_PARAMS, body: REPORT_UPDATE_BODY }), (req, res) => {
+  if (permission(req.user, "reports", "update")) return editReport(req, res);
+
+  const content = Object.keys(req.body).filter(field => field !== "feedback");
+  if (content.length) {
+    return validationError(res, content.map(field => ({ in: "body", field, message: "is not allowed" })));
+  }
+  return transitionReport(req, res, "review");
+});
+
+// Review workflow actions: /reports/:id/review, /forward, /approve, /return, /resubmit
+for (const action of Object.keys(REPORT_TRANSITIONS)) {
+  app.post(`/reports/:id/${action}`, authenticateToken, validate({ params: ID_PARAMS, body: TRANSITION_BODY }), (req, res) =>
+    transitionReport(req, res, action)
+  );
+}
+
+// Get single report
+app.get("/reports/:id", authenticateToken, authorize("reports", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const reportId = req.params.id;
+
+    const { data, error } = await db
+      .from("report")
+      .select(REPORT_SELECT)
+      .eq("report_id", reportId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Report not found" });
+
+    // Check if user has permission to view this report
+    if (!(await canReadReport(req.user, data))) {
+      return forbidden(res, "reports", "read");
+    }
+
+    const [report] = await transformReports([data]);
+    res.json(report);
+  } catch (err) {
+    console.error("Get Report Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch report" });
+  }
+});
+
+// Version history: every saved revision of a report's content, oldest first
+const VERSION_SELECT = "version, status, changes, created_at, edited_by, users!report_versions_edited_by_fkey(name)";
+
+function formatVersion({ users, ...version }) {
+  return { ...version, edited_by_name: users?.name ?? null };
+}
+
+// The report in req.params.id if the user may read it, else sends 404/403
+async function readableReport(req, res) {
+  const { data: report, error } = await db
+    .from("report")
+    .select("report_id, class_id, submitted_by, status")
+    .eq("report_id", req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!report) {
+    res.status(404).json({ error: "Report not found" });
+    return null;
+  }
+  if (!(await canReadReport(req.user, report))) {
+    forbidden(res, "reports", "read");
+    return null;
+  }
+  return report;
+}
+
+app.get("/reports/:id/versions", authenticateToken, authorize("reports", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+
+    const { data, error } = await db
+      .from("report_versions")
+      .select(VERSION_SELECT)
+      .eq("report_id", report.report_id)
+      .order("version", { ascending: true });
+
+    if (error) throw error;
+    res.json(data.map(formatVersion));
+  } catch (err) {
+    console.error("Report Versions Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch report versions" });
+  }
+});
+
+app.get("/reports/:id/versions/:version", authenticateToken, authorize("reports", "read"), validate({ params: { id: id(), version: integer({ min: 1 }) } }), async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+
+    const { data, error } = await db
+      .from("report_versions")
+      .select(`${VERSION_SELECT}, snapshot`)
+      .eq("report_id", report.report_id)
+      .eq("version", req.params.version)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Version not found" });
+    res.json({ report_id: report.report_id, ...formatVersion(data) });
+  } catch (err) {
+    console.error("Report Version Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch report version" });
+  }
+});
+
+// Attachments: slides, scanned attendance sheets or photos, stored through
+// lib/storage.js. Anyone who can read the report can list and download
+// them; its author uploads and deletes them until a reviewer picks it up.
+const ATTACHMENT_MAX_MB = parseFloat(process.env.ATTACHMENT_MAX_MB) || 10;
+const ATTACHMENTS_PER_REPORT = parseInt(process.env.ATTACHMENTS_PER_REPORT) || 10;
+const REPORT_ATTACHABLE = [...REPORT_EDITABLE, "submitted"];
+
+// Accepted MIME types and the file extensions that go with them
+const ATTACHMENT_TYPES = {
+  "application/pdf": ["pdf"],
+  "image/jpeg": ["jpg", "jpeg"],
+  "image/png": ["png"],
+  "image/webp": ["webp"],
+  "application/msword": ["doc"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ["docx"],
+  "application/vnd.ms-powerpoint": ["ppt"],
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": ["pptx"],
+  "application/vnd.ms-excel": ["xls"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ["xlsx"],
+  "text/plain": ["txt"],
+  "text/csv": ["csv"],
+};
+
+const ATTACHMENT_SELECT =
+  "attachment_id, report_id, filename, content_type, size_bytes, uploaded_by, created_at, users!report_attachments_uploaded_by_fkey(name)";
+
+const ATTACHMENT_PARAMS = { id: id(), attachmentId: id() };
+
+// The file is the raw request body, typed by its Content-Type; ?filename= names it
+const ATTACHMENT_UPLOAD_QUERY = { filename: string({ required: true, max: 200 }) };
+
+const rawAttachment = express.raw({ type: () => true, limit: `${ATTACHMENT_MAX_MB}mb` });
+const attachmentBody = [
+  (req, res, next) =>
+    rawAttachment(req, res, err => {
+      if (err?.type === "entity.too.large") {
+        return res.status(413).json({ error: `Attachments are limited to ${ATTACHMENT_MAX_MB} MB` });
+      }
+      next(err);
+    }),
+  (req, res, next) => {
+    req.file = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    req.body = {};
+    next();
+  },
+];
+
+function formatAttachment({ users, ...attachment }) {
+  return { ...attachment, uploaded_by_name: users?.name ?? null };
+}
+
+// Path separators and control characters out, so the name is safe to send back
+function cleanFilename(name) {
+  return name.replace(/[\\/]/g, "_").replace(/[\x00-\x1f\x7f"]/g, "").trim() || "attachment";
+}
+
+// Sends 403/409 and returns false unless the user may add or remove the
+// report's attachments
+function checkAttachable(res, user, report) {
+  if (!can(user, "reports", "attach", { owned: report.submitted_by === user.id })) {
+    forbidden(res, "reports", "attach");
+    return false;
+  }
+  if (!REPORT_ATTACHABLE.includes(report.status)) {
+    res.status(409).json({ error: `Cannot change the attachments of a report that is ${report.status}` });
+    return false;
+  }
+  return true;
+}
+
+app.get("/reports/:id/attachments", authenticateToken, authorize("reports", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+
+    const { data, error } = await db
+      .from("report_attachments")
+      .select(ATTACHMENT_SELECT)
+      .eq("report_id", report.report_id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    res.json(data.map(formatAttachment));
+  } catch (err) {
+    console.error("Report Attachments Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch attachments" });
+  }
+});
+
+app.post("/reports/:id/attachments", authenticateToken, authorize("reports", "attach"), attachmentBody, validate({ params: ID_PARAMS, query: ATTACHMENT_UPLOAD_QUERY }), async (req, res) => {
+  try {
+    const report = await readableReport(req, res);
+    if (!report) return;
+    if (!checkAttachable(res, req.user, report)) return;
+
+    const file = req.file;
+    const filename = cleanFilename(req.query.filename);
+    const contentType = (req.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    const extension = filename.includes(".") ? filename.split(".").pop().toLowerCase() : "";
+
+    if (!file.length) return res.status(400).json({ error: "The file is empty" });
+    if (!ATTACHMENT_TYPES[contentType]) {
+      return res.status(415).json({ error: "This file type is not accepted", accepted: Object.keys(ATTACHMENT_TYPES) });
+    }
+    if (!ATTACHMENT_TYPES[contentType].includes(extension)) {
+      return validationError(res, [
+        { in: "query", field: "filename", message: `must end in .${ATTACHMENT_TYPES[contentType].join(" or .")} for ${contentType}` },
+      ]);
+    }
+
+    const { count, error: countError } = await db
+      .from("report_attachments")
+      .select("attachment_id", { count: "exact", head: true })
+      .eq("report_id", report.report_id);
+
+    if (countError) throw countError;
+    if (count >= ATTACHMENTS_PER_REPORT) {
+      return res.status(409).json({ error: `A report can have at most ${ATTACHMENTS_PER_REPORT} attachments` });
+    }
+
+    const storageKey = `reports/${report.report_id}/${crypto.randomUUID()}`;
+    await storage.put(storageKey, file, contentType);
+
+    const { data, error } = await db
+      .from("report_attachments")
+      .insert([
+        {
+          report_id: report.report_id,
+          filename,
+          content_type: contentType,
+          size_bytes: file.length,
+          storage_key: storageKey,
+          uploaded_by: req.user.id,
+        },
+      ])
+      .select(ATTACHMENT_SELECT);
+
+    if (error) {
+      await storage.remove(storageKey).catch(removeError => console.error("Attachment Cleanup Error:", removeError.message));
+      throw error;
+    }
+
+    const attachment = formatAttachment(data[0]);
+    await audit(req, "create", "report_attachments", { id: attachment.attachment_id, after: attachment });
+    res.status(201).json({ success: true, attachment });
+  } catch (err) {
+    console.error("Upload Attachment Error:", err.message);
+    res.status(500).json({ error: "Failed to upload attachment" });
+  }
+});
+
+// The attachment row in req.params, for a report the user may read, else sends 404/403
+async function readableAttachment(req, res) {
+  const report = await readableReport(req, res);
+  if (!report) return null;
+
+  const { data, error } = await db
+    .from("report_attachments")
+    .select(`${ATTACHMENT_SELECT}, storage_key`)
+    .eq("report_id", report.report_id)
+    .eq("attachment_id", req.params.attachmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    res.status(404).json({ error: "Attachment not found" });
+    return null;
+  }
+  return { report, attachment: data };
+}
+
+app.get("/reports/:id/attachments/:attachmentId", authenticateToken, authorize("reports", "read"), validate({ params: ATTACHMENT_PARAMS }), async (req, res) => {
+  try {
+    const found = await readableAttachment(req, res);
+    if (!found) return;
+
+    const { attachment } = found;
+    const file = await storage.get(attachment.storage_key);
+    if (!file) return res.status(404).json({ error: "Attachment file is missing" });
+
+    const ascii = attachment.filename.replace(/[^\x20-\x7e]/g, "_");
+    res.setHeader("Content-Type", attachment.content_type);
+    res.setHeader("Content-Length", String(file.length));
+    res.setHeader("Content-Disposition", `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.send(file);
+  } catch (err) {
+    console.error("Download Attachment Error:", err.message);
+    res.status(500).json({ error: "Failed to download attachment" });
+  }
+});
+
+app.delete("/reports/:id/attachments/:attachmentId", authenticateToken, authorize("reports", "attach"), validate({ params: ATTACHMENT_PARAMS }), async (req, res) => {
+  try {
+    const found = await readableAttachment(req, res);
+    if (!found) return;
+
+    const { report, attachment } = found;
+    if (!checkAttachable(res, req.user, report)) return;
+
+    const { error } = await db.from("report_attachments").delete().eq("attachment_id", attachment.attachment_id);
+    if (error) throw error;
+
+    // The row is gone, so a file left behind is only wasted space
+    await storage.remove(attachment.storage_key).catch(removeError => console.error("Attachment Cleanup Error:", removeError.message));
+
+    await audit(req, "delete", "report_attachments", { id: attachment.attachment_id, before: formatAttachment(attachment) });
+    res.json({ success: true, message: "Attachment deleted" });
+  } catch (err) {
+    console.error("Delete Attachment Error:", err.message);
+    res.status(500).json({ error: "Failed to delete attachment" });
+  }
+});
+
+// Courses carry their faculty's name as `faculty`
+const COURSE_SELECT = "*, faculties(name)";
+
+function formatCourse({ faculties, ...course }) {
+  return { ...course, faculty: faculties?.name ?? null };
+}
+
+// GET all courses
+// ?q= searches code and name; filters: faculty_id, programme, stream
+const COURSE_LIST_QUERY = {
+  ...listQueryFields({
+    sortable: ["course_id", "course_code", "course_name", "faculty_id"],
+    defaultSort: "course_id",
+  }),
+  faculty_id: id(),
+  programme: string(),
+  stream: string(),
+};
+
+app.get("/courses", authenticateToken, authorize("courses", "read"), validate({ query: COURSE_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+
+    let query = db.from("courses").select(COURSE_SELECT, { count: "exact" });
+
+    if (list.search) query = query.or(searchFilter(["course_code", "course_name"], list.search));
+    if (req.query.faculty_id) query = query.eq("faculty_id", req.query.faculty_id);
+    if (req.query.programme) query = query.eq("programme", req.query.programme);
+    if (req.query.stream) query = query.eq("stream", req.query.stream);
+
+    const { data, error, count } = await applyListQuery(query, list);
+
+    if (error) throw error;
+    sendList(res, (data || []).map(formatCourse), count, list);
+  } catch (err) {
+    console.error("Fetch courses error:", err.message);
+    res.status(500).json({ error: "Failed to fetch courses" });
+  }
+});
+
+// GET single course
+app.get("/courses/:id", authenticateToken, authorize("courses", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await db
+      .from("courses")
+      .select(COURSE_SELECT)
+      .eq("course_id", id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Course not found" });
+    res.json(formatCourse(data));
+  } catch (err) {
+    console.error("Fetch course error:", err.message);
+    res.status(500).json({ error: "Failed to fetch course" });
+  }
+});
+
+async function fetchCourse(courseId) {
+  const { data, error } = await db
+    .from("courses")
+    .select(COURSE_SELECT)
+    .eq("course_id", courseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && formatCourse(data);
+}
+
+const COURSE_BODY = {
+  course_code: string({ required: true, max: 20 }),
+  course_name: string({ required: true, max: 150 }),
+  faculty_id: id(),
+  programme: string({ nullable: true, max: 150 }),
+  stream: string({ nullable: true, max: 150 }),
+};
+
+// CREATE course (a scoped PL's courses default to their programme, and
+// everyone's to their faculty)
+app.post("/courses", authenticateToken, authorize("courses", "create"), validate({ body: COURSE_BODY }), async (req, res) => {
+  const { course_code, course_name, stream = null } = req.body;
+  const programme = req.body.programme ?? scopeOf(req.user, "courses", "create")?.value ?? null;
+  const faculty_id = req.body.faculty_id ?? req.user.faculty_id;
+  try {
+    if (!faculty_id) return validationError(res, [{ in: "body", field: "faculty_id", message: "is required" }]);
+    if (!can(req.user, "courses", "create", { programme, stream, faculty_id })) {
+      return forbidden(res, "courses", "create");
+    }
+    if (!(await checkPlacement(res, { faculty_id, programme, stream }))) return;
+
+    const { data, error } = await db
+      .from("courses")
+      .insert([{ course_code, course_name, faculty_id, programme, stream }])
+      .select("course_id");
+
+    if (error) throw error;
+    const course = await fetchCourse(data[0].course_id);
+    await audit(req, "create", "courses", { id: course.course_id, after: course });
+    res.status(201).json(course);
+  } catch (err) {
+    console.error("Create course error:", err.message);
+    res.status(500).json({ error: "Failed to create course" });
+  }
+});
+
+// UPDATE course
+app.put("/courses/:id", authenticateToken, authorize("courses", "update"), validate({ params: ID_PARAMS, body: partial(COURSE_BODY) }), async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+  try {
+    if (!Object.keys(updates).length)
+      return validationError(res, [{ in: "body", field: null, message: "must include at least one field" }]);
+
+    const existing = await fetchCourse(id);
+    if (!existing) return res.status(404).json({ error: "Course not found" });
+
+    const updated = { ...existing, ...updates };
+    if (!can(req.user, "courses", "update", existing) || !can(req.user, "courses", "update", updated)) {
+      return forbidden(res, "courses", "update");
+    }
+    const placed = ["faculty_id", "programme", "stream"].some(field => Object.hasOwn(updates, field));
+    if (placed && !(await checkPlacement(res, updated))) return;
+
+    const { error } = await db.from("courses").update(updates).eq("course_id", id);
+    if (error) throw error;
+
+    // Classes, found by the old code, follow their course's code, name and
+    // faculty
+    const followed = ["course_code", "course_name", "faculty_id"].filter(field => updated[field] !== existing[field]);
+    if (followed.length) {
+      const { error: classError } = await db
+        .from("classes")
+        .update(Object.fromEntries(followed.map(field => [field, updated[field]])))
+        .eq("course_code", existing.course_code);
+      if (classError) throw classError;
+    }
+
+    const course = await fetchCourse(id);
+    await audit(req, "update", "courses", { id, before: existing, after: course });
+    res.json(course);
+  } catch (err) {
+    console.error("Update course error:", err.message);
+    res.status(500).json({ error: "Failed to update course" });
+  }
+});
+
+// DELETE course
+app.delete("/courses/:id", authenticateToken, authorize("courses", "delete"), validate({ params: ID_PARAMS }), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const existing = await fetchCourse(id);
+    if (!existing) return res.status(404).json({ error: "Course not found" });
+    if (!can(req.user, "courses", "delete", existing)) return forbidden(res, "courses", "delete");
+
+    const { error } = await db.from("courses").delete().eq("course_id", id);
+
+    if (error) throw error;
+    await audit(req, "delete", "courses", { id, before: existing });
+    res.json({ message: "Course deleted successfully", course: existing });
+  } catch (err) {
+    console.error("Delete course error:", err.message);
+    res.status(500).json({ error: "Failed to delete course" });
+  }
+});
+
+// ------------------- ENROLMENT & ATTENDANCE -------------------
+
+// Enrol a student in a class, respecting capacity.
+// Returns { status, body } ready to send.
+async function enrolStudent(cls, studentId, enrolledBy) {
+  const { data: existing } = await db
+    .from("enrolments")
+    .select("enrolment_id")
+    .eq("class_id", cls.id)
+    .eq("student_id", studentId)
+    .maybeSingle();
+
+  if (existing) return { status: 409, body: { error: "Student is already enrolled in this class" } };
+
+  if (cls.capacity) {
+    const counts = await loadEnrolledCounts([cls.id]);
+    if ((counts.get(cls.id) || 0) >= cls.capacity)
+      return { status: 409, body: { error: "Class is full" } };
+  }
+
+  const { data, error } = await db
+    .from("enrolments")
+    .insert([{ class_id: cls.id, student_id: studentId, enrolled_by: enrolledBy }])
+    .select();
+
+  if (error) throw error;
+  return { status: 201, body: { success: true, enrolment: data[0] } };
+}
+
+// Check an attendance register for a class: presentIds must all be enrolled
+// in it. Returns { error } or { enrolled, present } (sets of student ids)
+// for saveAttendanceRegister().
+async function checkAttendanceRegister(classId, presentIds) {
+  const { data: enrolments, error: enrolError } = await db
+    .from("enrolments")
+    .select("student_id")
+    .eq("class_id", classId);
+
+  if (enrolError) throw enrolError;
+
+  const enrolled = new Set((enrolments || []).map(e => e.student_id));
+  const present = new Set(presentIds);
+  const notEnrolled = [...present].filter(id => !enrolled.has(id));
+  if (notEnrolled.length) {
+    return { error: `Students not enrolled in this class: ${notEnrolled.join(", ")}` };
+  }
+  return { enrolled, present };
+}
+
+// Replace the attendance of a report with a checked register; everyone
+// enrolled but not present is recorded absent. The report's actual_students
+// is the caller's to set. Returns { present, absent }.
+async function saveAttendanceRegister(report, { enrolled, present }, recordedBy) {
+  const { error: deleteError } = await db
+    .from("attendance")
+    .delete()
+    .eq("report_id", report.report_id);
+
+  if (deleteError) throw deleteError;
+
+  const rows = [...enrolled].map(studentId => ({
+    report_id: report.report_id,
+    class_id: report.class_id,
+    student_id: studentId,
+    present: present.has(studentId),
+    recorded_by: recordedBy,
+  }));
+
+  if (rows.length) {
+    const { error } = await db.from("attendance").insert(rows);
+    if (error) throw error;
+  }
+
+  return { present: present.size, absent: rows.length - present.size };
+}
+
+// Student self-enrolment
+app.post("/classes/:id/enrol", authenticateToken, authorize("classes", "enrol"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const cls = await fetchClass(req.params.id);
+    if (!cls) return res.status(404).json({ error: "Class not found" });
+    if (cls.status && cls.status !== "active")
+      return res.status(409).json({ error: "Class is not open for enrolment" });
+
+    const { status, body } = await enrolStudent(cls, req.user.id, req.user.id);
+    if (body.enrolment) await audit(req, "enrol", "enrolments", { id: body.enrolment.enrolment_id, after: body.enrolment });
+    res.status(status).json(body);
+  } catch (err) {
+    console.error("Enrol Error:", err.message);
+    res.status(500).json({ error: "Failed to enrol in class" });
+  }
+});
+
+// Student leaves a class
+app.delete("/classes/:id/enrol", authenticateToken, authorize("classes", "enrol"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("enrolments")
+      .delete()
+      .eq("class_id", req.params.id)
+      .eq("student_id", req.user.id)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: "Not enrolled in this class" });
+
+    await audit(req, "unenrol", "enrolments", { id: data[0].enrolment_id, before: data[0] });
+
+    res.json({ success: true, message: "Left class successfully" });
+  } catch (err) {
+    console.error("Unenrol Error:", err.message);
+    res.status(500).json({ error: "Failed to leave class" });
+  }
+});
+
+// Class roster
+app.get("/classes/:id/students", authenticateToken, authorize("classes", "manage_roster"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const cls = await fetchClass(req.params.id);
+    if (!cls) return res.status(404).json({ error: "Class not found" });
+
+    if (!can(req.user, "classes", "manage_roster", await classTarget(cls, req.user))) {
+      return forbidden(res, "classes", "manage_roster");
+    }
+
+    const { data, error } = await db
+      .from("enrolments")
+      .select("enrolment_id, student_id, created_at, users!enrolments_student_id_fkey(name, email)")
+      .eq("class_id", cls.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      class_id: cls.id,
+      capacity: cls.capacity,
+      enrolled: data.length,
+      students: data.map(e => ({
+        enrolment_id: e.enrolment_id,
+        student_id: e.student_id,
+        name: e.users?.name,
+        email: e.users?.email,
+        enrolled_at: e.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("Fetch Roster Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch class roster" });
+  }
+});
+
+// Lecturer-managed enrolment
+app.post("/classes/:id/students", authenticateToken, authorize("classes", "manage_roster"), validate({ params: ID_PARAMS, body: { student_id: id({ required: true }) } }), async (req, res) => {
+  try {
+    const cls = await fetchClass(req.params.id);
+    if (!cls) return res.status(404).json({ error: "Class not found" });
+
+    if (!can(req.user, "classes", "manage_roster", await classTarget(cls, req.user))) {
+      return forbidden(res, "classes", "manage_roster");
+    }
+
+    const { student_id } = req.body;
+
+    const { data: student } = await db
+      .from("users")
+      .select("user_id, role")
+      .eq("user_id", student_id)
+      .maybeSingle();
+
+    if (!student || student.role !== "student")
+      return res.status(404).json({ error: "Student not found" });
+
+    const { status, body } = await enrolStudent(cls, student.user_id, req.user.id);
+    if (body.enrolment) await audit(req, "enrol", "enrolments", { id: body.enrolment.enrolment_id, after: body.enrolment });
+    res.status(status).json(body);
+  } catch (err) {
+    console.error("Add Student Error:", err.message);
+    res.status(500).json({ error: "Failed to enrol student" });
+  }
+});
+
+app.delete("/classes/:id/students/:studentId", authenticateToken, authorize("classes", "manage_roster"), validate({ params: { id: id(), studentId: id() } }), async (req, res) => {
+  try {
+    const cls = await fetchClass(req.params.id);
+    if (!cls) return res.status(404).json({ error: "Class not found" });
+
+    if (!can(req.user, "classes", "manage_roster", await classTarget(cls, req.user))) {
+      return forbidden(res, "classes", "manage_roster");
+    }
+
+    const { data, error } = await db
+      .from("enrolments")
+      .delete()
+      .eq("class_id", cls.id)
+      .eq("student_id", req.params.studentId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: "Student is not enrolled in this class" });
+
+    await audit(req, "unenrol", "enrolments", { id: data[0].enrolment_id, before: data[0] });
+
+    res.json({ success: true, message: "Student removed from class" });
+  } catch (err) {
+    console.error("Remove Student Error:", err.message);
+    res.status(500).json({ error: "Failed to remove student" });
+  }
+});
+
+// Classes the current student is enrolled in
+app.get("/enrolments/mine", authenticateToken, validate(), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("enrolments")
+      .select("enrolment_id, class_id, created_at, classes(class_name, course_name, course_code, lecturer_id, lead:users!classes_lecturer_id_fkey(name))")
+      .eq("student_id", req.user.id)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    res.json(data.map(withLeadName));
+  } catch (err) {
+    console.error("Fetch Enrolments Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch enrolments" });
+  }
+});
+
+// Record the attendance register for a report (submitting lecturer only,
+// while the report is editable; the new count is saved as a version)
+const ATTENDANCE_BODY = { present_student_ids: array(id(), { required: true }) };
+
+app.put("/reports/:id/attendance", authenticateToken, authorize("reports", "record_attendance"), validate({ params: ID_PARAMS, body: ATTENDANCE_BODY }), async (req, res) => {
+  try {
+    const { present_student_ids } = req.body;
+
+    const { data: report, error: fetchError } = await db
+      .from("report")
+      .select("*")
+      .eq("report_id", req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!report) return res.status(404).json({ error: "Report not found" });
+
+    if (!can(req.user, "reports", "record_attendance", { owned: report.submitted_by === req.user.id })) {
+      return forbidden(res, "reports", "record_attendance");
+    }
+    if (!REPORT_EDITABLE.includes(report.status)) {
+      return res.status(409).json({ error: `Cannot record attendance on a report that is ${report.status}` });
+    }
+
+    const register = await checkAttendanceRegister(report.class_id, present_student_ids);
+    if (register.error) return res.status(400).json({ error: register.error });
+
+    const { data: previous, error: previousError } = await db
+      .from("attendance")
+      .select("student_id, present")
+      .eq("report_id", report.report_id);
+
+    if (previousError) throw previousError;
+
+    const { data, error } = await db
+      .from("report")
+      .update({ actual_students: register.present.size })
+      .eq("report_id", report.report_id)
+      .select(REPORT_SELECT);
+
+    if (error) throw error;
+
+    const result = await saveAttendanceRegister(report, register, req.user.id);
+    const version = await saveReportVersion(report, data[0], req.user);
+
+    await audit(req, "record", "attendance", {
+      id: report.report_id,
+      before: previous,
+      after: { present_student_ids, ...result },
+    });
+    if (version && report.status !== "draft") {
+      const [edited] = await transformReports(data);
+      events.publish("report.edited", { report: edited, actor: req.user });
+    }
+    res.json({ success: true, version, ...result });
+  } catch (err) {
+    console.error("Record Attendance Error:", err.message);
+    res.status(500).json({ error: "Failed to record attendance" });
+  }
+});
+
+// Attendance register for a report
+app.get("/reports/:id/attendance", authenticateToken, authorize("reports", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const { data: report, error: fetchError } = await db
+      .from("report")
+      .select("report_id, class_id, submitted_by, status")
+      .eq("report_id", req.params.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!report) return res.status(404).json({ error: "Report not found" });
+
+    if (!(await canReadReport(req.user, report))) {
+      return forbidden(res, "reports", "read");
+    }
+
+    const { data, error } = await db
+      .from("attendance")
+      .select("student_id, present, users!attendance_student_id_fkey(name)")
+      .eq("report_id", report.report_id);
+
+    if (error) throw error;
+
+    res.json({
+      report_id: report.report_id,
+      present: data.filter(a => a.present).length,
+      absent: data.filter(a => !a.present).length,
+      register: data.map(a => ({ student_id: a.student_id, name: a.users?.name, present: a.present })),
+    });
+  } catch (err) {
+    console.error("Fetch Attendance Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch attendance" });
+  }
+});
+
+// A student's attendance history, per enrolled class (?class_id= to narrow)
+app.get("/attendance/mine", authenticateToken, authorize("attendance", "read_own"), validate({ query: { class_id: id() } }), async (req, res) => {
+  try {
+    let enrolQuery = db
+      .from("enrolments")
+      .select("class_id, classes(class_name, course_code)")
+      .eq("student_id", req.user.id);
+    if (req.query.class_id) enrolQuery = enrolQuery.eq("class_id", req.query.class_id);
+
+    const { data: enrolments, error: enrolError } = await enrolQuery;
+    if (enrolError) throw enrolError;
+
+    const classIds = enrolments.map(e => e.class_id);
+    if (!classIds.length) return res.json([]);
+
+    const [{ data: reports, error: reportError }, { data: records, error: recordError }] =
+      await Promise.all([
+        db
+          .from("report")
+          .select("report_id, class_id, week, date, topic")
+          .in("class_id", classIds)
+          .neq("status", "draft")
+          .order("date", { ascending: true }),
+        db
+          .from("attendance")
+          .select("report_id, present")
+          .eq("student_id", req.user.id)
+          .in("class_id", classIds),
+      ]);
+
+    if (reportError) throw reportError;
+    if (recordError) throw recordError;
+
+    const presence = new Map(records.map(r => [r.report_id, r.present]));
+
+    const history = enrolments.map(e => {
+      const lectures = reports
+        .filter(r => r.class_id === e.class_id)
+        .map(r => ({
+          report_id: r.report_id,
+          week: r.week,
+          date: r.date,
+          topic: r.topic,
+          present: presence.has(r.report_id) ? presence.get(r.report_id) : null,
+        }));
+      const recorded = lectures.filter(l => l.present !== null);
+      const attended = recorded.filter(l => l.present).length;
+
+      return {
+        class_id: e.class_id,
+        class_name: e.classes?.class_name,
+        course_code: e.classes?.course_code,
+        attended,
+        recorded: recorded.length,
+        attendance_rate: recorded.length ? Math.round((attended / recorded.length) * 100) : null,
+        lectures,
+      };
+    });
+
+    res.json(history);
+  } catch (err) {
+    console.error("Fetch Attendance History Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch attendance history" });
+  }
+});
+
+// ------------------- IMPORT -------------------
+// PL bulk import of users, courses and classes from CSV, sent as a text/csv
+// body (or JSON { csv }). Rows are checked with the same rules as the single
+// create routes, and for duplicates within the file and against existing
+// rows. ?dry_run=true only reports; otherwise all rows go in one insert, so
+// a file with any error imports nothing.
+
+const IMPORT_MAX_ROWS = 1000;
+const INVITE_TTL_HOURS = 72;
+
+// Duplicate checks ignore case and surrounding spaces
+const importKey = value => String(value).trim().toLowerCase();
+
+async function existingKeys(table, column) {
+  const { data, error } = await db.from(table).select(column);
+  if (error) throw error;
+  return new Set(data.map(row => importKey(row[column])));
+}
+
+// Faculties (with their programmes) by lower-cased name and code, for the
+// `faculty` column of users and courses
+async function facultiesByKey() {
+  const { data, error } = await db.from("faculties").select(FACULTY_SELECT);
+  if (error) throw error;
+
+  const faculties = new Map();
+  for (const faculty of data.map(formatFaculty)) {
+    faculties.set(importKey(faculty.name), faculty);
+    if (faculty.code) faculties.set(importKey(faculty.code), faculty);
+  }
+  return faculties;
+}
+
+// The faculty a row names, checked like checkPlacement; { faculty } or
+// { problem }. Rows without one default to `fallback` (a faculty id).
+function importFaculty(value, faculties, fallback = null) {
+  const faculty = value.faculty
+    ? faculties.get(importKey(value.faculty))
+    : [...faculties.values()].find(f => f.faculty_id === fallback);
+  if (value.faculty && !faculty) return { problem: { field: "faculty", message: "is not an existing faculty" } };
+  if (!faculty) {
+    return value.programme || value.stream
+      ? { problem: { field: "faculty", message: "is required with a programme or stream" } }
+      : { faculty: null };
+  }
+
+  const problem = placementProblem(faculty, value);
+  return problem ? { problem } : { faculty };
+}
+
+// Per type: the row fields, the column duplicates are detected on, and
+//   load(user)                    lookups shared by every row, incl. existing keys
+//   check(value, context, user)   extra row check, { field, message } or null
+//   build(value, context, user)   the row to insert
+//   after(rows, req)              side effects once committed
+const IMPORTERS = {
+  users: {
+    table: "users",
+    primaryKey: "user_id",
+    select: "user_id, name, email, role, stream, programme, faculty_id",
+    key: "email",
+    // faculty is a faculty name or code, defaulting to the importing PL's
+    fields: {
+      name: REGISTER_BODY.name,
+      email: REGISTER_BODY.email,
+      role: REGISTER_BODY.role,
+      faculty: string({ max: 150 }),
+      stream: string({ max: 150 }),
+      programme: string({ max: 150 }),
+    },
+    async load() {
+      // Imported accounts can't log in until they set a password from the
+      // emailed link, so they share one unguessable placeholder hash
+      const password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+      return { existing: await existingKeys("users", "email"), faculties: await facultiesByKey(), password };
+    },
+    check(value, { faculties }, user) {
+      const { faculty, problem } = importFaculty(value, faculties, user.faculty_id);
+      if (problem) return problem;
+      return user.faculty_id && faculty?.faculty_id !== user.faculty_id
+        ? { field: "faculty", message: "is outside your faculty" }
+        : null;
+    },
+    build({ faculty, ...value }, { faculties, password }, user) {
+      return {
+        ...value,
+        stream: value.stream ?? null,
+        programme: value.programme ?? null,
+        faculty_id: importFaculty({ faculty }, faculties, user.faculty_id).faculty?.faculty_id ?? null,
+        password,
+        email_verified: true,
+      };
+    },
+    async after(users) {
+      for (const user of users) {
+        const token = await issueUserToken(user.user_id, "reset_password", INVITE_TTL_HOURS);
+        await sendMail({
+          to: user.email,
+          subject: "Your LUCT Reporting account",
+          text:
+            `Hi ${user.name},\n\nAn account has been created for you. Choose a password to sign in:\n` +
+            `${FRONTEND_URL}/reset-password?token=${token}\n\n` +
+            `This link expires in ${INVITE_TTL_HOURS} hours.`,
+        });
+      }
+    },
+  },
+
+  courses: {
+    table: "courses",
+    primaryKey: "course_id",
+    key: "course_code",
+    // faculty is a faculty name or code
+    fields: {
+      course_code: COURSE_BODY.course_code,
+      course_name: COURSE_BODY.course_name,
+      faculty: string({ max: 150 }),
+      programme: COURSE_BODY.programme,
+      stream: COURSE_BODY.stream,
+    },
+    async load() {
+      return { existing: await existingKeys("courses", "course_code"), faculties: await facultiesByKey() };
+    },
+    // Same rules as POST /courses: a scoped PL's courses default to their
+    // programme, and everyone's to their faculty
+    build(value, { faculties }, user) {
+      const programme = value.programme ?? scopeOf(user, "courses", "create")?.value ?? null;
+      return {
+        course_code: value.course_code,
+        course_name: value.course_name,
+        faculty_id: importFaculty({ ...value, programme }, faculties, user.faculty_id).faculty?.faculty_id ?? null,
+        programme,
+        stream: value.stream ?? null,
+      };
+    },
+    check(value, context, user) {
+      const programme = value.programme ?? scopeOf(user, "courses", "create")?.value ?? null;
+      const { faculty, problem } = importFaculty({ ...value, programme }, context.faculties, user.faculty_id);
+      if (problem) return problem;
+      if (!faculty) return { field: "faculty", message: "is required" };
+
+      return can(user, "courses", "create", { programme, stream: value.stream, faculty_id: faculty.faculty_id })
+        ? null
+        : { field: "programme", message: "is outside your programme or faculty" };
+    },
+  },
+
+  // Classes name an existing course by code and take its course name, their
+  // lead lecturer by account email and their semester (optional) by name.
+  // Co-lecturers and timetables are added afterwards with PUT /classes/:id.
+  classes: {
+    table: "classes",
+    primaryKey: "id",
+    key: "class_name",
+    fields: {
+      class_name: CLASS_BODY.class_name,
+      course_code: CLASS_BODY.course_code,
+      lecturer_email: email({ required: true }),
+      capacity: CLASS_BODY.capacity,
+      status: CLASS_BODY.status,
+      semester: string({ max: 100 }),
+    },
+    async load() {
+      const { data: courses, error } = await db.from("courses").select("course_code, course_name, stream, programme, faculty_id");
+      if (error) throw error;
+
+      const { data: lecturers, error: lecturerError } = await db
+        .from("users")
+        .select("user_id, email, status")
+        .eq("role", "lecturer");
+      if (lecturerError) throw lecturerError;
+
+      const { data: semesters, error: semesterError } = await db.from("semesters").select("semester_id, name");
+      if (semesterError) throw semesterError;
+
+      return {
+        existing: await existingKeys("classes", "class_name"),
+        semesters: new Map(semesters.map(s => [importKey(s.name), s.semester_id])),
+        courses: new Map(courses.map(c => [importKey(c.course_code), c])),
+        lecturers: new Map(
+          lecturers.filter(u => (u.status ?? "active") === "active").map(u => [importKey(u.email), u.user_id])
+        ),
+      };
+    },
+    check(value, { courses, lecturers, semesters }, user) {
+      const course = courses.get(importKey(value.course_code));
+      if (!course) return { field: "course_code", message: "is not an existing course" };
+      if (!can(user, "classes", "create", course)) return { field: "course_code", message: "is outside your scope" };
+      if (!lecturers.has(importKey(value.lecturer_email))) {
+        return { field: "lecturer_email", message: "is not an active lecturer account" };
+      }
+      if (value.semester && !semesters.has(importKey(value.semester))) {
+        return { field: "semester", message: "is not an existing semester" };
+      }
+      return null;
+    },
+    build(value, { courses, lecturers, semesters }, user) {
+      const course = courses.get(importKey(value.course_code));
+      return {
+        class_name: value.class_name,
+        course_name: course.course_name,
+        course_code: course.course_code,
+        lecturer_id: lecturers.get(importKey(value.lecturer_email)),
+        capacity: value.capacity ?? null,
+        status: value.status || "active",
+        semester_id: value.semester ? semesters.get(importKey(value.semester)) : null,
+        faculty_id: course.faculty_id ?? null,
+        created_by_id: user.id,
+      };
+    },
+    async after(classes, req) {
+      for (const cls of classes) {
+        events.publish("class.created", { cls: { ...cls, co_lecturers: [], timetable: [] }, actor: req.user });
+      }
+    },
+  },
+};
+
+// Check every row of a CSV file. Returns { total, errors, records } where
+// records are the rows to insert (only meaningful when errors is empty).
+// Errors are { row, field, message }; row is the file line (the header is 1).
+async function checkImport(importer, text, user) {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (err) {
+    return { total: 0, errors: [{ row: null, field: null, message: err.message }], records: [] };
+  }
+
+  const { columns, rows } = parsed;
+  const errors = [];
+  for (const column of columns) {
+    if (!Object.hasOwn(importer.fields, column)) errors.push({ row: 1, field: column, message: "is not a known column" });
+  }
+  for (const [field, rule] of Object.entries(importer.fields)) {
+    if (rule.required && !columns.includes(field)) errors.push({ row: 1, field, message: "column is missing" });
+  }
+  if (!rows.length) errors.push({ row: null, field: null, message: "file has no data rows" });
+  if (rows.length > IMPORT_MAX_ROWS) errors.push({ row: null, field: null, message: `file has more than ${IMPORT_MAX_ROWS} rows` });
+  if (errors.length) return { total: rows.length, errors, records: [] };
+
+  const context = await importer.load(user);
+  const seen = new Map();
+  const records = [];
+
+  for (const row of rows) {
+    const { value, errors: fieldErrors } = validateFields(importer.fields, row.values);
+    const rowErrors = fieldErrors.map(e => ({ row: row.line, ...e }));
+    if (row.extra) rowErrors.push({ row: row.line, field: null, message: "has more cells than the header" });
+
+    if (!fieldErrors.length) {
+      const key = importKey(value[importer.key]);
+      if (seen.has(key)) rowErrors.push({ row: row.line, field: importer.key, message: `duplicates row ${seen.get(key)}` });
+      else if (context.existing.has(key)) rowErrors.push({ row: row.line, field: importer.key, message: "already exists" });
+      else seen.set(key, row.line);
+
+      const problem = importer.check?.(value, context, user);
+      if (problem) rowErrors.push({ row: row.line, ...problem });
+    }
+
+    if (rowErrors.length) errors.push(...rowErrors);
+    else records.push(importer.build(value, context, user));
+  }
+
+  return { total: rows.length, errors, records };
+}
+
+// Raw CSV bodies arrive as a string; wrap them so validate() sees { csv }
+const csvBody = [
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  (req, res, next) => {
+    if (typeof req.body === "string") req.body = { csv: req.body };
+    next();
+  },
+];
+
+const IMPORT_SCHEMA = {
+  params: { type: oneOf(Object.keys(IMPORTERS), { required: true, lowercase: true }) },
+  query: { dry_run: boolean({ default: false }) },
+  body: { csv: string({ required: true, trim: false }) },
+};
+
+app.post("/import/:type", authenticateToken, authorize("imports", "create"), csvBody, validate(IMPORT_SCHEMA), async (req, res) => {
+  try {
+    const importer = IMPORTERS[req.params.type];
+    const { total, errors, records } = await checkImport(importer, req.body.csv, req.user);
+    const summary = {
+      type: req.params.type,
+      dry_run: req.query.dry_run,
+      total,
+      valid: records.length,
+      invalid: new Set(errors.filter(e => e.row > 1).map(e => e.row)).size,
+    };
+
+    if (req.query.dry_run) return res.json({ ...summary, errors });
+    if (errors.length) return res.status(400).json({ error: "Import has errors, nothing was imported", ...summary, errors });
+
+    const { data, error } = await db.from(importer.table).insert(records).select(importer.select);
+    if (error?.code === "23505") {
+      return res.status(409).json({ error: "Some rows were added while importing, nothing was imported; check the file again" });
+    }
+    if (error) throw error;
+
+    const ids = data.map(row => row[importer.primaryKey]);
+    await importer.after?.(data, req);
+    await audit(req, "import", importer.table, { after: { created: ids.length, ids } });
+
+    res.status(201).json({ success: true, ...summary, created: ids.length, ids });
+  } catch (err) {
+    console.error("Import Error:", err.message);
+    res.status(500).json({ error: "Failed to import file" });
+  }
+});
+
+// ------------------- ANALYTICS -------------------
+// Aggregates over the transformed reports from fetchReports, so lecturers
+// only ever see figures for their own reports. All routes accept the
+// /reports filters (week_from, week_to, course_code, lecturer, ...).
+
+function groupItems(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Present / registered across reports, as a percentage with one decimal.
+// Reports for classes with nobody enrolled are left out.
+function attendanceRate(reports) {
+  let present = 0;
+  let registered = 0;
+  for (const report of reports) {
+    if (!report.total_registered_students) continue;
+    present += report.actual_students_present || 0;
+    registered += report.total_registered_students;
+  }
+  return registered ? Math.round((present / registered) * 1000) / 10 : null;
+}
+
+const ANALYTICS_GROUPS = {
+  class: r => [r.class_id, { class_id: r.class_id, class_name: r.class_name, course_code: r.course_code }],
+  course: r => [r.course_code, { course_code: r.course_code, course_name: r.course_name }],
+};
+
+// Per group: overall rate plus a week-by-week series
+function attendanceByGroup(reports, groupBy) {
+  const groups = groupItems(reports, r => ANALYTICS_GROUPS[groupBy](r)[0]);
+
+  return [...groups.values()].map(groupReports => {
+    const weeks = groupItems(groupReports, r => r.week);
+    return {
+      ...ANALYTICS_GROUPS[groupBy](groupReports[0])[1],
+      lectures: groupReports.length,
+      attendance_rate: attendanceRate(groupReports),
+      weeks: [...weeks.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([week, weekReports]) => ({
+          week,
+          present: weekReports.reduce((sum, r) => sum + (r.actual_students_present || 0), 0),
+          registered: weekReports.reduce((sum, r) => sum + r.total_registered_students, 0),
+          attendance_rate: attendanceRate(weekReports),
+        })),
+    };
+  });
+}
+
+async function analyticsReports(req) {
+  const { reports } = await fetchReports(req.user, parseReportFilters(req.query), null, "analytics");
+  return reports;
+}
+
+// Attendance rate trends per class or course (?group_by=class|course)
+const ATTENDANCE_ANALYTICS_QUERY = {
+  group_by: oneOf(Object.keys(ANALYTICS_GROUPS), { default: "class" }),
+  ...REPORT_FILTER_QUERY,
+};
+
+app.get("/analytics/attendance", authenticateToken, authorize("analytics", "read"), validate({ query: ATTENDANCE_ANALYTICS_QUERY }), async (req, res) => {
+  try {
+    const groupBy = req.query.group_by;
+    const reports = await analyticsReports(req);
+
+    res.json({
+      group_by: groupBy,
+      attendance_rate: attendanceRate(reports),
+      groups: attendanceByGroup(reports, groupBy),
+    });
+  } catch (err) {
+    console.error("Attendance Analytics Error:", err.message);
+    res.status(500).json({ error: "Failed to compute attendance analytics" });
+  }
+});
+
+// Most and least attended classes (?limit=5)
+const RANKING_QUERY = { limit: integer({ min: 1, max: 50, default: 5 }), ...REPORT_FILTER_QUERY };
+
+app.get("/analytics/attendance/ranking", authenticateToken, authorize("analytics", "read"), validate({ query: RANKING_QUERY }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const reports = await analyticsReports(req);
+
+    const ranked = attendanceByGroup(reports, "class")
+      .filter(c => c.attendance_rate !== null)
+      .map(({ weeks, ...cls }) => cls)
+      .sort((a, b) => b.attendance_rate - a.attendance_rate);
+
+    res.json({
+      most_attended: ranked.slice(0, limit),
+      least_attended: ranked.slice(-limit).reverse(),
+    });
+  } catch (err) {
+    console.error("Attendance Ranking Error:", err.message);
+    res.status(500).json({ error: "Failed to rank classes" });
+  }
+});
+
+// Report submission counts per lecturer
+app.get("/analytics/submissions", authenticateToken, authorize("analytics", "read"), validate({ query: REPORT_FILTER_QUERY }), async (req, res) => {
+  try {
+    const reports = await analyticsReports(req);
+
+    const byLecturer = groupItems(reports, r => r.created_by);
+    const names = new Map(reports.map(r => [r.created_by, r.lecturer_name]));
+
+    // PRL/PL also see lecturers who have not submitted anything, from the
+    // classes in their stream/programme and faculty
+    if (permission(req.user, "analytics", "read") !== "own") {
+      const classIds = await scopedClassIds(req.user, "analytics", "read");
+      let query = db.from("users").select("user_id, name").eq("role", "lecturer");
+      if (classIds) query = query.in("user_id", await teachingLecturerIds(classIds));
+
+      const { data: lecturers, error } = await query;
+      if (error) throw error;
+      for (const lecturer of lecturers) {
+        if (!names.has(lecturer.user_id)) names.set(lecturer.user_id, lecturer.name);
+      }
+    }
+
+    const submissions = [...names.entries()].map(([lecturerId, name]) => {
+      const lecturerReports = byLecturer.get(lecturerId) || [];
+      const byStatus = Object.fromEntries(REPORT_STATUSES.filter(s => s !== "draft").map(status => [status, 0]));
+      lecturerReports.forEach(r => (byStatus[r.status] += 1));
+
+      return {
+        lecturer_id: lecturerId,
+        lecturer_name: name,
+        total: lecturerReports.length,
+        by_status: byStatus,
+        classes: new Set(lecturerReports.map(r => r.class_id)).size,
+        weeks_reported: new Set(lecturerReports.map(r => r.week)).size,
+        last_submitted_at: lecturerReports.map(r => r.created_at).sort().pop() || null,
+      };
+    });
+
+    submissions.sort((a, b) => b.total - a.total);
+    res.json(submissions);
+  } catch (err) {
+    console.error("Submission Analytics Error:", err.message);
+    res.status(500).json({ error: "Failed to compute submission analytics" });
+  }
+});
+
+// Teaching week (1-based) that `day` falls in, for a semester starting on
+// `semesterStart` (YYYY-MM-DD)
+function teachingWeek(semesterStart, day = new Date()) {
+  const days = (day.getTime() - new Date(`${semesterStart}T00:00:00Z`).getTime()) / 86400000;
+  return Math.max(Math.floor(days / 7) + 1, 1);
+}
+
+// How far teaching has got: from the calendar of ?semester_id, else plain
+// 7-day weeks from ?semester_start or SEMESTER_START, else the calendar of
+// the semester running today. Returns { semester_id, elapsed, due } (weeks
+// started, and weeks whose report deadline has passed), or null.
+async function teachingProgress(query) {
+  const start = !query.semester_id && (query.semester_start || process.env.SEMESTER_START);
+  if (start) return { semester_id: null, elapsed: teachingWeek(start), due: lastDueWeek(start) };
+
+  const semester = query.semester_id ? await fetchSemester(query.semester_id) : await semesterOn(today());
+  if (!semester) return null;
+
+  const calendar = await loadCalendar(semester);
+  const cutoff = new Date(Date.now() - REPORT_DEADLINE_DAYS * 86400000).toISOString().slice(0, 10);
+  return { semester_id: semester.semester_id, elapsed: weeksStarted(calendar, today()), due: weeksEnded(calendar, cutoff) };
+}
+
+// ?weeks_elapsed, else the weeks started per teachingProgress, else null
+// (callers fall back to the latest week reported)
+async function weeksElapsedFrom(query) {
+  if (query.weeks_elapsed) return query.weeks_elapsed;
+  return (await teachingProgress(query))?.elapsed ?? null;
+}
+
+// Course coverage: weeks with a report vs weeks elapsed.
+// Weeks elapsed comes from ?weeks_elapsed, else ?semester_id, ?semester_start
+// (YYYY-MM-DD) or SEMESTER_START, else the semester running today, else the
+// latest week reported.
+const COVERAGE_QUERY = { weeks_elapsed: integer({ min: 1 }), semester_start: date(), ...REPORT_FILTER_QUERY };
+
+app.get("/analytics/coverage", authenticateToken, authorize("analytics", "read"), validate({ query: COVERAGE_QUERY }), async (req, res) => {
+  try {
+    const weeksElapsed = await weeksElapsedFrom(req.query);
+    const reports = await analyticsReports(req);
+
+    const elapsed = weeksElapsed ?? Math.max(0, ...reports.map(r => r.week || 0));
+    const byCourse = groupItems(reports, r => r.course_code);
+
+    const coverage = [...byCourse.values()].map(courseReports => {
+      const covered = new Set(courseReports.map(r => r.week).filter(w => w <= elapsed));
+      const topics = [...new Set(courseReports.map(r => r.topic_taught).filter(Boolean))];
+      const missing = [];
+      for (let week = 1; week <= elapsed; week++) if (!covered.has(week)) missing.push(week);
+
+      return {
+        course_code: courseReports[0].course_code,
+        course_name: courseReports[0].course_name,
+        weeks_elapsed: elapsed,
+        weeks_covered: covered.size,
+        coverage_rate: elapsed ? Math.round((covered.size / elapsed) * 1000) / 10 : null,
+        missing_weeks: missing,
+        topics_taught: topics.length,
+        topics,
+      };
+    });
+
+    res.json(coverage);
+  } catch (err) {
+    console.error("Coverage Analytics Error:", err.message);
+    res.status(500).json({ error: "Failed to compute course coverage" });
+  }
+});
+
+// ------------------- RATINGS -------------------
+
+const RATING_SELECT = `
         *,
-        classes(class_name, course_name, course_code, lecturer),
-        users!report_submitted_by_fkey(name)
-      `);
+        classes(class_name, course_name, course_code, lecturer_id, lead:users!classes_lecturer_id_fkey(name))
+      `;
+
+// Count, average and 1-5 score distribution for a list of ratings
+function summarizeRatings(ratings) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  for (const rating of ratings) {
+    distribution[rating.score] += 1;
+    total += rating.score;
+  }
+  return {
+    count: ratings.length,
+    average: ratings.length ? Math.round((total / ratings.length) * 100) / 100 : null,
+    distribution,
+  };
+}
+
+// Group key and label for each ?group_by option of /ratings/summary
+const RATING_GROUPS = {
+  class: r => [r.class_id, { class_id: r.class_id, class_name: r.classes?.class_name || "Unknown Class" }],
+  course: r => [
+    r.classes?.course_code || "N/A",
+    { course_code: r.classes?.course_code || "N/A", course_name: r.classes?.course_name || "Unknown Course" },
+  ],
+  lecturer: r => [
+    r.classes?.lecturer_id ?? "Unknown",
+    { lecturer_id: r.classes?.lecturer_id ?? null, lecturer: r.classes?.lead?.name || "Unknown Lecturer" },
+  ],
+};
+
+// Rate a class for a given week (students only, once per class per week)
+const RATING_BODY = {
+  class_id: id({ required: true }),
+  week: integer({ required: true, min: 1, max: 52 }),
+  score: integer({ required: true, min: 1, max: 5 }),
+  comment: string({ nullable: true, max: 1000 }),
+};
+
+app.post("/ratings", authenticateToken, authorize("ratings", "create"), validate({ body: RATING_BODY }), async (req, res) => {
+  try {
+    const { class_id, week, score, comment } = req.body;
+
+    const { data: existingClass } = await db
+      .from("classes")
+      .select("id")
+      .eq("id", class_id)
+      .maybeSingle();
+
+    if (!existingClass) return res.status(404).json({ error: "Class not found" });
+
+    const { data: enrolment } = await db
+      .from("enrolments")
+      .select("enrolment_id")
+      .eq("class_id", class_id)
+      .eq("student_id", req.user.id)
+      .maybeSingle();
 
-    if (error) {
-      console.error("Supabase create report error:", error);
-      throw error;
-    }
+    // Students "own" the classes they are enrolled in
+    if (!can(req.user, "ratings", "create", { owned: Boolean(enrolment) }))
+      return res.status(403).json({ error: "You can only rate classes you are enrolled in" });
 
-    if (!data || data.length === 0) {
-      throw new Error("No data returned after insert");
-    }
+    const { data: existingRating } = await db
+      .from("ratings")
+      .select("rating_id")
+      .eq("class_id", class_id)
+      .eq("student_id", req.user.id)
+      .eq("week", week)
+      .maybeSingle();
 
-    // Transform the response
-    const transformedReport = {
-      id: data[0].report_id,
-      faculty_name: "Faculty of ICT",
-      class_name: data[0].classes?.class_name || "Unknown Class",
-      class_id: data[0].class_id,
-      week_of_reporting: `Week ${data[0].week}`,
-      date_of_lecture: data[0].date,
-      course_name: data[0].classes?.course_name || "Unknown Course",
-      course_code: data[0].classes?.course_code || "N/A",
-      lecturer_name: data[0].classes?.lecturer || data[0].users?.name || "Unknown Lecturer",
-      actual_students_present: data[0].actual_students,
-      total_registered_students: 50,
-      venue: "Room 101",
-      scheduled_time: "10:00",
-      topic_taught: data[0].topic,
-      learning_outcomes: data[0].learning_outcomes,
-      recommendations: data[0].recommendations,
-      status: "submitted",
-      feedback: "",
-      created_by: data[0].submitted_by,
-      created_at: data[0].created_at
-    };
+    if (existingRating)
+      return res.status(409).json({ error: "You have already rated this class for that week" });
+
+    const { data, error } = await db
+      .from("ratings")
+      .insert([
+        {
+          class_id,
+          student_id: req.user.id,
+          week,
+          score,
+          comment: comment ?? null,
+        },
+      ])
+      .select();
+
+    if (error) throw error;
 
-    res.status(201).json({ success: true, report: transformedReport });
+    await audit(req, "create", "ratings", { id: data[0].rating_id, after: data[0] });
+    res.status(201).json({ success: true, rating: data[0] });
   } catch (err) {
-    console.error("Create Report Error:", err.message);
-    res.status(500).json({ error: "Failed to create report: " + err.message });
+    console.error("Create Rating Error:", err.message);
+    res.status(500).json({ error: "Failed to submit rating" });
   }
 });
 
-app.get("/lecturers", async (req, res) => {
+// A student's own ratings
+app.get("/ratings/mine", authenticateToken, authorize("ratings", "read_own"), validate(), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("users")
-      .select("user_id, name, email, role")
-      .eq("role", "lecturer"); // only lecturers
+    const { data, error } = await db
+      .from("ratings")
+      .select(RATING_SELECT)
+      .eq("student_id", req.user.id)
+      .order("created_at", { ascending: false });
 
     if (error) throw error;
-
-    res.status(200).json(data);
+    res.json(data.map(withLeadName));
   } catch (err) {
-    console.error("Error fetching lecturers:", err);
-    res.status(500).json({ error: "Failed to fetch lecturers" });
+    console.error("Fetch My Ratings Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch ratings" });
   }
 });
 
+// Aggregated ratings grouped by class, course or lecturer
+// Lecturers only see their own classes; PRL/PL their stream/programme
+const RATING_SUMMARY_QUERY = {
+  group_by: oneOf(Object.keys(RATING_GROUPS), { default: "class" }),
+  week: integer({ min: 1 }),
+  course_code: string(),
+};
 
-// Update report (for PRL feedback)
-app.put("/reports/:id", authenticateToken, async (req, res) => {
+app.get("/ratings/summary", authenticateToken, authorize("ratings", "read"), validate({ query: RATING_SUMMARY_QUERY }), async (req, res) => {
   try {
-    const reportId = req.params.id;
-    const { feedback } = req.body;
+    const groupBy = req.query.group_by;
 
-    // Only PRL can add feedback
-    if (req.user.role !== "prl") {
-      return res.status(403).json({ error: "Not authorized to update reports" });
-    }
+    let query = db.from("ratings").select(RATING_SELECT);
+    if (req.query.week) query = query.eq("week", req.query.week);
 
-    // For now, we'll just return the report since feedback column might not exist
-    const { data, error } = await supabase
-      .from("report")
-      .select(`
-        *,
-        classes(class_name, course_name, course_code, lecturer),
-        users!report_submitted_by_fkey(name)
-      `)
-      .eq("report_id", reportId)
-      .single();
+    const classIds = await scopedClassIds(req.user, "ratings", "read");
+    if (classIds) query = query.in("class_id", classIds);
 
+    const { data, error } = await query;
     if (error) throw error;
-    if (!data) return res.status(404).json({ error: "Report not found" });
 
-    // Transform the response
-    const transformedReport = {
-      id: data.report_id,
-      faculty_name: "Faculty of ICT",
-      class_name: data.classes?.class_name || "Unknown Class",
-      class_id: data.class_id,
-      week_of_reporting: `Week ${data.week}`,
-      date_of_lecture: data.date,
-      course_name: data.classes?.course_name || "Unknown Course",
-      course_code: data.classes?.course_code || "N/A",
-      lecturer_name: data.classes?.lecturer || data.users?.name || "Unknown Lecturer",
-      actual_students_present: data.actual_students,
-      total_registered_students: 50,
-      venue: "Room 101",
-      scheduled_time: "10:00",
-      topic_taught: data.topic,
-      learning_outcomes: data.learning_outcomes,
-      recommendations: data.recommendations,
-      status: "submitted",
-      feedback: feedback || "",
-      created_by: data.submitted_by,
-      created_at: data.created_at
-    };
+    let ratings = data || [];
+    if (permission(req.user, "ratings", "read") === "own") {
+      const taught = new Set(await lecturerClassIds(req.user.id));
+      ratings = ratings.filter(r => taught.has(r.class_id));
+    }
+    if (req.query.course_code) {
+      ratings = ratings.filter(r => r.classes?.course_code === req.query.course_code);
+    }
+
+    const groups = new Map();
+    for (const rating of ratings) {
+      const [key, label] = RATING_GROUPS[groupBy](rating);
+      if (!groups.has(key)) groups.set(key, { ...label, ratings: [] });
+      groups.get(key).ratings.push(rating);
+    }
+
+    const summary = [...groups.values()].map(({ ratings: groupRatings, ...label }) => ({
+      ...label,
+      ...summarizeRatings(groupRatings),
+    }));
 
-    res.json({ success: true, report: transformedReport });
+    res.json({ group_by: groupBy, overall: summarizeRatings(ratings), groups: summary });
   } catch (err) {
-    console.error("Update Report Error:", err.message);
-    res.status(500).json({ error: "Failed to update report" });
+    console.error("Rating Summary Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch rating summary" });
   }
 });
 
-// Get single report
-app.get("/reports/:id", authenticateToken, async (req, res) => {
+// Ratings for a single class (anonymised)
+app.get("/ratings/classes/:id", authenticateToken, authorize("ratings", "read"), validate({ params: ID_PARAMS }), async (req, res) => {
   try {
-    const reportId = req.params.id;
+    const classId = req.params.id;
 
-    const { data, error } = await supabase
-      .from("report")
-      .select(`
-        *,
-        classes(class_name, course_name, course_code, lecturer),
-        users!report_submitted_by_fkey(name)
-      `)
-      .eq("report_id", reportId)
-      .single();
+    const { data: existingClass, error: fetchError } = await db
+      .from("classes")
+      .select("*")
+      .eq("id", classId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existingClass) return res.status(404).json({ error: "Class not found" });
+
+    if (!can(req.user, "ratings", "read", await classTarget(existingClass, req.user))) {
+      return forbidden(res, "ratings", "read");
+    }
+
+    const { data, error } = await db
+      .from("ratings")
+      .select("week, score, comment, created_at")
+      .eq("class_id", classId)
+      .order("week", { ascending: true });
 
     if (error) throw error;
 
-    // Check if user has permission to view this report
-    if (req.user.role === "lecturer" && data.submitted_by !== req.user.id) {
-      return res.status(403).json({ error: "Not authorized to view this report" });
-    }
-
-    // Transform the data
-    const transformedReport = {
-      id: data.report_id,
-      faculty_name: "Faculty of ICT",
-      class_name: data.classes?.class_name || "Unknown Class",
-      class_id: data.class_id,
-      week_of_reporting: `Week ${data.week}`,
-      date_of_lecture: data.date,
-      course_name: data.classes?.course_name || "Unknown Course",
-      course_code: data.classes?.course_code || "N/A",
-      lecturer_name: data.classes?.lecturer || data.users?.name || "Unknown Lecturer",
-      actual_students_present: data.actual_students,
-      total_registered_students: 50,
-      venue: "Room 101",
-      scheduled_time: "10:00",
-      topic_taught: data.topic,
-      learning_outcomes: data.learning_outcomes,
-      recommendations: data.recommendations,
-      status: "submitted",
-      feedback: "",
-      created_by: data.submitted_by,
-      created_at: data.created_at
-    };
+    res.json({
+      class_id: existingClass.id,
+      class_name: existingClass.class_name,
+      ...summarizeRatings(data || []),
+      ratings: data || [],
+    });
+  } catch (err) {
+    console.error("Fetch Class Ratings Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch class ratings" });
+  }
+});
 
-    res.json(transformedReport);
+// ------------------- NOTIFICATIONS -------------------
+// In-app notifications created by event subscribers below. Users get an
+// email copy too unless they turn email_notifications off.
+
+// Store a notification for each user and email those who opted in
+async function notify(userIds, { type, title, message, link = null, data = null }) {
+  const ids = [...new Set(userIds)].filter(Boolean);
+  if (!ids.length) return;
+
+  const { error } = await db
+    .from("notifications")
+    .insert(ids.map(user_id => ({ user_id, type, title, message, link, data })));
+  if (error) throw error;
+
+  const { data: users, error: userError } = await db
+    .from("users")
+    .select("name, email, email_notifications")
+    .in("user_id", ids);
+  if (userError) throw userError;
+
+  for (const user of users.filter(u => u.email_notifications !== false)) {
+    await sendMail({
+      to: user.email,
+      subject: title,
+      text: `Hi ${user.name},\n\n${message}\n\n${FRONTEND_URL}${link || ""}`,
+    });
+  }
+}
+
+// Active users of a scoped role (PRL/PL) whose stream/programme and faculty
+// cover `scope`; those without one assigned are wider and always included
+async function usersInScope(role, scope) {
+  const field = SCOPE_FIELDS[role];
+  const { data, error } = await db.from("users").select(`user_id, status, faculty_id, ${field}`).eq("role", role);
+  if (error) throw error;
+
+  return data
+    .filter(u => (u.status ?? "active") === "active" && (!u[field] || u[field] === scope[field]))
+    .filter(u => !u.faculty_id || u.faculty_id === scope.faculty_id)
+    .map(u => u.user_id);
+}
+
+async function enrolledStudentIds(classId) {
+  const { data, error } = await db.from("enrolments").select("student_id").eq("class_id", classId);
+  if (error) throw error;
+  return data.map(e => e.student_id);
+}
+
+// New and resubmitted reports go to the PRLs of the course's stream
+events.on("report.submitted", async ({ report, resubmitted = false }) => {
+  const prls = await usersInScope("prl", await courseScope(report.course_code));
+  await notify(prls, {
+    type: "report_submitted",
+    title: `${resubmitted ? "Resubmitted" : "New"} lecture report: ${report.class_name}`,
+    message: `${report.lecturer_name} ${resubmitted ? "resubmitted" : "submitted"} the week ${report.week} report for ${report.class_name} (${report.course_code}).`,
+    link: `/reports/${report.id}`,
+    data: { report_id: report.id, class_id: report.class_id },
+  });
+});
+
+// Forwarded reports go to the PLs of the course's programme
+events.on("report.forwarded", async ({ report }) => {
+  const pls = await usersInScope("pl", await courseScope(report.course_code));
+  await notify(pls, {
+    type: "report_forwarded",
+    title: `Report awaiting approval: ${report.class_name}`,
+    message: `The week ${report.week} report for ${report.class_name} (${report.course_code}) was forwarded for approval.`,
+    link: `/reports/${report.id}`,
+    data: { report_id: report.id, class_id: report.class_id },
+  });
+});
+
+// Feedback and decisions go back to the lecturer who submitted
+const FEEDBACK_EVENTS = { reviewed: "reviewed", returned: "returned for changes", approved: "approved" };
+
+for (const [status, verb] of Object.entries(FEEDBACK_EVENTS)) {
+  events.on(`report.${status}`, async ({ report, actor }) => {
+    const feedback = actor.role === "pl" ? report.pl_feedback : report.feedback;
+    await notify([report.created_by], {
+      type: "report_feedback",
+      title: `Your report was ${verb}: ${report.class_name}`,
+      message:
+        `${actor.name} ${verb} your week ${report.week} report for ${report.class_name}.` +
+        (feedback ? `\n\nFeedback: ${feedback}` : ""),
+      link: `/reports/${report.id}`,
+      data: { report_id: report.id, status: report.status },
+    });
+  });
+}
+
+// PRL/PL registrations wait for the PLs who manage the account
+events.on("user.pending", async ({ user }) => {
+  const { data, error } = await db.from("users").select("user_id, status, faculty_id").eq("role", "pl");
+  if (error) throw error;
+
+  const pls = data.filter(pl => (pl.status ?? "active") === "active" && managesUser(pl, user));
+  await notify(pls.map(pl => pl.user_id), {
+    type: "user_pending",
+    title: `Account awaiting approval: ${user.name}`,
+    message: `${user.name} (${user.email}) registered as ${user.role.toUpperCase()} and needs your approval before they can log in.`,
+    link: `/users/${user.user_id}`,
+    data: { user_id: user.user_id },
+  });
+});
+
+// A new class is announced to its lecturers
+events.on("class.created", async ({ cls, actor }) => {
+  const lecturers = classLecturerIds(cls).filter(id => id !== actor.id);
+  await notify(lecturers, {
+    type: "class_created",
+    title: `New class: ${cls.class_name}`,
+    message: `${actor.name} added ${cls.class_name} (${cls.course_code}) with you as lecturer.` +
+      (cls.schedule ? `\nSchedule: ${cls.schedule}` : ""),
+    link: `/classes/${cls.id}`,
+    data: { class_id: cls.id },
+  });
+});
+
+// Changes reach the enrolled students and the lecturers
+events.on("class.updated", async ({ cls, changes, actor }) => {
+  const recipients = [...(await enrolledStudentIds(cls.id)), ...classLecturerIds(cls)];
+  await notify(recipients.filter(id => id !== actor.id), {
+    type: "class_updated",
+    title: `Class updated: ${cls.class_name}`,
+    message:
+      `${cls.class_name} (${cls.course_code}) was updated: ${changes.join(", ")}.` +
+      (cls.schedule ? `\nSchedule: ${cls.schedule}` : ""),
+    link: `/classes/${cls.id}`,
+    data: { class_id: cls.id, changes },
+  });
+});
+
+const NOTIFICATION_LIST_QUERY = {
+  ...listQueryFields({ sortable: ["created_at"], defaultSort: "created_at" }),
+  unread: boolean(),
+  type: string(),
+};
+
+// The current user's notifications (?unread=true for unread only)
+app.get("/notifications", authenticateToken, validate({ query: NOTIFICATION_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    let query = db.from("notifications").select("*", { count: "exact" }).eq("user_id", req.user.id);
+
+    if (req.query.unread) query = query.is("read_at", null);
+    if (req.query.type) query = query.eq("type", req.query.type);
+    if (list.search) query = query.or(searchFilter(["title", "message"], list.search));
+
+    const { data, error, count } = await applyListQuery(query, list);
+    if (error) throw error;
+
+    sendList(res, data.map(n => ({ ...n, read: Boolean(n.read_at) })), count, list);
   } catch (err) {
-    console.error("Get Report Error:", err.message);
-    res.status(500).json({ error: "Failed to fetch report" });
+    console.error("Fetch Notifications Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch notifications" });
   }
 });
 
-// GET all courses
-app.get("/courses", async (req, res) => {
+app.get("/notifications/unread-count", authenticateToken, validate(), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("courses")
-      .select("*")
-      .order("course_id", { ascending: false });
+    const { count, error } = await db
+      .from("notifications")
+      .select("notification_id", { count: "exact", head: true })
+      .eq("user_id", req.user.id)
+      .is("read_at", null);
 
     if (error) throw error;
-    res.json(data || []);
+    res.json({ unread: count });
   } catch (err) {
-    console.error("Fetch courses error:", err.message);
-    res.status(500).json({ error: "Failed to fetch courses" });
+    console.error("Unread Notifications Error:", err.message);
+    res.status(500).json({ error: "Failed to count notifications" });
   }
 });
 
-// GET single course
-app.get("/courses/:id", async (req, res) => {
-  const { id } = req.params;
+app.post("/notifications/read-all", authenticateToken, validate(), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("courses")
-      .select("*")
-      .eq("course_id", id)
-      .single();
+    const { data, error } = await db
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", req.user.id)
+      .is("read_at", null)
+      .select("notification_id");
 
     if (error) throw error;
-    res.json(data);
+
+    await audit(req, "read_all", "notifications", { after: { updated: data.length } });
+    res.json({ success: true, updated: data.length });
   } catch (err) {
-    console.error("Fetch course error:", err.message);
-    res.status(500).json({ error: "Failed to fetch course" });
+    console.error("Read Notifications Error:", err.message);
+    res.status(500).json({ error: "Failed to mark notifications as read" });
   }
 });
 
-// CREATE course
-app.post("/courses", async (req, res) => {
-  const { course_code, course_name, faculty } = req.body;
+app.post("/notifications/:id/read", authenticateToken, validate({ params: ID_PARAMS }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("courses")
-      .insert([{ course_code, course_name, faculty }])
+    const { data: existing, error: fetchError } = await db
+      .from("notifications")
+      .select("*")
+      .eq("notification_id", req.params.id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) return res.status(404).json({ error: "Notification not found" });
+    if (existing.read_at) return res.json({ success: true, notification: { ...existing, read: true } });
+
+    const { data, error } = await db
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("notification_id", existing.notification_id)
       .select();
 
     if (error) throw error;
-    res.status(201).json(data[0]);
+
+    await audit(req, "read", "notifications", { id: req.params.id });
+    res.json({ success: true, notification: { ...data[0], read: true } });
   } catch (err) {
-    console.error("Create course error:", err.message);
-    res.status(500).json({ error: "Failed to create course" });
+    console.error("Read Notification Error:", err.message);
+    res.status(500).json({ error: "Failed to mark notification as read" });
   }
 });
 
-// UPDATE course
-app.put("/courses/:id", async (req, res) => {
-  const { id } = req.params;
-  const { course_code, course_name, faculty } = req.body;
+app.get("/notifications/preferences", authenticateToken, validate(), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("courses")
-      .update({ course_code, course_name, faculty })
-      .eq("course_id", id)
-      .select();
+    const { data, error } = await db
+      .from("users")
+      .select("email_notifications")
+      .eq("user_id", req.user.id)
+      .single();
 
     if (error) throw error;
-    res.json(data[0]);
+    res.json({ email: data.email_notifications !== false });
   } catch (err) {
-    console.error("Update course error:", err.message);
-    res.status(500).json({ error: "Failed to update course" });
+    console.error("Notification Preferences Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch notification preferences" });
   }
 });
 
-// DELETE course
-app.delete("/courses/:id", async (req, res) => {
-  const { id } = req.params;
+app.put("/notifications/preferences", authenticateToken, validate({ body: { email: boolean({ required: true }) } }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("courses")
-      .delete()
-      .eq("course_id", id)
-      .select();
+    const { error } = await db
+      .from("users")
+      .update({ email_notifications: req.body.email })
+      .eq("user_id", req.user.id);
 
     if (error) throw error;
-    res.json({ message: "Course deleted successfully", course: data[0] });
+
+    await audit(req, "update_preferences", "notifications", { id: req.user.id, after: req.body });
+    res.json({ success: true, email: req.body.email });
   } catch (err) {
-    console.error("Delete course error:", err.message);
-    res.status(500).json({ error: "Failed to delete course" });
+    console.error("Notification Preferences Error:", err.message);
+    res.status(500).json({ error: "Failed to update notification preferences" });
   }
 });
 
-// ------------------- RATINGS -------------------
-// ... Keep your existing ratings routes (unchanged) ...
+// ------------------- LIVE FEED -------------------
+// GET /feed streams changes as Server-Sent Events: report.created,
+// report.updated, class.created, class.updated and class.deleted, each
+// carrying the same record shape as the REST routes. Clients only receive
+// events for records they could read through /reports and /classes.
+//
+// EventSource can't send headers, so this route also takes the access token
+// as ?access_token=. The stream ends with an "expired" event when the token
+// does; reconnect with a fresh token and ?last_event_id= (or the
+// Last-Event-ID header) to pick up where it stopped.
+
+const feed = createEventStream();
+
+// Filters need the owners and course scope of the record; work them out
+// once when the event is published
+async function publishFeed(event, resource, record, ownerIds) {
+  const scope = await courseScope(record.course_code);
+  feed.publish({ event, data: record, resource, target: { ownerIds, ...scope } });
+}
+
+function canSeeFeedEvent(user, { resource, target: { ownerIds, ...scope } }) {
+  return can(user, resource, "read", { owned: ownerIds.includes(user.id), ...scope });
+}
+
+events.on("report.submitted", ({ report, resubmitted = false }) =>
+  publishFeed(resubmitted ? "report.updated" : "report.created", "reports", report, [report.created_by])
+);
+
+for (const name of [...REPORT_STATUSES.filter(s => s !== "submitted" && s !== "draft").map(s => `report.${s}`), "report.edited"]) {
+  events.on(name, ({ report }) => publishFeed("report.updated", "reports", report, [report.created_by]));
+}
+
+for (const name of ["class.created", "class.updated", "class.deleted"]) {
+  events.on(name, ({ cls, changes }) =>
+    publishFeed(name, "classes", changes ? { ...cls, changes } : cls, [cls.created_by_id, ...classLecturerIds(cls)])
+  );
+}
+
+// Only this route accepts the token in the query string
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+const FEED_QUERY = { access_token: string({ trim: false }), last_event_id: integer({ min: 0 }) };
+
+app.get("/feed", tokenFromQuery, authenticateToken, validate({ query: FEED_QUERY }), (req, res) => {
+  const header = req.headers["last-event-id"];
+  const lastEventId = /^\d+$/.test(header ?? "") ? Number(header) : req.query.last_event_id;
+
+  const close = feed.subscribe(req, res, { lastEventId, filter: entry => canSeeFeedEvent(req.user, entry) });
+
+  const { exp } = jwt.decode(req.headers.authorization.split(" ")[1]);
+  const expiry = setTimeout(() => close("expired"), Math.max(exp * 1000 - Date.now(), 0));
+  req.on("close", () => clearTimeout(expiry));
+});
+
+// ------------------- COMPLIANCE -------------------
+// Which weekly reports each active class has submitted, is late with, or is
+// missing. A report is late when it was submitted more than
+// REPORT_DEADLINE_DAYS after the end of its lecture day; drafts count as
+// missing. Lecturers are reminded of missing reports once per class and week.
+
+const REPORT_DEADLINE_DAYS = parseInt(process.env.REPORT_DEADLINE_DAYS) || 2;
+// How often the reminder job runs; 0 turns it off
+const REMINDER_INTERVAL_HOURS = parseFloat(process.env.REMINDER_INTERVAL_HOURS ?? "24");
+
+function isLateReport(report) {
+  const deadline = new Date(`${report.date}T00:00:00Z`);
+  deadline.setUTCDate(deadline.getUTCDate() + 1 + REPORT_DEADLINE_DAYS);
+  return new Date(report.submitted_at ?? report.created_at) > deadline;
+}
+
+// Last teaching week whose deadline has passed: week N is due once its last
+// day plus REPORT_DEADLINE_DAYS is over
+function lastDueWeek(semesterStart) {
+  const cutoff = new Date(Date.now() - REPORT_DEADLINE_DAYS * 86400000);
+  if (new Date(`${semesterStart}T00:00:00Z`) > cutoff) return 0;
+  return teachingWeek(semesterStart, cutoff) - 1;
+}
+
+function percentage(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// Counts over a list of week cells; weeks not yet due are left out until
+// they have a report
+function complianceTotals(weeks) {
+  const due = weeks.filter(w => w.status !== "pending");
+  const late = due.filter(w => w.status === "late").length;
+  const missing = due.filter(w => w.status === "missing").length;
+  const submitted = due.length - missing;
+
+  return {
+    expected: due.length,
+    submitted,
+    on_time: submitted - late,
+    late,
+    missing,
+    compliance_rate: percentage(submitted, due.length),
+    on_time_rate: percentage(submitted - late, due.length),
+  };
+}
+
+// Active classes the user may see, optionally narrowed by course, lecturer,
+// semester or faculty
+async function complianceClasses(user, { course_code, lecturer_id, semester_id, faculty_id } = {}) {
+  let query = db
+    .from("classes")
+    .select(`id, class_name, course_code, lecturer_id, created_by_id, ${CLASS_PEOPLE}`)
+    .eq("status", "active");
+
+  const classIds = await scopedClassIds(user, "compliance", "read");
+  if (classIds) query = query.in("id", classIds);
+  if (course_code) query = query.eq("course_code", course_code);
+  if (lecturer_id) query = query.in("id", await lecturerClassIds(lecturer_id));
+  if (semester_id) query = query.eq("semester_id", semester_id);
+  if (faculty_id) query = query.eq("faculty_id", faculty_id);
+
+  const { data, error } = await query.order("class_name");
+  if (error) throw error;
+
+  const classes = await withLecturers(data);
+  return permission(user, "compliance", "read") === "own" ? classes.filter(c => isClassOwner(c, user)) : classes;
+}
+
+// Per-class and per-lecturer compliance for weeks 1..weeks_elapsed.
+// Weeks elapsed comes from ?weeks_elapsed, else teachingProgress (weeks
+// still within their deadline then show as "pending"), else the latest week
+// reported. ?semester_id also narrows to that semester's classes and reports.
+const COMPLIANCE_QUERY = {
+  weeks_elapsed: integer({ min: 1 }),
+  semester_start: date(),
+  semester_id: id(),
+  course_code: string(),
+  lecturer_id: id(),
+  faculty_id: id(),
+};
+
+app.get("/compliance", authenticateToken, authorize("compliance", "read"), validate({ query: COMPLIANCE_QUERY }), async (req, res) => {
+  try {
+    const classes = await complianceClasses(req.user, req.query);
+
+    let reports = [];
+    if (classes.length) {
+      let query = db
+        .from("report")
+        .select("report_id, class_id, week, date, status, submitted_at, created_at")
+        .in("class_id", classes.map(c => c.id))
+        .neq("status", "draft");
+      if (req.query.semester_id) query = query.eq("semester_id", req.query.semester_id);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      reports = data;
+    }
+
+    const progress = req.query.weeks_elapsed ? null : await teachingProgress(req.query);
+    const weeksElapsed = req.query.weeks_elapsed ?? progress?.elapsed ?? Math.max(0, ...reports.map(r => r.week || 0));
+    // Only weeks computed from a calendar can still be within their deadline
+    const dueWeeks = progress ? progress.due : weeksElapsed;
+    const reportsByClass = groupItems(reports, r => r.class_id);
+
+    const classRows = classes.map(cls => {
+      const byWeek = new Map((reportsByClass.get(cls.id) || []).map(r => [r.week, r]));
+      const weeks = [];
+      for (let week = 1; week <= weeksElapsed; week++) {
+        const report = byWeek.get(week);
+        if (!report) {
+          weeks.push({ week, status: week > dueWeeks ? "pending" : "missing" });
+          continue;
+        }
+        weeks.push({
+          week,
+          status: isLateReport(report) ? "late" : "submitted",
+          report_id: report.report_id,
+          report_status: report.status,
+          submitted_at: report.submitted_at ?? report.created_at,
+        });
+      }
+
+      return {
+        class_id: cls.id,
+        class_name: cls.class_name,
+        course_code: cls.course_code,
+        lecturer_id: cls.lecturer_id,
+        lecturer: cls.lecturer,
+        ...complianceTotals(weeks),
+        weeks,
+      };
+    });
+
+    // Classes count towards their lead lecturer
+    const byLecturer = groupItems(classRows, c => c.lecturer_id);
+    const lecturers = [...byLecturer.values()].map(rows => ({
+      lecturer_id: rows[0].lecturer_id,
+      lecturer: rows[0].lecturer,
+      classes: rows.length,
+      ...complianceTotals(rows.flatMap(r => r.weeks)),
+    }));
+    lecturers.sort((a, b) => (a.compliance_rate ?? 100) - (b.compliance_rate ?? 100));
+
+    res.json({
+      weeks_elapsed: weeksElapsed,
+      deadline_days: REPORT_DEADLINE_DAYS,
+      overall: complianceTotals(classRows.flatMap(r => r.weeks)),
+      lecturers,
+      classes: classRows,
+    });
+  } catch (err) {
+    console.error("Compliance Error:", err.message);
+    res.status(500).json({ error: "Failed to compute report compliance" });
+  }
+});
+
+// Notify lecturers of reports missing for weeks whose deadline has passed.
+// Needs SEMESTER_START or a semester running today (whose classes, and
+// classes without a semester, are reminded); each class/week is reminded at
+// most once (tracked in report_reminders). Returns { classes, weeks } reminded.
+async function sendReportReminders(classIds = null) {
+  const progress = await teachingProgress({});
+  if (!progress) return { classes: 0, weeks: 0, skipped: "No semester is running and SEMESTER_START is not set" };
+
+  const dueWeeks = progress.due;
+  if (dueWeeks < 1) return { classes: 0, weeks: 0 };
+
+  let query = db.from("classes").select("id, class_name, course_code, lecturer_id").eq("status", "active");
+  if (classIds) query = query.in("id", classIds);
+  if (progress.semester_id) query = query.or(`semester_id.is.null,semester_id.eq.${progress.semester_id}`);
+  const { data: classes, error } = await query;
+  if (error) throw error;
+  if (!classes.length) return { classes: 0, weeks: 0 };
+
+  const ids = classes.map(c => c.id);
+  const coLecturers = await loadCoLecturers(ids);
+  const { data: reports, error: reportError } = await db
+    .from("report")
+    .select("class_id, week")
+    .in("class_id", ids)
+    .neq("status", "draft");
+  if (reportError) throw reportError;
+  const { data: reminders, error: reminderError } = await db
+    .from("report_reminders")
+    .select("class_id, week")
+    .in("class_id", ids);
+  if (reminderError) throw reminderError;
+
+  const done = new Set([...reports, ...reminders].map(r => `${r.class_id}:${r.week}`));
+  const summary = { classes: 0, weeks: 0 };
+
+  for (const cls of classes) {
+    const missing = [];
+    for (let week = 1; week <= dueWeeks; week++) if (!done.has(`${cls.id}:${week}`)) missing.push(week);
+    if (!missing.length) continue;
+
+    // Record first so a failed email never causes a second reminder
+    const { error: insertError } = await db
+      .from("report_reminders")
+      .insert(missing.map(week => ({ class_id: cls.id, week })));
+    if (insertError) throw insertError;
+
+    const label = missing.length === 1 ? `week ${missing[0]}` : `weeks ${missing.join(", ")}`;
+    await notify(classLecturerIds({ ...cls, co_lecturers: coLecturers.get(cls.id) }), {
+      type: "report_reminder",
+      title: `Missing lecture report: ${cls.class_name}`,
+      message: `No report has been submitted for ${cls.class_name} (${cls.course_code}) for ${label}. Reports are due ${REPORT_DEADLINE_DAYS} day(s) after the lecture.`,
+      link: `/reports/new?class_id=${cls.id}`,
+      data: { class_id: cls.id, weeks: missing },
+    });
+
+    summary.classes += 1;
+    summary.weeks += missing.length;
+  }
+
+  return summary;
+}
+
+// Run the reminder job now for the classes in the user's scope
+app.post("/compliance/reminders", authenticateToken, authorize("compliance", "remind"), validate(), async (req, res) => {
+  try {
+    const result = await sendReportReminders(await scopedClassIds(req.user, "compliance", "remind"));
+    if (result.skipped) return res.status(409).json({ error: "Reminders are not configured", reason: result.skipped });
+
+    await audit(req, "remind", "compliance", { after: result });
+    res.json({ success: true, reminded: result });
+  } catch (err) {
+    console.error("Report Reminder Error:", err.message);
+    res.status(500).json({ error: "Failed to send report reminders" });
+  }
+});
+
+// ------------------- AUDIT LOG -------------------
+
+// History of mutations (PL only).
+// Filters: ?user_id, ?resource, ?resource_id, ?action, ?date_from, ?date_to
+const AUDIT_LIST_QUERY = {
+  ...listQueryFields({ sortable: ["created_at", "action", "resource"], defaultSort: "created_at" }),
+  user_id: id(),
+  resource: string(),
+  resource_id: string(),
+  action: string(),
+  date_from: date(),
+  date_to: date(),
+};
+
+app.get("/audit-log", authenticateToken, authorize("audit", "read"), validate({ query: AUDIT_LIST_QUERY }), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    const { user_id, resource, resource_id, action, date_from, date_to } = req.query;
+
+    let query = db
+      .from("audit_log")
+      .select("*, users!audit_log_actor_id_fkey(name, email)", { count: "exact" });
+
+    if (user_id) query = query.eq("actor_id", user_id);
+    if (resource) query = query.eq("resource", resource);
+    if (resource_id) query = query.eq("resource_id", resource_id);
+    if (action) query = query.eq("action", action);
+    if (date_from) query = query.gte("created_at", new Date(`${date_from}T00:00:00Z`).toISOString());
+    if (date_to) {
+      // date_to is inclusive: everything before the next midnight
+      const end = new Date(`${date_to}T00:00:00Z`);
+      end.setUTCDate(end.getUTCDate() + 1);
+      query = query.lt("created_at", end.toISOString());
+    }
+    if (list.search) query = query.or(searchFilter(["action", "resource", "resource_id"], list.search));
+
+    const { data, error, count } = await applyListQuery(query, list);
+    if (error) throw error;
+
+    const entries = data.map(({ users, ...entry }) => ({
+      ...entry,
+      actor_name: users?.name ?? null,
+      actor_email: users?.email ?? null,
+    }));
+
+    sendList(res, entries, count, list);
+  } catch (err) {
+    console.error("Fetch Audit Log Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
 
 // ------------------- SYSTEM -------------------
 app.get("/health", (req, res) =>
@@ -656,5 +5264,53 @@ app.get("/health", (req, res) =>
 
 app.get("/", (req, res) => res.send("📡 LUCT Reporting System Backend is running!"));
 
+// ------------------- API DOCS -------------------
+// The OpenAPI document is generated from the routes above (see
+// lib/openapi.js), so it must stay the last section that adds routes.
+// Routes and docs that disagree are listed at startup; OPENAPI_STRICT=true
+// makes that fatal, for CI.
+
+let openApiDocument;
+
+app.get("/openapi.json", (req, res) => {
+  openApiDocument ??= buildOpenApi(app, {
+    info: {
+      title: "LUCT Reporting System API",
+      version: "1.0.0",
+      description:
+        "Errors are { error }. Validation failures are 400 { error, fields }, role checks fail with 403 { error, resource, action } and rate limits with 429 { error, retry_after }.",
+    },
+    docs: API_DOCS,
+    schemas: API_SCHEMAS,
+    authenticate: authenticateToken,
+    rateLimited: RATE_LIMIT_MAX > 0,
+  });
+  res.json(openApiDocument);
+});
+
+app.get("/docs", (req, res) => res.type("html").send(docsPage("/openapi.json", "LUCT Reporting System API")));
+
+const docDrift = findDocDrift(app, API_DOCS);
+if (docDrift.length) {
+  for (const problem of docDrift) console.warn(`⚠️ API docs: ${problem}`);
+  if (process.env.OPENAPI_STRICT === "true") {
+    console.error("❌ API docs are out of date with the routes");
+    process.exit(1);
+  }
+}
+
+// Tests import the app and listen on a port of their own
+export { app, db, dbReady };
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on http://localhost:${PORT}`));
\ No newline at end of file
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  dbReady.then(() => {
+    app.listen(PORT, () => console.log(`🚀 Server running on http://localhost:${PORT}`));
+
+    if (REMINDER_INTERVAL_HOURS > 0) {
+      const runReminders = () =>
+        sendReportReminders().catch(err => console.error("Report Reminder Error:", err.message));
+      setInterval(runReminders, REMINDER_INTERVAL_HOURS * 3600000).unref();
+    }
+  });
+}
\ No newline at end of file
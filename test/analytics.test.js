@@ -0,0 +1,55 @@
+// test/analytics.test.js
+// Report analytics, limited to the caller's scope
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+
+// A second faculty with its own course, class and lecturer, and a lecturer
+// in the Faculty of ICT who teaches nothing
+before(async () => {
+  api = await startApi();
+
+  const { data: faculties } = await api.db.from("faculties").insert([{ name: "Faculty of Design", code: "FD" }]).select();
+  const faculty_id = faculties[0].faculty_id;
+
+  const { data: users } = await api.db
+    .from("users")
+    .insert([
+      { name: "Dana Designer", email: "dana@luct.test", role: "lecturer", faculty_id, status: "active" },
+      { name: "Ian Idle", email: "ian@luct.test", role: "lecturer", faculty_id: 1, status: "active" },
+    ])
+    .select("user_id, name");
+
+  await api.db.from("courses").insert([
+    { course_code: "DSGN1101", course_name: "Design Basics", faculty_id, programme: "Design", stream: "Graphic Design" },
+  ]);
+  await api.db.from("classes").insert([
+    {
+      class_name: "DSGN Y1",
+      course_name: "Design Basics",
+      course_code: "DSGN1101",
+      lecturer_id: users.find(u => u.name === "Dana Designer").user_id,
+      faculty_id,
+      status: "active",
+    },
+  ]);
+});
+
+after(() => api.close());
+
+test("submission analytics list only the lecturers of classes in scope", async () => {
+  const names = async who => {
+    const { status, body } = await api.request("GET", "/analytics/submissions", { token: await api.login(who) });
+    assert.equal(status, 200);
+    return body.map(row => row.lecturer_name).sort();
+  };
+
+  assert.deepEqual(await names("prl"), ["Lee Lecturer"]);
+  assert.deepEqual(await names("pl"), ["Lee Lecturer"]);
+
+  // A PL without a faculty or programme sees every lecturer
+  await api.db.from("users").update({ faculty_id: null, programme: null }).eq("email", "pl@luct.test");
+  assert.deepEqual(await names("pl"), ["Dana Designer", "Ian Idle", "Lee Lecturer"]);
+});
@@ -0,0 +1,97 @@
+// test/attachments.test.js
+// Files on reports: type and size limits, who may read them, and when the
+// author may still change them
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startApi } from "./helpers.js";
+
+let api;
+let reportId;
+const tokens = {};
+
+// 10 KB per file and two files per report keep the limits cheap to reach
+before(async () => {
+  api = await startApi({ ATTACHMENT_MAX_MB: "0.01", ATTACHMENTS_PER_REPORT: "2" });
+  await api.addUser({ name: "Olive Other", email: "olive@luct.test", role: "lecturer" });
+  for (const who of ["lecturer", "olive", "prl"]) tokens[who] = await api.login(who);
+
+  const { body } = await api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: { class_id: 1, week: 1, date: "2026-03-02", topic: "Routing", actual_students: 30 },
+  });
+  reportId = body.report.id;
+});
+
+after(() => api.close());
+
+const upload = (who, filename, body, type = "text/plain") =>
+  api.request("POST", `/reports/${reportId}/attachments?filename=${encodeURIComponent(filename)}`, {
+    token: tokens[who],
+    body: Buffer.from(body),
+    type,
+  });
+
+const attachments = who => api.request("GET", `/reports/${reportId}/attachments`, { token: tokens[who] });
+
+test("uploads are checked for content, type, extension and size", async () => {
+  assert.equal((await upload("lecturer", "empty.txt", "")).status, 400);
+  assert.equal((await upload("lecturer", "run.sh", "echo hi", "application/x-sh")).status, 415);
+
+  const misnamed = await upload("lecturer", "slides.pdf", "Register", "text/plain");
+  assert.equal(misnamed.status, 400);
+  assert.equal(misnamed.body.fields[0].message, "must end in .txt for text/plain");
+
+  const tooLarge = await upload("lecturer", "big.txt", "x".repeat(20 * 1024));
+  assert.equal(tooLarge.status, 413);
+
+  assert.equal((await upload("olive", "notes.txt", "Not my report")).status, 403);
+  assert.deepEqual((await attachments("lecturer")).body, []);
+});
+
+test("the report's readers list and download attachments", async () => {
+  const created = await upload("lecturer", "Résumé/notes.txt", "Week 1 register");
+  assert.equal(created.status, 201);
+  const { attachment } = created.body;
+  assert.equal(attachment.filename, "Résumé_notes.txt");
+  assert.equal(attachment.size_bytes, 15);
+  assert.equal(attachment.uploaded_by_name, "Lee Lecturer");
+
+  const listed = await attachments("prl");
+  assert.deepEqual(listed.body.map(a => a.attachment_id), [attachment.attachment_id]);
+
+  const url = `/reports/${reportId}/attachments/${attachment.attachment_id}`;
+  const download = await api.request("GET", url, { token: tokens.prl });
+  assert.equal(download.status, 200);
+  assert.equal(download.body, "Week 1 register");
+  assert.equal(download.headers.get("content-disposition"), `attachment; filename="R_sum__notes.txt"; filename*=UTF-8''R%C3%A9sum%C3%A9_notes.txt`);
+  assert.equal(download.headers.get("x-content-type-options"), "nosniff");
+
+  assert.equal((await attachments("olive")).status, 403);
+  assert.equal((await api.request("GET", url, { token: tokens.olive })).status, 403);
+  assert.equal((await api.request("DELETE", url, { token: tokens.prl })).status, 403);
+});
+
+test("a report holds a limited number of attachments, and deleting one frees its file", async () => {
+  const second = await upload("lecturer", "photo.png", "not really a png", "image/png");
+  assert.equal(second.status, 201);
+  assert.equal((await upload("lecturer", "third.txt", "One too many")).status, 409);
+
+  const url = `/reports/${reportId}/attachments/${second.body.attachment.attachment_id}`;
+  assert.equal((await api.request("DELETE", url, { token: tokens.lecturer })).status, 200);
+  assert.equal((await api.request("GET", url, { token: tokens.lecturer })).status, 404);
+
+  const stored = fs.readdirSync(path.join(api.dir, "uploads", "reports", String(reportId)));
+  assert.equal(stored.length, 1);
+});
+
+test("attachments are fixed once a reviewer picks the report up", async () => {
+  const reviewed = await api.request("POST", `/reports/${reportId}/review`, { token: tokens.prl, body: { feedback: "Fine" } });
+  assert.equal(reviewed.status, 200);
+
+  assert.equal((await upload("lecturer", "late.txt", "Too late")).status, 409);
+  const [kept] = (await attachments("lecturer")).body;
+  const removed = await api.request("DELETE", `/reports/${reportId}/attachments/${kept.attachment_id}`, { token: tokens.lecturer });
+  assert.equal(removed.status, 409);
+});
@@ -0,0 +1,120 @@
+// test/auth.test.js
+// Login, sessions and registration against the API on the memory driver
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.close());
+
+test("login returns a token pair for the right password only", async () => {
+  const ok = await api.request("POST", "/login", { body: { email: "lecturer@luct.test", password: "password123" } });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.token);
+  assert.match(ok.body.refresh_token, /^[^.]+\.[^.]+$/);
+  assert.deepEqual(ok.body.user, { id: 3, name: "Lee Lecturer", email: "lecturer@luct.test", role: "lecturer" });
+
+  const wrong = await api.request("POST", "/login", { body: { email: "lecturer@luct.test", password: "not-the-password" } });
+  assert.equal(wrong.status, 401);
+
+  const unknown = await api.request("POST", "/login", { body: { email: "nobody@luct.test", password: "password123" } });
+  assert.equal(unknown.status, 401);
+
+  const invalid = await api.request("POST", "/login", { body: { email: "lecturer@luct.test" } });
+  assert.equal(invalid.status, 400);
+});
+
+test("protected routes need a valid token", async () => {
+  assert.equal((await api.request("GET", "/profile")).status, 401);
+  assert.equal((await api.request("GET", "/profile", { token: "garbage" })).status, 403);
+
+  const token = await api.login("prl");
+  const profile = await api.request("GET", "/profile", { token });
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.email, "prl@luct.test");
+  assert.equal(profile.body.role, "prl");
+  assert.equal(profile.body.password, undefined);
+});
+
+test("refresh tokens rotate and a reused one ends the session", async () => {
+  const { body: login } = await api.request("POST", "/login", { body: { email: "student@luct.test", password: "password123" } });
+
+  const refreshed = await api.request("POST", "/token/refresh", { body: { refresh_token: login.refresh_token } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refresh_token, login.refresh_token);
+
+  const reused = await api.request("POST", "/token/refresh", { body: { refresh_token: login.refresh_token } });
+  assert.equal(reused.status, 401);
+
+  // The whole session is gone, including the rotated token
+  const after = await api.request("POST", "/token/refresh", { body: { refresh_token: refreshed.body.refresh_token } });
+  assert.equal(after.status, 401);
+  assert.equal((await api.request("GET", "/profile", { token: refreshed.body.token })).status, 401);
+});
+
+test("logout revokes the session", async () => {
+  const token = await api.login("pl");
+  assert.equal((await api.request("POST", "/logout", { token })).status, 200);
+  assert.equal((await api.request("GET", "/profile", { token })).status, 401);
+});
+
+test("registered leaders wait for approval before they can log in", async () => {
+  const body = { name: "New Leader", email: "new.pl@luct.test", password: "a-long-password", role: "pl" };
+
+  const registered = await api.request("POST", "/register", { body });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.user.status, "pending");
+
+  assert.equal((await api.request("POST", "/register", { body })).status, 400, "emails are unique");
+
+  const login = await api.request("POST", "/login", { body: { email: body.email, password: body.password } });
+  assert.equal(login.status, 403);
+  assert.match(login.body.error, /awaiting approval/);
+});
+
+test("registered students are active but must verify their email", async () => {
+  const body = { name: "New Student", email: "new.student@luct.test", password: "a-long-password", role: "student" };
+
+  const registered = await api.request("POST", "/register", { body });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.user.status, "active");
+
+  const login = await api.request("POST", "/login", { body: { email: body.email, password: body.password } });
+  assert.equal(login.status, 403);
+  assert.match(login.body.error, /verify your email/);
+});
+
+test("a reset link works once, even when used several times at once", async () => {
+  const forgot = await api.request("POST", "/password/forgot", { body: { email: "student@luct.test" } });
+  assert.equal(forgot.status, 200);
+
+  const mail = api.mails().findLast(message => message.to === "student@luct.test");
+  const token = mail.text.match(/reset-password\?token=([\w-]+)/)[1];
+
+  const reset = password => api.request("POST", "/password/reset", { body: { token, password } });
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => reset(`new-password-${n}`)));
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 400, 400, 400, 400]);
+});
+
+test("emails match however they are capitalised", async () => {
+  const body = { name: "Casey Caps", email: "Casey.Caps@LUCT.test", password: "a-long-password", role: "student" };
+
+  const registered = await api.request("POST", "/register", { body });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.user.email, "casey.caps@luct.test");
+
+  const again = await api.request("POST", "/register", { body: { ...body, email: "casey.caps@luct.test" } });
+  assert.equal(again.status, 400);
+
+  // Found (so refused for the unverified address), not "Invalid credentials"
+  const login = await api.request("POST", "/login", { body: { email: "CASEY.caps@luct.test", password: body.password } });
+  assert.equal(login.status, 403);
+
+  const lecturer = await api.request("POST", "/login", { body: { email: "Lecturer@LUCT.test", password: "password123" } });
+  assert.equal(lecturer.status, 200);
+});
@@ -0,0 +1,69 @@
+// test/calendar.test.js
+// Teaching weeks of a semester, around breaks, its edges and weekends
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { academicCalendar, teachingWeeks, weekOfDate, weeksStarted, weeksEnded } from "../lib/calendar.js";
+
+// Monday 2 February to Sunday 8 March 2026: a week-long holiday in the
+// third block and exams over the first three days of the last
+const semester = { name: "Semester 1 2026", start_date: "2026-02-02", end_date: "2026-03-08" };
+const breaks = [
+  { name: "Exams", kind: "exam", start_date: "2026-03-02", end_date: "2026-03-04" },
+  { name: "Mid-term break", kind: "holiday", start_date: "2026-02-16", end_date: "2026-02-20" },
+];
+const calendar = academicCalendar(semester, breaks);
+
+test("a block with no weekday outside a break takes no week number", () => {
+  assert.deepEqual(teachingWeeks(semester, breaks), [
+    { week: 1, start_date: "2026-02-02", end_date: "2026-02-08" },
+    { week: 2, start_date: "2026-02-09", end_date: "2026-02-15" },
+    { week: 3, start_date: "2026-02-23", end_date: "2026-03-01" },
+    { week: 4, start_date: "2026-03-02", end_date: "2026-03-08" },
+  ]);
+  assert.equal(teachingWeeks(semester).length, 5);
+  assert.deepEqual(calendar.breaks.map(b => b.name), ["Mid-term break", "Exams"]);
+});
+
+test("the last week ends with the semester and a weekend-only tail is no week", () => {
+  const short = teachingWeeks({ start_date: "2026-02-02", end_date: "2026-02-10" });
+  assert.deepEqual(short[1], { week: 2, start_date: "2026-02-09", end_date: "2026-02-10" });
+
+  // Saturday 7 to Sunday 15 February: the second block is 14-15 February
+  const weekendTail = teachingWeeks({ start_date: "2026-02-07", end_date: "2026-02-15" });
+  assert.deepEqual(weekendTail, [{ week: 1, start_date: "2026-02-07", end_date: "2026-02-13" }]);
+});
+
+test("weekOfDate numbers days in teaching weeks, weekends included", () => {
+  assert.deepEqual(weekOfDate(calendar, "2026-02-02"), { week: 1 });
+  assert.deepEqual(weekOfDate(calendar, "2026-02-07"), { week: 1 });
+  assert.deepEqual(weekOfDate(calendar, "2026-02-15"), { week: 2 });
+  assert.deepEqual(weekOfDate(calendar, "2026-02-23"), { week: 3 });
+  assert.deepEqual(weekOfDate(calendar, "2026-03-05"), { week: 4 });
+  assert.deepEqual(weekOfDate(calendar, "2026-03-08"), { week: 4 });
+});
+
+test("weekOfDate explains days outside the semester, in breaks or between weeks", () => {
+  assert.deepEqual(weekOfDate(calendar, "2026-02-01"), {
+    error: "is outside Semester 1 2026 (2026-02-02 to 2026-03-08)",
+  });
+  assert.match(weekOfDate(calendar, "2026-03-09").error, /^is outside/);
+  assert.deepEqual(weekOfDate(calendar, "2026-02-18"), { error: "falls in Mid-term break (holiday)" });
+  assert.deepEqual(weekOfDate(calendar, "2026-03-02"), { error: "falls in Exams (exam period)" });
+
+  // The weekend after the holiday belongs to the skipped block
+  assert.deepEqual(weekOfDate(calendar, "2026-02-21"), { error: "is not in a teaching week" });
+});
+
+test("weeksStarted and weeksEnded count weeks by their first and last days", () => {
+  assert.equal(weeksStarted(calendar, "2026-02-01"), 0);
+  assert.equal(weeksStarted(calendar, "2026-02-02"), 1);
+  assert.equal(weeksStarted(calendar, "2026-02-20"), 2);
+  assert.equal(weeksStarted(calendar, "2026-02-23"), 3);
+  assert.equal(weeksStarted(calendar, "2026-12-31"), 4);
+
+  assert.equal(weeksEnded(calendar, "2026-02-08"), 0);
+  assert.equal(weeksEnded(calendar, "2026-02-09"), 1);
+  assert.equal(weeksEnded(calendar, "2026-02-22"), 2);
+  assert.equal(weeksEnded(calendar, "2026-03-08"), 3);
+  assert.equal(weeksEnded(calendar, "2026-03-09"), 4);
+});
@@ -0,0 +1,58 @@
+// test/classes.test.js
+// Who may delete a class, and when
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+const tokens = {};
+
+before(async () => {
+  api = await startApi();
+  await api.addUser({ name: "Cole Colecturer", email: "co@luct.test", role: "lecturer" });
+  for (const who of ["pl", "lecturer", "co"]) tokens[who] = await api.login(who);
+});
+
+after(() => api.close());
+
+// A class led by the seeded lecturer with the co-lecturer alongside
+async function sharedClass(class_name) {
+  const { body: co } = await api.request("GET", "/profile", { token: tokens.co });
+  const res = await api.request("POST", "/classes", {
+    token: tokens.lecturer,
+    body: {
+      class_name,
+      course_name: "Database Systems",
+      course_code: "DBDS2111",
+      co_lecturer_ids: [co.user_id],
+    },
+  });
+  assert.equal(res.status, 201);
+  return res.body.class.id;
+}
+
+const remove = (who, id) => api.request("DELETE", `/classes/${id}`, { token: tokens[who] });
+
+test("co-lecturers can't delete a class; its lead can", async () => {
+  const id = await sharedClass("DBDS Y2 Group A");
+
+  assert.equal((await remove("co", id)).status, 403);
+  assert.equal((await remove("lecturer", id)).status, 200);
+  assert.equal((await remove("lecturer", id)).status, 404);
+});
+
+test("classes with reports are kept, even for a PL", async () => {
+  const id = await sharedClass("DBDS Y2 Group B");
+  const report = await api.request("POST", "/reports", {
+    token: tokens.co,
+    body: { class_id: id, week: 1, date: "2026-03-02", topic: "Normal forms", actual_students: 0 },
+  });
+  assert.equal(report.status, 201);
+
+  const refused = await remove("lecturer", id);
+  assert.equal(refused.status, 409);
+  assert.equal((await remove("pl", id)).status, 409);
+
+  const { count } = await api.db.from("report").select("*", { count: "exact", head: true }).eq("class_id", id);
+  assert.equal(count, 1);
+});
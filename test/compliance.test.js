@@ -0,0 +1,105 @@
+// test/compliance.test.js
+// Which weekly reports active classes have submitted, late or not at all,
+// and the reminders for the missing ones
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let otherClass;
+const tokens = {};
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+// Teaching started four weeks ago, so weeks 1-3 are past their deadline.
+// The seeded class has week 1 on time, week 2 late and week 3 only as a
+// draft; another lecturer's Data Science class has nothing, and a third,
+// inactive class is left out.
+before(async () => {
+  api = await startApi({ SEMESTER_START: daysAgo(28) });
+  await api.addUser({ name: "Olive Other", email: "olive@luct.test", role: "lecturer" });
+  for (const who of ["lecturer", "olive", "prl", "pl"]) tokens[who] = await api.login(who);
+
+  const addClass = async class_name => {
+    const { body } = await api.request("POST", "/classes", {
+      token: tokens.olive,
+      body: { class_name, course_name: "Database Systems", course_code: "DBDS2111" },
+    });
+    return body.class.id;
+  };
+  otherClass = await addClass("DBDS Y2 Group A");
+  const inactive = await addClass("DBDS Y1 Group A");
+  await api.db.from("classes").update({ status: "inactive" }).eq("id", inactive);
+
+  const report = body =>
+    api.request("POST", "/reports", { token: tokens.lecturer, body: { class_id: 1, topic: "Routing", actual_students: 30, ...body } });
+  assert.equal((await report({ week: 1, date: daysAgo(1) })).status, 201);
+  assert.equal((await report({ week: 2, date: daysAgo(20) })).status, 201);
+  assert.equal((await report({ week: 3, date: daysAgo(14), draft: true })).status, 201);
+});
+
+after(() => api.close());
+
+test("a class gets one report per week", async () => {
+  const duplicate = await api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: { class_id: 1, week: 1, date: daysAgo(1), topic: "Routing again", actual_students: 30 },
+  });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error, "A report for week 1 of this class already exists");
+});
+
+test("compliance marks each week submitted, late or missing, per class and lecturer", async () => {
+  const res = await api.request("GET", "/compliance?weeks_elapsed=3", { token: tokens.pl });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.classes.map(c => c.class_name), ["BSCSM Y2 Group A", "DBDS Y2 Group A"]);
+
+  const [seeded, other] = res.body.classes;
+  assert.deepEqual(seeded.weeks.map(w => w.status), ["submitted", "late", "missing"]);
+  assert.equal(seeded.compliance_rate, 66.7);
+  assert.equal(seeded.on_time_rate, 33.3);
+  assert.deepEqual(other.weeks.map(w => w.status), ["missing", "missing", "missing"]);
+
+  assert.deepEqual(res.body.overall, {
+    expected: 6,
+    submitted: 2,
+    on_time: 1,
+    late: 1,
+    missing: 4,
+    compliance_rate: 33.3,
+    on_time_rate: 16.7,
+  });
+
+  // Least compliant first
+  assert.deepEqual(res.body.lecturers.map(l => [l.lecturer, l.compliance_rate]), [
+    ["Olive Other", 0],
+    ["Lee Lecturer", 66.7],
+  ]);
+});
+
+test("lecturers see their own classes and PRLs their stream's", async () => {
+  const own = await api.request("GET", "/compliance?weeks_elapsed=3", { token: tokens.olive });
+  assert.deepEqual(own.body.classes.map(c => c.class_id), [otherClass]);
+
+  const stream = await api.request("GET", "/compliance", { token: tokens.prl });
+  assert.deepEqual(stream.body.classes.map(c => c.class_id), [1]);
+  assert.equal(stream.body.weeks_elapsed, 5);
+});
+
+test("reminders go out once per missing week, to the classes in scope", async () => {
+  assert.equal((await api.request("POST", "/compliance/reminders", { token: tokens.lecturer })).status, 403);
+
+  const first = await api.request("POST", "/compliance/reminders", { token: tokens.prl });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.reminded, { classes: 1, weeks: 1 });
+
+  const again = await api.request("POST", "/compliance/reminders", { token: tokens.prl });
+  assert.deepEqual(again.body.reminded, { classes: 0, weeks: 0 });
+
+  const { body: notifications } = await api.request("GET", "/notifications?type=report_reminder", { token: tokens.lecturer });
+  assert.equal(notifications.length, 1);
+  assert.deepEqual(notifications[0].data, { class_id: 1, weeks: [3] });
+
+  const all = await api.request("POST", "/compliance/reminders", { token: tokens.pl });
+  assert.deepEqual(all.body.reminded, { classes: 1, weeks: 3 });
+});
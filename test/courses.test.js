@@ -0,0 +1,45 @@
+// test/courses.test.js
+// Courses and how changes to them carry over to their classes
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let token;
+
+before(async () => {
+  api = await startApi();
+  token = await api.login("pl");
+});
+
+after(() => api.close());
+
+test("a course is fetched by id, and a missing one is a 404", async () => {
+  const { body: courses } = await api.request("GET", "/courses", { token });
+  const course = courses.find(c => c.course_code === "DIWA2110");
+
+  const found = await api.request("GET", `/courses/${course.course_id}`, { token });
+  assert.equal(found.status, 200);
+  assert.equal(found.body.course_name, "Web Application Development");
+
+  const missing = await api.request("GET", "/courses/9999", { token });
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, { error: "Course not found" });
+});
+
+test("renaming or recoding a course carries its classes along", async () => {
+  const { body: courses } = await api.request("GET", "/courses", { token });
+  const course = courses.find(c => c.course_code === "DIWA2110");
+
+  const res = await api.request("PUT", `/courses/${course.course_id}`, {
+    token,
+    body: { course_code: "DIWA2210", course_name: "Web Applications II" },
+  });
+  assert.equal(res.status, 200);
+
+  const { data: classes } = await api.db.from("classes").select("course_code, course_name").eq("class_name", "BSCSM Y2 Group A");
+  assert.deepEqual(classes, [{ course_code: "DIWA2210", course_name: "Web Applications II" }]);
+
+  const { count } = await api.db.from("classes").select("id", { count: "exact", head: true }).eq("course_code", "DIWA2110");
+  assert.equal(count, 0);
+});
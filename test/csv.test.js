@@ -0,0 +1,44 @@
+// test/csv.test.js
+// The CSV reader behind bulk imports (lib/csv.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../lib/csv.js";
+
+test("headers are trimmed and lower-cased, cells kept as written", () => {
+  const { columns, rows } = parseCsv(" Name ,EMAIL\nLee Lecturer, lee@luct.test \n");
+  assert.deepEqual(columns, ["name", "email"]);
+  assert.deepEqual(rows, [{ line: 2, values: { name: "Lee Lecturer", email: " lee@luct.test " }, extra: false }]);
+});
+
+test("quoted cells may hold commas, escaped quotes and newlines", () => {
+  const { rows } = parseCsv('name,note\n"Mokoena, T.","said ""hi""\nthen left"\nNext,row\n');
+  assert.deepEqual(rows[0].values, { name: "Mokoena, T.", note: 'said "hi"\nthen left' });
+  // Lines are counted through the embedded newline
+  assert.equal(rows[1].line, 4);
+  assert.deepEqual(rows[1].values, { name: "Next", note: "row" });
+});
+
+test("CRLF and LF line endings read the same, and a BOM is ignored", () => {
+  const lf = parseCsv("a,b\n1,2\n3,4");
+  const crlf = parseCsv("\uFEFFa,b\r\n1,2\r\n3,4\r\n");
+  assert.deepEqual(crlf, lf);
+  assert.deepEqual(lf.rows.map(r => r.line), [2, 3]);
+});
+
+test("blank lines are skipped but still counted", () => {
+  const { rows } = parseCsv("a,b\n\n1,2\n , \n3,4\n");
+  assert.deepEqual(rows.map(r => [r.line, r.values.a]), [[3, "1"], [5, "3"]]);
+});
+
+test("missing cells are empty and extra cells are flagged", () => {
+  const { rows } = parseCsv("a,b,c\n1\n1,2,3,4\n");
+  assert.deepEqual(rows[0], { line: 2, values: { a: "1", b: "", c: "" }, extra: false });
+  assert.equal(rows[1].extra, true);
+  assert.deepEqual(rows[1].values, { a: "1", b: "2", c: "3" });
+});
+
+test("an empty file has no columns, an unterminated quote is an error", () => {
+  assert.deepEqual(parseCsv(""), { columns: [], rows: [] });
+  assert.deepEqual(parseCsv("\n\n"), { columns: [], rows: [] });
+  assert.throws(() => parseCsv('a,b\n"open,2\n'), /Unterminated quoted cell starting on line 2/);
+});
@@ -0,0 +1,103 @@
+// test/enrolment.test.js
+// Enrolment within a class's capacity, attendance registers and the
+// totals reports take from them
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let classId;
+const students = {};
+const tokens = {};
+
+// A two-seat class of the seeded lecturer and two more students
+before(async () => {
+  api = await startApi();
+  for (const name of ["Ben", "Tia"]) {
+    const email = `${name.toLowerCase()}@luct.test`;
+    students[name] = (await api.addUser({ name: `${name} Student`, email, role: "student" })).user_id;
+  }
+  for (const who of ["student", "ben", "tia", "lecturer", "pl"]) tokens[who] = await api.login(who);
+
+  const res = await api.request("POST", "/classes", {
+    token: tokens.lecturer,
+    body: { class_name: "DBDS Y2 Group A", course_name: "Database Systems", course_code: "DBDS2111", capacity: 2 },
+  });
+  classId = res.body.class.id;
+});
+
+after(() => api.close());
+
+test("students enrol themselves or are enrolled by the lecturer until the class is full", async () => {
+  const self = await api.request("POST", `/classes/${classId}/enrol`, { token: tokens.student });
+  assert.equal(self.status, 201);
+  assert.equal((await api.request("POST", `/classes/${classId}/enrol`, { token: tokens.student })).status, 409);
+
+  const lecturer = tokens.lecturer;
+  const notStudent = await api.request("POST", `/classes/${classId}/students`, { token: lecturer, body: { student_id: 3 } });
+  assert.equal(notStudent.status, 404);
+  const added = await api.request("POST", `/classes/${classId}/students`, { token: lecturer, body: { student_id: students.Ben } });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.enrolment.enrolled_by, 3);
+
+  const full = await api.request("POST", `/classes/${classId}/enrol`, { token: tokens.tia });
+  assert.equal(full.status, 409);
+  assert.equal(full.body.error, "Class is full");
+
+  const roster = await api.request("GET", `/classes/${classId}/students`, { token: lecturer });
+  assert.equal(roster.body.enrolled, 2);
+  assert.deepEqual(roster.body.students.map(s => s.name).sort(), ["Ben Student", "Sam Student"]);
+
+  const { body: mine } = await api.request("GET", "/enrolments/mine", { token: tokens.student });
+  assert.deepEqual(mine.map(e => e.class_id).sort(), [1, classId]);
+});
+
+test("a register sets the report's attendance from the enrolled students", async () => {
+  const lecturer = tokens.lecturer;
+  const body = { class_id: classId, week: 1, date: "2026-03-02", topic: "Keys", draft: true };
+
+  const outsider = await api.request("POST", "/reports", { token: lecturer, body: { ...body, present_student_ids: [students.Tia] } });
+  assert.equal(outsider.status, 400);
+
+  const created = await api.request("POST", "/reports", { token: lecturer, body: { ...body, present_student_ids: [4] } });
+  assert.equal(created.status, 201);
+  const reportId = created.body.report.id;
+
+  const recorded = await api.request("PUT", `/reports/${reportId}/attendance`, {
+    token: lecturer,
+    body: { present_student_ids: [4, students.Ben] },
+  });
+  assert.equal(recorded.status, 200);
+  assert.equal(recorded.body.present, 2);
+  assert.equal(recorded.body.absent, 0);
+
+  await api.request("PUT", `/reports/${reportId}/attendance`, { token: lecturer, body: { present_student_ids: [4] } });
+  assert.equal((await api.request("POST", `/reports/${reportId}/submit`, { token: lecturer })).status, 200);
+
+  const { body: report } = await api.request("GET", `/reports/${reportId}`, { token: lecturer });
+  assert.equal(report.total_registered_students, 2);
+  assert.equal(report.actual_students_present, 1);
+
+  const register = await api.request("GET", `/reports/${reportId}/attendance`, { token: lecturer });
+  assert.deepEqual(register.body.register.map(r => [r.student_id, r.present]).sort(), [[4, true], [students.Ben, false]]);
+
+  // Submitted, the register is no longer the lecturer's to change
+  const late = await api.request("PUT", `/reports/${reportId}/attendance`, { token: lecturer, body: { present_student_ids: [] } });
+  assert.equal(late.status, 409);
+});
+
+test("students see their own attendance per class and can leave a class", async () => {
+  const { body: history } = await api.request("GET", `/attendance/mine?class_id=${classId}`, { token: tokens.ben });
+  assert.equal(history.length, 1);
+  assert.equal(history[0].attended, 0);
+  assert.equal(history[0].recorded, 1);
+  assert.equal(history[0].attendance_rate, 0);
+
+  const { body: own } = await api.request("GET", `/attendance/mine?class_id=${classId}`, { token: tokens.student });
+  assert.equal(own[0].attendance_rate, 100);
+  assert.equal(own[0].lectures[0].topic, "Keys");
+
+  assert.equal((await api.request("DELETE", `/classes/${classId}/enrol`, { token: tokens.ben })).status, 200);
+  assert.equal((await api.request("DELETE", `/classes/${classId}/enrol`, { token: tokens.ben })).status, 404);
+  assert.equal((await api.request("POST", `/classes/${classId}/enrol`, { token: tokens.tia })).status, 201);
+});
@@ -0,0 +1,78 @@
+// test/exports.test.js
+// Report exports: formats, filters and the same scoping as /reports
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+const tokens = {};
+
+// Two weeks of Web Application Development (Software Engineering) from the
+// seeded lecturer, and a week of Database Systems (Data Science) from another
+before(async () => {
+  api = await startApi();
+  await api.addUser({ name: "Olive Other", email: "olive@luct.test", role: "lecturer" });
+  for (const who of ["lecturer", "olive", "prl", "pl", "student"]) tokens[who] = await api.login(who);
+
+  const { body: created } = await api.request("POST", "/classes", {
+    token: tokens.olive,
+    body: { class_name: "DBDS Y2 Group A", course_name: "Database Systems", course_code: "DBDS2111" },
+  });
+
+  const report = (who, body) =>
+    api.request("POST", "/reports", { token: tokens[who], body: { actual_students: 20, ...body } });
+  await report("lecturer", { class_id: 1, week: 1, date: "2026-03-02", topic: "HTML, CSS and forms" });
+  await report("lecturer", { class_id: 1, week: 2, date: "2026-03-09", topic: "=HYPERLINK(\"http://x\")" });
+  await report("olive", { class_id: created.class.id, week: 1, date: "2026-03-03", topic: "Normal forms" });
+});
+
+after(() => api.close());
+
+const exported = (who, query = "") => api.request("GET", `/reports/export${query}`, { token: tokens[who] });
+
+// Header cells and data lines of a CSV export (no cell here spans lines)
+function csvRows(text) {
+  const [header, ...rows] = text.trim().split("\r\n");
+  return { header: header.split(","), rows };
+}
+
+test("CSV exports quote commas and defuse formulas", async () => {
+  const res = await exported("lecturer");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.match(res.headers.get("content-disposition"), /^attachment; filename="lecture-reports-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+  const { header, rows } = csvRows(res.body);
+  assert.deepEqual(header.slice(0, 4), ["Class", "Course Code", "Course", "Week"]);
+  assert.equal(rows.length, 2);
+  assert.ok(res.body.includes('"HTML, CSS and forms"'));
+  assert.ok(res.body.includes(`"'=HYPERLINK(""http://x"")"`));
+});
+
+test("exports are scoped like /reports and take its filters", async () => {
+  assert.equal(csvRows((await exported("olive")).body).rows.length, 1);
+  assert.equal(csvRows((await exported("prl")).body).rows.length, 2);
+  assert.equal(csvRows((await exported("pl")).body).rows.length, 3);
+
+  const weekTwo = csvRows((await exported("pl", "?week_from=2&week_to=2")).body).rows;
+  assert.equal(weekTwo.length, 1);
+  assert.match(weekTwo[0], /^BSCSM Y2 Group A,DIWA2110,/);
+
+  assert.equal(csvRows((await exported("pl", "?course_code=DBDS2111")).body).rows.length, 1);
+  assert.equal(csvRows((await exported("pl", "?lecturer_id=3")).body).rows.length, 2);
+
+  assert.equal((await exported("student")).status, 403);
+  assert.equal((await exported("pl", "?format=docx")).status, 400);
+});
+
+test("Excel and PDF exports come with their own content types", async () => {
+  const xlsx = await exported("pl", "?format=XLSX");
+  assert.equal(xlsx.status, 200);
+  assert.equal(xlsx.headers.get("content-type"), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  assert.ok(xlsx.body.startsWith("PK"));
+
+  const pdf = await exported("pl", "?format=pdf");
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get("content-type"), "application/pdf");
+  assert.ok(pdf.body.startsWith("%PDF-"));
+});
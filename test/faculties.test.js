@@ -0,0 +1,53 @@
+// test/faculties.test.js
+// A PL with a faculty changes only their own; one without changes any
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let other;
+const tokens = {};
+
+// The seeded PL belongs to the Faculty of ICT; add a university-wide PL
+// and a second faculty
+before(async () => {
+  api = await startApi();
+  await api.addUser({ name: "Uma Wide", email: "uma@luct.test", role: "pl", faculty_id: null });
+  for (const who of ["pl", "uma"]) tokens[who] = await api.login(who);
+
+  const { data } = await api.db.from("faculties").insert([{ name: "Faculty of Design", code: "FD" }]).select();
+  other = data[0].faculty_id;
+});
+
+after(() => api.close());
+
+test("a faculty PL can't change, delete or add other faculties", async () => {
+  const token = tokens.pl;
+
+  const renamed = await api.request("PUT", `/faculties/${other}`, { token, body: { name: "Faculty of Nothing" } });
+  assert.equal(renamed.status, 403);
+  const replaced = await api.request("PUT", `/faculties/${other}`, { token, body: { programmes: [] } });
+  assert.equal(replaced.status, 403);
+  assert.equal((await api.request("DELETE", `/faculties/${other}`, { token })).status, 403);
+  assert.equal((await api.request("POST", "/faculties", { token, body: { name: "Faculty of Law" } })).status, 403);
+
+  const { body: faculty } = await api.request("GET", `/faculties/${other}`, { token });
+  assert.equal(faculty.name, "Faculty of Design");
+
+  // Their own faculty is still theirs to change
+  const own = await api.request("PUT", "/faculties/1", { token, body: { code: "ICT" } });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.code, "ICT");
+});
+
+test("a PL without a faculty changes, deletes and adds any faculty", async () => {
+  const token = tokens.uma;
+
+  const renamed = await api.request("PUT", `/faculties/${other}`, { token, body: { name: "Faculty of Creative Design" } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.name, "Faculty of Creative Design");
+  assert.equal((await api.request("DELETE", `/faculties/${other}`, { token })).status, 200);
+  assert.equal((await api.request("POST", "/faculties", { token, body: { name: "Faculty of Law" } })).status, 201);
+
+  assert.equal((await api.request("DELETE", `/faculties/${other}`, { token })).status, 404);
+});
@@ -0,0 +1,106 @@
+// test/feed.test.js
+// The live feed: scoped like /reports and /classes, and replayed from the
+// last event a client saw
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+const tokens = {};
+const streams = [];
+
+before(async () => {
+  api = await startApi();
+  await api.addUser({ name: "Olive Other", email: "olive@luct.test", role: "lecturer" });
+  for (const who of ["lecturer", "olive", "prl"]) tokens[who] = await api.login(who);
+});
+
+after(() => {
+  for (const stream of streams) stream.close();
+  return api.close();
+});
+
+// Connect to /feed; next() resolves with the next event as { id, event, data }
+async function openFeed(who, { query = "", headers = {} } = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${api.base}/feed?access_token=${tokens[who]}${query}`, { headers, signal: controller.signal });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "text/event-stream");
+
+  // The server swaps in node-fetch, whose body is a Node stream
+  const chunks = res.body[Symbol.asyncIterator]();
+  const decoder = new TextDecoder();
+  let text = "";
+  const stream = {
+    async next() {
+      for (;;) {
+        const end = text.indexOf("\n\n");
+        if (end !== -1) {
+          const block = text.slice(0, end);
+          text = text.slice(end + 2);
+          const fields = Object.fromEntries(block.split("\n").map(line => line.split(/: (.*)/s).slice(0, 2)));
+          if (fields.event) return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+          continue;
+        }
+        const { value, done } = await chunks.next();
+        if (done) throw new Error("feed closed");
+        text += decoder.decode(value, { stream: true });
+      }
+    },
+    close: () => controller.abort(),
+  };
+  streams.push(stream);
+  return stream;
+}
+
+const submit = (week, topic) =>
+  api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: { class_id: 1, week, date: "2026-03-02", topic, actual_students: 30 },
+  });
+
+test("the feed needs a token", async () => {
+  assert.equal((await fetch(`${api.base}/feed`)).status, 401);
+  assert.equal((await fetch(`${api.base}/feed?access_token=nonsense`)).status, 403);
+});
+
+test("reports reach their lecturer and PRL but not other lecturers", async () => {
+  const [own, prl, other] = await Promise.all(["lecturer", "prl", "olive"].map(who => openFeed(who)));
+
+  const { body } = await submit(1, "Routing");
+  for (const feed of [own, prl]) {
+    const event = await feed.next();
+    assert.equal(event.event, "report.created");
+    assert.equal(event.data.id, body.report.id);
+    assert.equal(event.data.topic_taught, "Routing");
+  }
+
+  // Every lecturer reads classes, so the next thing another lecturer sees
+  // is the class change and not the report
+  await api.request("PUT", "/classes/1", { token: tokens.lecturer, body: { capacity: 45 } });
+  const seen = await other.next();
+  assert.equal(seen.event, "class.updated");
+  assert.deepEqual(seen.data.changes, ["capacity"]);
+  assert.equal((await prl.next()).event, "class.updated");
+});
+
+test("reconnecting with the last event id replays what was missed", async () => {
+  const first = await openFeed("prl");
+  await submit(2, "Middleware");
+  const { id } = await first.next();
+  first.close();
+
+  await submit(3, "Templates");
+  await submit(4, "Sessions");
+
+  const header = await openFeed("prl", { headers: { "Last-Event-ID": String(id) } });
+  assert.equal((await header.next()).data.topic_taught, "Templates");
+  assert.equal((await header.next()).data.topic_taught, "Sessions");
+
+  const query = await openFeed("prl", { query: `&last_event_id=${id + 1}` });
+  assert.equal((await query.next()).data.topic_taught, "Sessions");
+
+  // An id the server never handed out means the client must reload
+  const stale = await openFeed("prl", { query: "&last_event_id=9999" });
+  assert.equal((await stale.next()).event, "resync");
+});
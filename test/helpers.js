@@ -0,0 +1,90 @@
+// test/helpers.js
+// Starts the API in-process on the memory driver (seeded with the demo
+// accounts from db/seed.js) and talks to it over HTTP. Each test file runs
+// in its own process, so each gets a fresh database.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import bcrypt from "bcrypt";
+import { SEED_PASSWORD } from "../db/seed.js";
+
+// { app, base, request, login, addUser, mails, db, dir, close }; request(method, path, { token, body })
+// resolves to { status, headers, body } (parsed when it is JSON). `env`
+// overrides the test settings, e.g. to turn the rate limits on; mail and
+// uploads go under `dir`, which close() removes.
+export async function startApi(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "luct-test-"));
+
+  Object.assign(process.env, {
+    DB_DRIVER: "memory",
+    JWT_SECRET: "test-secret",
+    MAIL_TRANSPORT: "file",
+    MAIL_DIR: path.join(dir, "mail"),
+    STORAGE_DRIVER: "local",
+    STORAGE_DIR: path.join(dir, "uploads"),
+    RATE_LIMIT_MAX: "0",
+    AUTH_RATE_LIMIT_MAX: "0",
+    REMINDER_INTERVAL_HOURS: "0",
+    ...env,
+  });
+
+  const { app, db, dbReady } = await import("../server.js");
+  await dbReady;
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // A string or Buffer body is sent as is, with `type` as its content type
+  async function request(method, url, { token, body, type } = {}) {
+    const raw = typeof body === "string" || Buffer.isBuffer(body);
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["content-type"] = type ?? (raw ? "text/plain" : "application/json");
+
+    const payload = body === undefined || raw ? body : JSON.stringify(body);
+    const res = await fetch(base + url, { method, headers, body: payload });
+    const text = await res.text();
+    const json = res.headers.get("content-type")?.includes("json");
+    return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text || null };
+  }
+
+  // Access token of a demo account ("pl", "prl", "lecturer", "student")
+  async function login(who, password = SEED_PASSWORD) {
+    const res = await request("POST", "/login", { body: { email: `${who}@luct.test`, password } });
+    if (res.status !== 200) throw new Error(`Login as ${who} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.token;
+  }
+
+  // Insert an active, verified account that logs in with the seed password
+  async function addUser(fields) {
+    const password = await bcrypt.hash(SEED_PASSWORD, 4);
+    const { data, error } = await db
+      .from("users")
+      .insert([{ faculty_id: 1, status: "active", email_verified: true, ...fields, password }])
+      .select("user_id, name, email, role, faculty_id");
+    if (error) throw new Error(`Adding ${fields.email} failed: ${error.message}`);
+    return data[0];
+  }
+
+  // Messages sent so far through the file mail transport, oldest first
+  function mails() {
+    const mailDir = process.env.MAIL_DIR;
+    if (!fs.existsSync(mailDir)) return [];
+    return fs
+      .readdirSync(mailDir)
+      .filter(name => name.endsWith(".json"))
+      .sort()
+      .map(name => JSON.parse(fs.readFileSync(path.join(mailDir, name), "utf8")));
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve)).then(() =>
+      fs.rmSync(dir, { recursive: true, force: true })
+    );
+  }
+
+  return { app, base, request, login, addUser, mails, db, dir, close };
+}
@@ -0,0 +1,102 @@
+// test/import.test.js
+// PL bulk imports (POST /import/:type) on the memory driver
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let token;
+
+before(async () => {
+  api = await startApi();
+  token = await api.login("pl");
+});
+
+after(() => api.close());
+
+const importCsv = (type, csv, { dryRun = false, as = token } = {}) =>
+  api.request("POST", `/import/${type}${dryRun ? "?dry_run=true" : ""}`, { token: as, body: csv, type: "text/csv" });
+
+const USERS_CSV = [
+  "name,email,role",
+  '"Mokoena, Lerato",Lerato@luct.test,lecturer',
+  '"Thabo ""TK"" Khumalo",thabo@luct.test,student',
+].join("\r\n");
+
+test("a dry run checks the file without importing anything", async () => {
+  const res = await importCsv("users", USERS_CSV, { dryRun: true });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { type: "users", dry_run: true, total: 2, valid: 2, invalid: 0, errors: [] });
+
+  const { data } = await api.db.from("users").select("user_id").eq("email", "thabo@luct.test");
+  assert.deepEqual(data, []);
+});
+
+test("an import creates every row and invites the new users", async () => {
+  const res = await importCsv("users", USERS_CSV);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.created, 2);
+
+  const { data } = await api.db.from("users").select("name, email, role, faculty_id").in("user_id", res.body.ids).order("user_id");
+  assert.deepEqual(data, [
+    { name: "Mokoena, Lerato", email: "lerato@luct.test", role: "lecturer", faculty_id: 1 },
+    { name: 'Thabo "TK" Khumalo', email: "thabo@luct.test", role: "student", faculty_id: 1 },
+  ]);
+
+  const invited = api.mails().filter(mail => mail.subject === "Your LUCT Reporting account").map(mail => mail.to);
+  assert.deepEqual(invited.sort(), ["lerato@luct.test", "thabo@luct.test"]);
+});
+
+test("duplicates within the file and of existing rows are reported per line", async () => {
+  const csv = [
+    "name,email,role",
+    "Ana One,ana@luct.test,student",
+    "Ana Again,ANA@luct.test,student",
+    "Lee Again,lecturer@luct.test,lecturer",
+    "Bad Role,bad@luct.test,admin",
+    "Too Many,many@luct.test,student,extra",
+  ].join("\n");
+
+  const res = await importCsv("users", csv);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.valid, 1);
+  assert.equal(res.body.invalid, 4);
+  assert.deepEqual(
+    res.body.errors.map(e => [e.row, e.field]),
+    [[3, "email"], [4, "email"], [5, "role"], [6, null]]
+  );
+  assert.match(res.body.errors[0].message, /duplicates row 2/);
+  assert.equal(res.body.errors[1].message, "already exists");
+
+  // Nothing from a file with errors is imported
+  const { data } = await api.db.from("users").select("user_id").eq("email", "ana@luct.test");
+  assert.deepEqual(data, []);
+});
+
+test("the header must name known columns and every required one", async () => {
+  const res = await importCsv("users", "name,mail\nNo Email,x@luct.test\n");
+  assert.equal(res.status, 400);
+  assert.deepEqual(
+    res.body.errors.map(e => [e.row, e.field, e.message]),
+    [
+      [1, "mail", "is not a known column"],
+      [1, "email", "column is missing"],
+      [1, "role", "column is missing"],
+    ]
+  );
+
+  const empty = await importCsv("courses", "course_code,course_name\n");
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.errors[0].message, "file has no data rows");
+});
+
+test("courses import into the PL's faculty and programme; only PLs import", async () => {
+  const res = await importCsv("courses", "course_code,course_name,stream\nDBMS3101,Advanced Databases,Data Science\n");
+  assert.equal(res.status, 201);
+
+  const { data } = await api.db.from("courses").select("faculty_id, programme").eq("course_code", "DBMS3101").single();
+  assert.deepEqual(data, { faculty_id: 1, programme: "Information Technology" });
+
+  const lecturer = await importCsv("courses", "course_code,course_name\nX1,Y\n", { as: await api.login("lecturer") });
+  assert.equal(lecturer.status, 403);
+});
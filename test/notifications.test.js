@@ -0,0 +1,101 @@
+// test/notifications.test.js
+// Notifications raised by report and class events, their read state and
+// the email copy users can turn off
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let reportId;
+const tokens = {};
+
+before(async () => {
+  api = await startApi();
+  for (const who of ["lecturer", "prl", "pl", "student"]) tokens[who] = await api.login(who);
+});
+
+after(() => api.close());
+
+const notifications = (who, query = "") => api.request("GET", `/notifications${query}`, { token: tokens[who] });
+
+// Subscribers run after the response is sent, so poll for what they leave
+async function eventually(check) {
+  for (let i = 0; i < 50; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail("timed out waiting for a notification");
+}
+
+async function notificationOf(who, type) {
+  return eventually(async () => (await notifications(who, `?type=${type}`)).body[0]);
+}
+
+test("a submitted report notifies the stream's PRL, in-app and by email", async () => {
+  const res = await api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: { class_id: 1, week: 1, date: "2026-03-02", topic: "Routing", actual_students: 30 },
+  });
+  reportId = res.body.report.id;
+
+  const notification = await notificationOf("prl", "report_submitted");
+  assert.equal(notification.title, "New lecture report: BSCSM Y2 Group A");
+  assert.equal(notification.link, `/reports/${reportId}`);
+  assert.equal(notification.read, false);
+
+  const mail = await eventually(() => api.mails().find(m => m.to === "prl@luct.test"));
+  assert.equal(mail.subject, notification.title);
+
+  assert.deepEqual((await notifications("pl")).body, []);
+});
+
+test("feedback on a report goes back to its lecturer", async () => {
+  const reviewed = await api.request("POST", `/reports/${reportId}/review`, {
+    token: tokens.prl,
+    body: { feedback: "Add the lab outcomes" },
+  });
+  assert.equal(reviewed.status, 200);
+
+  const notification = await notificationOf("lecturer", "report_feedback");
+  assert.equal(notification.title, "Your report was reviewed: BSCSM Y2 Group A");
+  assert.match(notification.message, /Feedback: Add the lab outcomes$/);
+});
+
+test("class changes reach enrolled students, by email only if they want it", async () => {
+  const off = await api.request("PUT", "/notifications/preferences", { token: tokens.student, body: { email: false } });
+  assert.equal(off.status, 200);
+  assert.deepEqual((await api.request("GET", "/notifications/preferences", { token: tokens.student })).body, { email: false });
+
+  const updated = await api.request("PUT", "/classes/1", { token: tokens.lecturer, body: { capacity: 45 } });
+  assert.equal(updated.status, 200);
+
+  const notification = await notificationOf("student", "class_updated");
+  assert.equal(notification.title, "Class updated: BSCSM Y2 Group A");
+  assert.deepEqual(notification.data.changes, ["capacity"]);
+
+  // The email copy would follow the stored notification
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(!api.mails().some(m => m.to === "student@luct.test"));
+
+  // The lecturer made the change and isn't told about it
+  assert.deepEqual((await notifications("lecturer", "?type=class_updated")).body, []);
+});
+
+test("notifications are marked read one at a time or all at once, by their owner only", async () => {
+  const count = () => api.request("GET", "/notifications/unread-count", { token: tokens.prl });
+  assert.deepEqual((await count()).body, { unread: 1 });
+
+  const [first] = (await notifications("prl")).body;
+  assert.equal((await api.request("POST", `/notifications/${first.notification_id}/read`, { token: tokens.lecturer })).status, 404);
+
+  const read = await api.request("POST", `/notifications/${first.notification_id}/read`, { token: tokens.prl });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.notification.read, true);
+  assert.deepEqual((await count()).body, { unread: 0 });
+  assert.deepEqual((await notifications("prl", "?unread=true")).body, []);
+
+  const all = await api.request("POST", "/notifications/read-all", { token: tokens.lecturer });
+  assert.equal(all.body.updated, 1);
+  assert.deepEqual((await api.request("GET", "/notifications/unread-count", { token: tokens.lecturer })).body, { unread: 0 });
+});
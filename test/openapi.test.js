@@ -0,0 +1,30 @@
+// test/openapi.test.js
+// The API docs (lib/api-docs.js) cover exactly the routes the app serves
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+import { API_DOCS } from "../lib/api-docs.js";
+import { findDocDrift } from "../lib/openapi.js";
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.close());
+
+test("every route is documented and every documented route exists", () => {
+  assert.deepEqual(findDocDrift(api.app, API_DOCS), []);
+});
+
+test("/openapi.json describes the documented routes", async () => {
+  const { status, body } = await api.request("GET", "/openapi.json");
+  assert.equal(status, 200);
+  assert.equal(body.openapi.split(".")[0], "3");
+
+  const documented = Object.entries(body.paths).flatMap(([path, methods]) =>
+    Object.keys(methods).map(method => `${method.toUpperCase()} ${path}`)
+  );
+  assert.equal(documented.length, Object.keys(API_DOCS).length);
+});
@@ -0,0 +1,135 @@
+// test/query.test.js
+// The query builder (db/query.js) over the memory driver, on the demo seed
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { createQueryClient } from "../db/query.js";
+import { createMemoryDriver } from "../db/memory.js";
+import { seed } from "../db/seed.js";
+
+let db;
+
+before(async () => {
+  db = createQueryClient(createMemoryDriver());
+  await seed(db);
+});
+
+test("filters, or() and ordering", async () => {
+  const { data, error } = await db
+    .from("users")
+    .select("email, role")
+    .or("role.eq.pl,role.eq.prl")
+    .order("email", { ascending: false });
+
+  assert.equal(error, null);
+  assert.deepEqual(data, [
+    { email: "prl@luct.test", role: "prl" },
+    { email: "pl@luct.test", role: "pl" },
+  ]);
+
+  const { data: matched } = await db.from("users").select("name").ilike("email", "%LECTURER%");
+  assert.deepEqual(matched, [{ name: "Lee Lecturer" }]);
+
+  const { data: none } = await db.from("users").select("user_id").in("role", ["admin"]);
+  assert.deepEqual(none, []);
+});
+
+test("range() pages and count: exact counts every match", async () => {
+  const { data, count } = await db
+    .from("users")
+    .select("user_id", { count: "exact" })
+    .order("user_id")
+    .range(1, 2);
+
+  assert.deepEqual(data.map(u => u.user_id), [2, 3]);
+  assert.equal(count, 4);
+
+  const { data: headData, count: headCount } = await db
+    .from("users")
+    .select("*", { count: "exact", head: true })
+    .eq("role", "student");
+  assert.equal(headData, null);
+  assert.equal(headCount, 1);
+});
+
+test("embeds follow relations both ways, with aliases and hints", async () => {
+  const { data: cls } = await db
+    .from("classes")
+    .select("class_name, lead:users!classes_lecturer_id_fkey(name), timetable_slots(day_of_week, venues(name))")
+    .single();
+
+  assert.equal(cls.lead.name, "Lee Lecturer");
+  assert.equal(cls.timetable_slots.length, 1);
+  assert.equal(cls.timetable_slots[0].venues.name, "Room 101");
+});
+
+test("single() and maybeSingle() insist on at most one row", async () => {
+  const many = await db.from("users").select("user_id").single();
+  assert.equal(many.error.code, "PGRST116");
+
+  const missing = await db.from("users").select("user_id").eq("email", "nobody@luct.test").maybeSingle();
+  assert.deepEqual(missing, { data: null, error: null, count: null });
+
+  const none = await db.from("users").select("user_id").eq("email", "nobody@luct.test").single();
+  assert.equal(none.error.code, "PGRST116");
+});
+
+test("insert returns rows with defaults and refuses duplicates as a whole", async () => {
+  const { data, error } = await db
+    .from("venues")
+    .insert([{ name: "Hall A", building: "Main", capacity: 200 }])
+    .select("venue_id, name");
+
+  assert.equal(error, null);
+  assert.equal(typeof data[0].venue_id, "number");
+
+  const duplicate = await db
+    .from("venues")
+    .insert([{ name: "Hall B" }, { name: "Hall A" }])
+    .select();
+  assert.equal(duplicate.error.code, "23505");
+
+  const { data: hallB } = await db.from("venues").select("venue_id").eq("name", "Hall B");
+  assert.deepEqual(hallB, [], "a failed multi-row insert leaves nothing behind");
+});
+
+test("update() changes only the filtered rows", async () => {
+  const { data } = await db
+    .from("venues")
+    .update({ capacity: 250 })
+    .eq("name", "Hall A")
+    .select("name, capacity");
+  assert.deepEqual(data, [{ name: "Hall A", capacity: 250 }]);
+
+  const { data: room } = await db.from("venues").select("capacity").eq("name", "Room 101").single();
+  assert.equal(room.capacity, 60);
+});
+
+test("delete() applies ON DELETE restrict, cascade and set null", async () => {
+  // The seeded class still has a slot in Room 101
+  const restricted = await db.from("venues").delete().eq("name", "Room 101");
+  assert.equal(restricted.error.code, "23503");
+
+  const { data: student } = await db.from("users").select("user_id").eq("role", "student").single();
+  const { data: enrolled } = await db.from("enrolments").select("class_id").eq("student_id", student.user_id);
+  assert.equal(enrolled.length, 1);
+
+  // Deleting the class takes its slots and roster with it
+  const { error } = await db.from("classes").delete().eq("id", enrolled[0].class_id);
+  assert.equal(error, null);
+  const { count: slots } = await db.from("timetable_slots").select("*", { count: "exact", head: true });
+  const { count: roster } = await db.from("enrolments").select("*", { count: "exact", head: true });
+  assert.equal(slots, 0);
+  assert.equal(roster, 0);
+
+  // ...so the venue may go now
+  const freed = await db.from("venues").delete().eq("name", "Room 101");
+  assert.equal(freed.error, null);
+
+  // Deleting a faculty unlinks its users rather than deleting them
+  const { data: faculty } = await db.from("faculties").insert([{ name: "Faculty of Design", code: "FD" }]).select();
+  await db.from("users").update({ faculty_id: faculty[0].faculty_id }).eq("user_id", student.user_id);
+  assert.equal((await db.from("faculties").delete().eq("faculty_id", faculty[0].faculty_id)).error, null);
+
+  const { data: unlinked } = await db.from("users").select("faculty_id").eq("user_id", student.user_id).single();
+  assert.equal(unlinked.faculty_id, null);
+});
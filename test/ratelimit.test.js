@@ -0,0 +1,78 @@
+// test/ratelimit.test.js
+// Request limits, the per-account lockout and lifting it early
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimitStore } from "../lib/ratelimit.js";
+import { startApi } from "./helpers.js";
+
+let api;
+let user;
+
+before(async () => {
+  api = await startApi({ AUTH_RATE_LIMIT_MAX: "20" });
+  user = await api.addUser({ name: "Lou Locked", email: "lou@luct.test", role: "lecturer" });
+});
+
+after(() => api.close());
+
+const login = password => api.request("POST", "/login", { body: { email: user.email, password } });
+
+test("the memory store stops counting a key once it is over the limit", async () => {
+  const store = createRateLimitStore(null, {});
+
+  let last;
+  for (let i = 0; i < 50; i++) last = await store.hit("flood", 60000, 3);
+  assert.equal(last.count, 4);
+
+  assert.equal((await store.hit("other", 60000, 3)).count, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal((await store.hit("flood", 20, 3)).count, 1);
+});
+
+test("failed logins lock the account, for twice as long on each failure past the threshold", async () => {
+  for (let i = 0; i < 4; i++) assert.equal((await login("wrong-password")).status, 401);
+
+  const locked = await login("wrong-password");
+  assert.equal(locked.status, 429);
+  assert.ok(Math.abs(Number(locked.headers.get("retry-after")) - 900) <= 2);
+  assert.equal(locked.body.retry_after, Number(locked.headers.get("retry-after")));
+
+  // Still locked, even with the right password
+  assert.equal((await login("password123")).status, 429);
+
+  await api.db
+    .from("users")
+    .update({ locked_until: new Date(Date.now() - 1000).toISOString() })
+    .eq("user_id", user.user_id);
+
+  const doubled = await login("wrong-password");
+  assert.equal(doubled.status, 429);
+  assert.ok(Math.abs(Number(doubled.headers.get("retry-after")) - 1800) <= 2);
+});
+
+test("a PL can unlock the account before the lockout runs out", async () => {
+  assert.equal((await login("password123")).status, 429);
+
+  const lecturer = await api.login("lecturer");
+  const refused = await api.request("POST", `/users/${user.user_id}/unlock`, { token: lecturer });
+  assert.equal(refused.status, 403);
+
+  const unlocked = await api.request("POST", `/users/${user.user_id}/unlock`, { token: await api.login("pl") });
+  assert.equal(unlocked.status, 200);
+
+  assert.equal((await login("password123")).status, 200);
+});
+
+test("the auth limit answers 429 with Retry-After once an IP runs through it", async () => {
+  let res;
+  for (let i = 0; i < 25 && res?.status !== 429; i++) {
+    res = await api.request("POST", "/login", { body: {} });
+  }
+
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get("ratelimit-remaining"), "0");
+  const retryAfter = Number(res.headers.get("retry-after"));
+  assert.ok(retryAfter > 0 && retryAfter <= 900);
+  assert.equal(res.body.retry_after, retryAfter);
+});
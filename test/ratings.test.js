@@ -0,0 +1,75 @@
+// test/ratings.test.js
+// Students rating the classes they attend, and who sees the results
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let otherClass;
+const tokens = {};
+
+// The seeded student is enrolled in class 1; add a second student in it
+// and a class of another lecturer that neither attends
+before(async () => {
+  api = await startApi();
+  const sam = await api.addUser({ name: "Sam Second", email: "sam@luct.test", role: "student" });
+  await api.addUser({ name: "Olive Other", email: "olive@luct.test", role: "lecturer" });
+  await api.db.from("enrolments").insert([{ class_id: 1, student_id: sam.user_id }]);
+  for (const who of ["student", "sam", "lecturer", "olive", "prl", "pl"]) tokens[who] = await api.login(who);
+
+  const res = await api.request("POST", "/classes", {
+    token: tokens.olive,
+    body: { class_name: "DBDS Y2 Group A", course_name: "Database Systems", course_code: "DBDS2111" },
+  });
+  otherClass = res.body.class.id;
+});
+
+after(() => api.close());
+
+const rate = (who, body) => api.request("POST", "/ratings", { token: tokens[who], body });
+
+test("students rate classes they attend once a week", async () => {
+  const first = await rate("student", { class_id: 1, week: 1, score: 4, comment: "Clear examples" });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.rating.score, 4);
+
+  assert.equal((await rate("student", { class_id: 1, week: 1, score: 5 })).status, 409);
+  assert.equal((await rate("student", { class_id: 1, week: 2, score: 2 })).status, 201);
+  assert.equal((await rate("sam", { class_id: 1, week: 1, score: 5 })).status, 201);
+
+  assert.equal((await rate("student", { class_id: otherClass, week: 1, score: 3 })).status, 403);
+  assert.equal((await rate("student", { class_id: 9999, week: 1, score: 3 })).status, 404);
+  assert.equal((await rate("student", { class_id: 1, week: 3, score: 6 })).status, 400);
+  assert.equal((await rate("lecturer", { class_id: 1, week: 3, score: 5 })).status, 403);
+
+  const mine = await api.request("GET", "/ratings/mine", { token: tokens.student });
+  assert.deepEqual(mine.body.map(r => [r.week, r.score]).sort(), [[1, 4], [2, 2]]);
+});
+
+test("a class's lecturer sees its ratings, averaged and without names", async () => {
+  const res = await api.request("GET", "/ratings/classes/1", { token: tokens.lecturer });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 3);
+  assert.equal(res.body.average, 3.67);
+  assert.deepEqual(res.body.distribution, { 1: 0, 2: 1, 3: 0, 4: 1, 5: 1 });
+  assert.ok(res.body.ratings.every(r => !("student_id" in r)));
+
+  assert.equal((await api.request("GET", "/ratings/classes/1", { token: tokens.olive })).status, 403);
+  assert.equal((await api.request("GET", "/ratings/classes/1", { token: tokens.student })).status, 403);
+});
+
+test("summaries group by class, course or lecturer within the caller's reach", async () => {
+  const byLecturer = await api.request("GET", "/ratings/summary?group_by=lecturer&week=1", { token: tokens.pl });
+  assert.equal(byLecturer.status, 200);
+  assert.deepEqual(byLecturer.body.groups, [
+    { lecturer_id: 3, lecturer: "Lee Lecturer", count: 2, average: 4.5, distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } },
+  ]);
+
+  const byCourse = await api.request("GET", "/ratings/summary?group_by=course", { token: tokens.prl });
+  assert.equal(byCourse.body.groups[0].course_code, "DIWA2110");
+  assert.equal(byCourse.body.overall.count, 3);
+
+  const other = await api.request("GET", "/ratings/summary", { token: tokens.olive });
+  assert.deepEqual(other.body.groups, []);
+  assert.equal(other.body.overall.count, 0);
+});
@@ -0,0 +1,200 @@
+// test/reports.test.js
+// Lecture reports from creation through review, on the memory driver
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+const tokens = {};
+
+before(async () => {
+  api = await startApi();
+  for (const who of ["pl", "prl", "lecturer", "student"]) tokens[who] = await api.login(who);
+});
+
+after(() => api.close());
+
+// A Monday, when the seeded class meets
+const lecture = (week, extra = {}) => ({
+  class_id: 1,
+  week,
+  date: "2026-03-02",
+  topic: `Week ${week} lecture`,
+  actual_students: 1,
+  ...extra,
+});
+
+const act = (who, id, action, body = {}) => api.request("POST", `/reports/${id}/${action}`, { token: tokens[who], body });
+
+test("lecturers create reports on their classes; students may not", async () => {
+  const created = await api.request("POST", "/reports", { token: tokens.lecturer, body: lecture(1) });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.report.status, "submitted");
+  assert.equal(created.body.report.class_name, "BSCSM Y2 Group A");
+  assert.equal(created.body.report.total_registered_students, 1);
+
+  const duplicate = await api.request("POST", "/reports", { token: tokens.lecturer, body: lecture(1) });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.report_id, created.body.report.id);
+
+  const student = await api.request("POST", "/reports", { token: tokens.student, body: lecture(2) });
+  assert.equal(student.status, 403);
+
+  const invalid = await api.request("POST", "/reports", { token: tokens.lecturer, body: lecture(2, { topic: undefined }) });
+  assert.equal(invalid.status, 400);
+});
+
+test("drafts stay private until submitted with attendance", async () => {
+  const created = await api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: lecture(2, { actual_students: undefined, draft: true }),
+  });
+  assert.equal(created.status, 201);
+  const { id } = created.body.report;
+  assert.equal(created.body.report.status, "draft");
+
+  assert.equal((await api.request("GET", `/reports/${id}`, { token: tokens.prl })).status, 403);
+  assert.equal((await act("prl", id, "review", { feedback: "Too early" })).status, 409);
+
+  const early = await act("lecturer", id, "submit");
+  assert.equal(early.status, 409);
+
+  const edited = await api.request("PUT", `/reports/${id}`, { token: tokens.lecturer, body: { actual_students: 1 } });
+  assert.equal(edited.status, 200);
+
+  const submitted = await act("lecturer", id, "submit");
+  assert.equal(submitted.status, 200);
+  assert.equal(submitted.body.report.status, "submitted");
+  assert.equal((await act("lecturer", id, "submit")).status, 409);
+});
+
+test("a report goes through review, forwarding and approval", async () => {
+  const { body } = await api.request("POST", "/reports", { token: tokens.lecturer, body: lecture(3) });
+  const { id } = body.report;
+
+  // Only the PRL reviews, and not without feedback
+  assert.equal((await act("lecturer", id, "review", { feedback: "Self review" })).status, 403);
+  assert.equal((await act("prl", id, "review")).status, 400);
+  assert.equal((await act("prl", id, "forward")).status, 409);
+
+  const reviewed = await act("prl", id, "review", { feedback: "Well structured" });
+  assert.equal(reviewed.status, 200);
+  assert.equal(reviewed.body.report.status, "reviewed");
+
+  const forwarded = await act("prl", id, "forward");
+  assert.equal(forwarded.status, 200);
+  assert.equal(forwarded.body.report.status, "forwarded");
+  assert.equal(forwarded.body.report.forwarded_by, 2);
+
+  assert.equal((await act("prl", id, "approve")).status, 403);
+  const approved = await act("pl", id, "approve");
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.report.status, "approved");
+
+  // Approved reports are final
+  assert.equal((await act("pl", id, "return", { feedback: "Changed my mind" })).status, 409);
+  const edit = await api.request("PUT", `/reports/${id}`, { token: tokens.lecturer, body: { topic: "Rewritten" } });
+  assert.equal(edit.status, 409);
+});
+
+test("returned reports are edited and resubmitted", async () => {
+  const { body } = await api.request("POST", "/reports", { token: tokens.lecturer, body: lecture(4) });
+  const { id } = body.report;
+
+  const returned = await act("prl", id, "return", { feedback: "Add the learning outcomes" });
+  assert.equal(returned.status, 200);
+  assert.equal(returned.body.report.status, "returned");
+
+  const edited = await api.request("PUT", `/reports/${id}`, {
+    token: tokens.lecturer,
+    body: { learning_outcomes: "Students can build a REST API" },
+  });
+  assert.equal(edited.status, 200);
+
+  const resubmitted = await act("lecturer", id, "resubmit");
+  assert.equal(resubmitted.status, 200);
+  assert.equal(resubmitted.body.report.status, "submitted");
+
+  const versions = await api.request("GET", `/reports/${id}/versions`, { token: tokens.lecturer });
+  assert.equal(versions.status, 200);
+  assert.deepEqual(versions.body.map(v => v.version), [1, 2]);
+  assert.deepEqual(versions.body[1].changes, {
+    learning_outcomes: { from: null, to: "Students can build a REST API" },
+  });
+});
+
+test("attendance is recorded only while a report is editable, as a new version", async () => {
+  const { body } = await api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: lecture(5, { actual_students: undefined, draft: true }),
+  });
+  const { id } = body.report;
+  const record = present_student_ids =>
+    api.request("PUT", `/reports/${id}/attendance`, { token: tokens.lecturer, body: { present_student_ids } });
+
+  assert.equal((await record([999])).status, 400);
+
+  const recorded = await record([4]);
+  assert.equal(recorded.status, 200);
+  assert.deepEqual({ present: recorded.body.present, absent: recorded.body.absent }, { present: 1, absent: 0 });
+  assert.equal(recorded.body.version, 2);
+
+  assert.equal((await act("lecturer", id, "submit")).status, 200);
+  const late = await record([]);
+  assert.equal(late.status, 409);
+
+  const { body: report } = await api.request("GET", `/reports/${id}`, { token: tokens.lecturer });
+  assert.equal(report.actual_students_present, 1);
+  const { body: register } = await api.request("GET", `/reports/${id}/attendance`, { token: tokens.lecturer });
+  assert.equal(register.present, 1);
+});
+
+test("a report with a register of unknown students is not created", async () => {
+  const register = present_student_ids => lecture(6, { actual_students: undefined, present_student_ids });
+
+  const refused = await api.request("POST", "/reports", { token: tokens.lecturer, body: register([4, 999]) });
+  assert.equal(refused.status, 400);
+
+  const created = await api.request("POST", "/reports", { token: tokens.lecturer, body: register([4]) });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.report.actual_students_present, 1);
+});
+
+test("an edit refused for its week leaves the register as it was", async () => {
+  const draft = (week, present_student_ids) =>
+    api.request("POST", "/reports", {
+      token: tokens.lecturer,
+      body: lecture(week, { actual_students: undefined, present_student_ids, draft: true }),
+    });
+  await draft(7, []);
+  const { body } = await draft(8, [4]);
+  const { id } = body.report;
+
+  const moved = await api.request("PUT", `/reports/${id}`, {
+    token: tokens.lecturer,
+    body: { week: 7, present_student_ids: [] },
+  });
+  assert.equal(moved.status, 409);
+
+  const { body: register } = await api.request("GET", `/reports/${id}/attendance`, { token: tokens.lecturer });
+  assert.equal(register.present, 1);
+});
+
+test("a lecturer's drafts are in their report list but not in exports or analytics", async () => {
+  await api.request("POST", "/reports", {
+    token: tokens.lecturer,
+    body: lecture(11, { topic: "Unfinished draft", draft: true }),
+  });
+
+  const { body: list } = await api.request("GET", "/reports", { token: tokens.lecturer });
+  assert.ok(list.some(report => report.topic_taught === "Unfinished draft"));
+  const sent = list.filter(report => report.status !== "draft");
+
+  const exported = await api.request("GET", "/reports/export?format=csv", { token: tokens.lecturer });
+  assert.equal(exported.status, 200);
+  assert.ok(exported.body.includes("Week 1 lecture"));
+  assert.ok(!exported.body.includes("Unfinished draft"));
+
+  const { body: submissions } = await api.request("GET", "/analytics/submissions", { token: tokens.lecturer });
+  assert.equal(submissions[0].total, sent.length);
+});
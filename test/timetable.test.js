@@ -0,0 +1,72 @@
+// test/timetable.test.js
+// Timetable clashes against the seeded class, which meets on Mondays
+// 10:00-12:00 in Room 101
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers.js";
+
+let api;
+let token;
+let venueId;
+
+before(async () => {
+  api = await startApi();
+  token = await api.login("pl");
+  const { data: venue } = await api.db.from("venues").select("venue_id").eq("name", "Room 101").single();
+  venueId = venue.venue_id;
+});
+
+after(() => api.close());
+
+const seeded = changes => api.db.from("classes").update(changes).eq("id", 1);
+
+const semester = async (name, start_date, end_date) => {
+  const { status, body } = await api.request("POST", "/semesters", { token, body: { name, start_date, end_date } });
+  assert.equal(status, 201);
+  return body.semester_id;
+};
+
+// Book the seeded class's slot for a new class; deletes it again when it
+// was created. Returns the response status.
+async function bookSameSlot(semester_id) {
+  const res = await api.request("POST", "/classes", {
+    token,
+    body: {
+      class_name: "BSCSM Y2 Group B",
+      course_name: "Web Application Development",
+      course_code: "DIWA2110",
+      lecturer_id: 3,
+      semester_id,
+      timetable: [{ day_of_week: 1, start_time: "10:00", end_time: "12:00", venue_id: venueId }],
+    },
+  });
+  if (res.status === 201) await api.request("DELETE", `/classes/${res.body.class.id}`, { token });
+  return res;
+}
+
+test("an active class blocks its venue and lecturer", async () => {
+  const res = await bookSameSlot(null);
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.clashes.map(c => c.type).sort(), ["lecturer", "venue"]);
+});
+
+test("inactive classes don't block bookings", async () => {
+  await seeded({ status: "inactive" });
+  assert.equal((await bookSameSlot(null)).status, 201);
+  await seeded({ status: "active" });
+});
+
+test("classes in a semester that has ended don't block bookings", async () => {
+  await seeded({ semester_id: await semester("Semester 1 2020", "2020-01-06", "2020-05-29") });
+  assert.equal((await bookSameSlot(null)).status, 201);
+});
+
+test("classes in another semester don't block bookings, those in the same one do", async () => {
+  const now = await semester("Semester 2 2026", "2026-08-03", "2026-12-18");
+  const next = await semester("Semester 1 2027", "2027-01-11", "2027-05-28");
+
+  await seeded({ semester_id: next });
+  assert.equal((await bookSameSlot(now)).status, 201);
+  assert.equal((await bookSameSlot(next)).status, 409);
+  assert.equal((await bookSameSlot(null)).status, 409);
+});
@@ -0,0 +1,87 @@
+// test/users.test.js
+// How far a PL with a faculty reaches when managing accounts
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import { SEED_PASSWORD } from "../db/seed.js";
+import { startApi } from "./helpers.js";
+
+let api;
+let token;
+const ids = {};
+
+// The seeded PL belongs to the Faculty of ICT; add a university-wide PL,
+// an unplaced PRL and a PRL from another faculty
+before(async () => {
+  api = await startApi();
+  token = await api.login("pl");
+
+  const { data: faculties } = await api.db.from("faculties").insert([{ name: "Faculty of Design", code: "FD" }]).select();
+  const password = await bcrypt.hash(SEED_PASSWORD, 10);
+  const account = (name, role, faculty_id) => ({
+    name,
+    email: `${name.toLowerCase().replace(/ /g, ".")}@luct.test`,
+    role,
+    faculty_id,
+    password,
+    email_verified: true,
+    status: "active",
+  });
+
+  const { data: users } = await api.db
+    .from("users")
+    .insert([
+      account("Uma Wide", "pl", null),
+      account("Una Placed", "prl", null),
+      account("Dee Designer", "prl", faculties[0].faculty_id),
+    ])
+    .select("user_id, name");
+  for (const user of users) ids[user.name] = user.user_id;
+});
+
+after(() => api.close());
+
+test("PLs without a faculty are out of a faculty PL's reach", async () => {
+  const wide = ids["Uma Wide"];
+  assert.equal((await api.request("GET", `/users/${wide}`, { token })).status, 403);
+  assert.equal((await api.request("POST", `/users/${wide}/deactivate`, { token })).status, 403);
+  assert.equal((await api.request("PUT", `/users/${wide}/role`, { token, body: { role: "lecturer" } })).status, 403);
+  assert.equal((await api.request("POST", `/users/${wide}/unlock`, { token })).status, 403);
+
+  const list = await api.request("GET", "/users", { token });
+  const names = list.body.map(user => user.name);
+  assert.ok(names.includes("Una Placed"));
+  assert.ok(names.includes("Pat Leader"));
+  assert.ok(!names.includes("Uma Wide"));
+  assert.ok(!names.includes("Dee Designer"));
+
+  // The university-wide PL sees everyone
+  const wideToken = await api.login("uma.wide");
+  const everyone = await api.request("GET", "/users", { token: wideToken });
+  assert.equal(everyone.body.length, 7);
+});
+
+test("a faculty PL makes PLs only of users in their faculty", async () => {
+  const unplaced = ids["Una Placed"];
+  const refused = await api.request("PUT", `/users/${unplaced}/role`, { token, body: { role: "pl" } });
+  assert.equal(refused.status, 403);
+
+  // Other roles are fine, and so is PL once the user is placed in the faculty
+  const lecturer = await api.request("PUT", `/users/${unplaced}/role`, { token, body: { role: "lecturer" } });
+  assert.equal(lecturer.status, 200);
+
+  const placed = await api.request("PUT", `/users/${unplaced}/faculty`, { token, body: { faculty_id: 1 } });
+  assert.equal(placed.status, 200);
+
+  const promoted = await api.request("PUT", `/users/${unplaced}/role`, { token, body: { role: "pl" } });
+  assert.equal(promoted.status, 200);
+  assert.equal(promoted.body.user.role, "pl");
+});
+
+test("other faculties' users stay out of reach", async () => {
+  const other = ids["Dee Designer"];
+  assert.equal((await api.request("GET", `/users/${other}`, { token })).status, 403);
+  assert.equal((await api.request("PUT", `/users/${other}/role`, { token, body: { role: "pl" } })).status, 403);
+  assert.equal((await api.request("POST", `/users/${other}/unlock`, { token })).status, 403);
+  assert.equal((await api.request("POST", "/users/9999/unlock", { token })).status, 404);
+});